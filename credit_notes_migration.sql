@@ -0,0 +1,45 @@
+-- Migration to issue credit notes to customers
+-- A credit note lowers what a customer owes without money changing hands, e.g.
+-- for goods returned or a price agreed down after invoicing. It is a credit on
+-- the customer's ledger alongside their payments.
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id SERIAL PRIMARY KEY,
+  customer_id INTEGER NULL REFERENCES customers(id) ON DELETE SET NULL,
+  customer_name TEXT NOT NULL,
+  amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+  issued_on DATE NOT NULL DEFAULT current_date,
+  reason TEXT NULL,
+  created_by TEXT NULL,
+  client_id UUID NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+COMMENT ON COLUMN credit_notes.customer_name IS 'Customer name when the credit note was issued. Kept, like on invoices, if the customer is deleted.';
+COMMENT ON COLUMN credit_notes.reason IS 'Why the credit was given, e.g. goods returned.';
+COMMENT ON COLUMN credit_notes.client_id IS 'UUID generated by the client so a replayed offline credit note is only issued once.';
+
+CREATE INDEX IF NOT EXISTS idx_credit_notes_customer_id ON credit_notes(customer_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_updated_at ON credit_notes(updated_at);
+
+-- Credit notes are delta synced like invoices (delta_sync_migration.sql)
+DROP TRIGGER IF EXISTS credit_notes_touch_updated_at ON credit_notes;
+CREATE TRIGGER credit_notes_touch_updated_at
+BEFORE UPDATE ON credit_notes
+FOR EACH ROW EXECUTE FUNCTION public.touch_invoice_updated_at();
+
+DROP TRIGGER IF EXISTS credit_notes_record_tombstone ON credit_notes;
+CREATE TRIGGER credit_notes_record_tombstone
+AFTER DELETE ON credit_notes
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'credit_notes'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE credit_notes;
+  END IF;
+END $$;
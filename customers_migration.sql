@@ -0,0 +1,72 @@
+-- Migration to add a customer master
+-- Customers are kept once with their contact details and GSTIN, and invoices
+-- point at them through customer_id. invoices.customer_name stays as the name
+-- printed on the invoice when it was raised.
+
+CREATE TABLE IF NOT EXISTS customers (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL CHECK (btrim(name) <> ''),
+  phone TEXT NULL,
+  email TEXT NULL,
+  address TEXT NULL,
+  gstin TEXT NULL,
+  state TEXT NULL,
+  client_id UUID NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+COMMENT ON COLUMN customers.gstin IS '15 character GSTIN, for registered (B2B) customers.';
+COMMENT ON COLUMN customers.state IS 'Two digit GST state code of the place of supply. Filled in on new invoices for this customer.';
+COMMENT ON COLUMN customers.client_id IS 'UUID generated by the client so a replayed offline create is only inserted once.';
+
+CREATE INDEX IF NOT EXISTS idx_customers_name ON customers(lower(btrim(name)));
+CREATE INDEX IF NOT EXISTS idx_customers_updated_at ON customers(updated_at);
+
+-- Customers are delta synced like invoices (delta_sync_migration.sql)
+DROP TRIGGER IF EXISTS customers_touch_updated_at ON customers;
+CREATE TRIGGER customers_touch_updated_at
+BEFORE UPDATE ON customers
+FOR EACH ROW EXECUTE FUNCTION public.touch_invoice_updated_at();
+
+DROP TRIGGER IF EXISTS customers_record_tombstone ON customers;
+CREATE TRIGGER customers_record_tombstone
+AFTER DELETE ON customers
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'customers'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE customers;
+  END IF;
+END $$;
+
+-- Deleting a customer keeps their invoices, which still carry the name
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS customer_id INTEGER NULL REFERENCES customers(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_invoices_customer_id ON invoices(customer_id);
+
+COMMENT ON COLUMN invoices.customer_id IS 'Customer the invoice was raised for. customer_name is the name as printed on the invoice.';
+
+-- Group existing invoices into customers. Names that only differ in case or
+-- surrounding spaces ("Ramesh" and "ramesh ") become one customer, named and
+-- placed as on their latest invoice.
+INSERT INTO customers (name, state)
+SELECT DISTINCT ON (lower(btrim(customer_name)))
+  btrim(customer_name),
+  customer_state
+FROM invoices
+WHERE customer_id IS NULL
+  AND btrim(coalesce(customer_name, '')) <> ''
+  AND NOT EXISTS (
+    SELECT 1 FROM customers c WHERE lower(btrim(c.name)) = lower(btrim(invoices.customer_name))
+  )
+ORDER BY lower(btrim(customer_name)), created_at DESC;
+
+UPDATE invoices i
+SET customer_id = c.id
+FROM customers c
+WHERE i.customer_id IS NULL
+  AND lower(btrim(c.name)) = lower(btrim(i.customer_name));
@@ -0,0 +1,63 @@
+-- Migration to support incremental (delta) sync of the offline cache
+-- Clients remember the newest updated_at they have pulled per table and only
+-- fetch rows changed since then. Deleted rows leave a tombstone so clients can
+-- drop them from their cache without reloading the whole table.
+
+-- Add updated_at column to products and invoice_items (invoices already has one)
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+ALTER TABLE invoice_items
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+COMMENT ON COLUMN products.updated_at IS 'Last time the product changed. Used as the delta sync high-water mark.';
+COMMENT ON COLUMN invoice_items.updated_at IS 'Last time the invoice item changed. Used as the delta sync high-water mark.';
+
+-- Reuse the invoices trigger function to bump updated_at on every update
+DROP TRIGGER IF EXISTS products_touch_updated_at ON products;
+CREATE TRIGGER products_touch_updated_at
+BEFORE UPDATE ON products
+FOR EACH ROW EXECUTE FUNCTION public.touch_invoice_updated_at();
+
+DROP TRIGGER IF EXISTS invoice_items_touch_updated_at ON invoice_items;
+CREATE TRIGGER invoice_items_touch_updated_at
+BEFORE UPDATE ON invoice_items
+FOR EACH ROW EXECUTE FUNCTION public.touch_invoice_updated_at();
+
+CREATE INDEX IF NOT EXISTS idx_products_updated_at ON products(updated_at);
+CREATE INDEX IF NOT EXISTS idx_invoices_updated_at ON invoices(updated_at);
+CREATE INDEX IF NOT EXISTS idx_invoice_items_updated_at ON invoice_items(updated_at);
+
+-- Tombstones for deleted rows
+CREATE TABLE IF NOT EXISTS sync_tombstones (
+  id BIGSERIAL PRIMARY KEY,
+  table_name TEXT NOT NULL,
+  row_id BIGINT NOT NULL,
+  deleted_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_tombstones_table_deleted_at ON sync_tombstones(table_name, deleted_at);
+
+CREATE OR REPLACE FUNCTION public.record_sync_tombstone()
+RETURNS trigger AS $$
+BEGIN
+  INSERT INTO sync_tombstones (table_name, row_id)
+  VALUES (TG_TABLE_NAME, OLD.id);
+  RETURN NULL;
+END; $$ LANGUAGE plpgsql;
+
+-- Cascaded deletes (invoice -> invoice_items) fire these too
+DROP TRIGGER IF EXISTS products_record_tombstone ON products;
+CREATE TRIGGER products_record_tombstone
+AFTER DELETE ON products
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
+
+DROP TRIGGER IF EXISTS invoices_record_tombstone ON invoices;
+CREATE TRIGGER invoices_record_tombstone
+AFTER DELETE ON invoices
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
+
+DROP TRIGGER IF EXISTS invoice_items_record_tombstone ON invoice_items;
+CREATE TRIGGER invoice_items_record_tombstone
+AFTER DELETE ON invoice_items
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
@@ -0,0 +1,25 @@
+-- Migration to add discounts to invoice lines and invoices
+-- A discount is a percentage or a flat amount. Line discounts come off
+-- price * quantity, then the invoice discount comes off the discounted lines,
+-- all before GST. The unit price (or custom price) is left as sold, so an
+-- invoice shows the discount separately from a changed price.
+
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS discount_type TEXT NULL CHECK (discount_type IN ('percent', 'flat'));
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS discount_value NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (discount_value >= 0);
+
+ALTER TABLE invoice_items DROP CONSTRAINT IF EXISTS invoice_items_discount_percent_check;
+ALTER TABLE invoice_items ADD CONSTRAINT invoice_items_discount_percent_check
+  CHECK (discount_type IS DISTINCT FROM 'percent' OR discount_value <= 100);
+
+COMMENT ON COLUMN invoice_items.discount_type IS 'percent or flat. NULL means no line discount.';
+COMMENT ON COLUMN invoice_items.discount_value IS 'Percent off, or the flat amount off the whole line (not per unit).';
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS discount_type TEXT NULL CHECK (discount_type IN ('percent', 'flat'));
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS discount_value NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (discount_value >= 0);
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_discount_percent_check;
+ALTER TABLE invoices ADD CONSTRAINT invoices_discount_percent_check
+  CHECK (discount_type IS DISTINCT FROM 'percent' OR discount_value <= 100);
+
+COMMENT ON COLUMN invoices.discount_type IS 'percent or flat. NULL means no invoice discount.';
+COMMENT ON COLUMN invoices.discount_value IS 'Percent or flat amount off the invoice after line discounts, before GST.';
@@ -0,0 +1,45 @@
+-- Migration to add GST to products and invoices
+-- Products carry an HSN code and a GST rate. Each invoice line keeps the rate
+-- and HSN code it was sold with, so changing a product's rate later doesn't
+-- change invoices already issued. Invoices record the customer's state and
+-- whether the sale was inter-state (IGST) or intra-state (CGST + SGST).
+-- Prices stay pre-tax; tax is added on top of price * quantity.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS hsn_code TEXT NULL;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(5,2) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0 AND tax_rate <= 100);
+
+COMMENT ON COLUMN products.hsn_code IS 'HSN (goods) or SAC (services) code printed on invoices.';
+COMMENT ON COLUMN products.tax_rate IS 'GST rate in percent, e.g. 18 for 18%.';
+
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS hsn_code TEXT NULL;
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(5,2) NULL CHECK (tax_rate >= 0 AND tax_rate <= 100);
+
+COMMENT ON COLUMN invoice_items.tax_rate IS 'GST rate the line was sold with. Copied from the product when not given.';
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS customer_state TEXT NULL;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS is_interstate BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN invoices.customer_state IS 'GST state code of the customer (place of supply). NULL means local.';
+COMMENT ON COLUMN invoices.is_interstate IS 'true: IGST applies. false: CGST + SGST apply.';
+
+-- Lines inserted without a rate (older clients, or products created offline)
+-- take the product's current rate and HSN code
+CREATE OR REPLACE FUNCTION public.fill_invoice_item_tax()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.tax_rate IS NULL OR NEW.hsn_code IS NULL THEN
+    SELECT COALESCE(NEW.tax_rate, p.tax_rate), COALESCE(NEW.hsn_code, p.hsn_code)
+    INTO NEW.tax_rate, NEW.hsn_code
+    FROM products p
+    WHERE p.id = NEW.product_id;
+  END IF;
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invoice_items_fill_tax ON invoice_items;
+CREATE TRIGGER invoice_items_fill_tax
+BEFORE INSERT ON invoice_items
+FOR EACH ROW EXECUTE FUNCTION public.fill_invoice_item_tax();
+
+-- Existing lines were sold before GST was tracked
+UPDATE invoice_items SET tax_rate = 0 WHERE tax_rate IS NULL;
@@ -0,0 +1,28 @@
+-- Migration to add idempotency keys for offline creates
+-- Invoices and products created offline carry a client-generated UUID so a
+-- create that is replayed after it already reached the server is detected
+-- instead of inserting a duplicate row
+
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS client_id UUID NULL;
+
+ALTER TABLE products
+ADD COLUMN IF NOT EXISTS client_id UUID NULL;
+
+COMMENT ON COLUMN invoices.client_id IS 'UUID generated by the client for offline creates. NULL for rows created online.';
+COMMENT ON COLUMN products.client_id IS 'UUID generated by the client for offline creates. NULL for rows created online.';
+
+-- Unique constraints (NULLs are allowed to repeat), added only once so the
+-- migration can be re-run
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'invoices_client_id_key') THEN
+    ALTER TABLE invoices
+    ADD CONSTRAINT invoices_client_id_key UNIQUE (client_id);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'products_client_id_key') THEN
+    ALTER TABLE products
+    ADD CONSTRAINT products_client_id_key UNIQUE (client_id);
+  END IF;
+END $$;
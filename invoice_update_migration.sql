@@ -0,0 +1,73 @@
+-- Migration to save an invoice edit in one transaction
+-- Editing an invoice changes its details and replaces all of its lines. Done
+-- as separate requests, a failure part way through could leave the invoice
+-- with no lines and a newer updated_at, so the retry of the same edit would
+-- then look like a conflict with itself. update_invoice applies the whole
+-- edit or nothing. Run after customers_migration.sql: it sets every editable
+-- invoice column.
+
+-- p_fields holds only the invoice columns being changed. p_items, when given,
+-- replaces the invoice's lines. Returns the new updated_at, the lines as they
+-- were before (for the stock movements) and the lines now saved.
+CREATE OR REPLACE FUNCTION public.update_invoice(
+  p_invoice_id int,
+  p_fields jsonb DEFAULT '{}'::jsonb,
+  p_items jsonb DEFAULT NULL
+)
+RETURNS jsonb AS $$
+DECLARE
+  v_previous_items jsonb;
+  v_updated_at timestamptz;
+BEGIN
+  -- Lock the invoice so concurrent edits of it run one after the other
+  PERFORM 1 FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invoice % not found', p_invoice_id USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_fields <> '{}'::jsonb THEN
+    UPDATE invoices SET
+      customer_id = CASE WHEN p_fields ? 'customer_id' THEN (p_fields->>'customer_id')::int ELSE customer_id END,
+      customer_name = CASE WHEN p_fields ? 'customer_name' THEN p_fields->>'customer_name' ELSE customer_name END,
+      customer_state = CASE WHEN p_fields ? 'customer_state' THEN p_fields->>'customer_state' ELSE customer_state END,
+      is_interstate = CASE WHEN p_fields ? 'is_interstate' THEN COALESCE((p_fields->>'is_interstate')::boolean, false) ELSE is_interstate END,
+      discount_type = CASE WHEN p_fields ? 'discount_type' THEN p_fields->>'discount_type' ELSE discount_type END,
+      discount_value = CASE WHEN p_fields ? 'discount_value' THEN COALESCE((p_fields->>'discount_value')::numeric, 0) ELSE discount_value END,
+      due_date = CASE WHEN p_fields ? 'due_date' THEN (p_fields->>'due_date')::date ELSE due_date END
+    WHERE id = p_invoice_id;
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(jsonb_build_object('product_id', product_id, 'quantity', quantity)), '[]'::jsonb)
+  INTO v_previous_items
+  FROM invoice_items
+  WHERE invoice_id = p_invoice_id;
+
+  IF p_items IS NOT NULL THEN
+    DELETE FROM invoice_items WHERE invoice_id = p_invoice_id;
+
+    INSERT INTO invoice_items (invoice_id, product_id, quantity, custom_price, tax_rate, hsn_code, discount_type, discount_value)
+    SELECT
+      p_invoice_id,
+      (line->>'product_id')::int,
+      (line->>'quantity')::int,
+      (line->>'custom_price')::numeric,
+      (line->>'tax_rate')::numeric,
+      line->>'hsn_code',
+      line->>'discount_type',
+      COALESCE((line->>'discount_value')::numeric, 0)
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS lines(line, position)
+    ORDER BY position;
+  END IF;
+
+  SELECT updated_at INTO v_updated_at FROM invoices WHERE id = p_invoice_id;
+
+  RETURN jsonb_build_object(
+    'updated_at', v_updated_at,
+    'previous_items', v_previous_items,
+    'items', (
+      SELECT COALESCE(jsonb_agg(to_jsonb(ii) ORDER BY ii.id), '[]'::jsonb)
+      FROM invoice_items ii
+      WHERE ii.invoice_id = p_invoice_id
+    )
+  );
+END; $$ LANGUAGE plpgsql;
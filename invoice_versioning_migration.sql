@@ -0,0 +1,37 @@
+-- Migration to add row versioning to invoices
+-- Offline edits record the updated_at they were made against so the sync
+-- queue can detect when another device changed the invoice in the meantime
+
+-- Add updated_at column to invoices table
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+COMMENT ON COLUMN invoices.updated_at IS 'Last time the invoice or any of its items changed. Used as the base version for offline edits.';
+
+-- Bump updated_at whenever the invoice row itself changes
+CREATE OR REPLACE FUNCTION public.touch_invoice_updated_at()
+RETURNS trigger AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invoices_touch_updated_at ON invoices;
+CREATE TRIGGER invoices_touch_updated_at
+BEFORE UPDATE ON invoices
+FOR EACH ROW EXECUTE FUNCTION public.touch_invoice_updated_at();
+
+-- Bump the parent invoice whenever one of its items is inserted, changed or removed
+CREATE OR REPLACE FUNCTION public.touch_parent_invoice()
+RETURNS trigger AS $$
+BEGIN
+  UPDATE invoices
+  SET updated_at = now()
+  WHERE id = COALESCE(NEW.invoice_id, OLD.invoice_id);
+  RETURN NULL;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS invoice_items_touch_invoice ON invoice_items;
+CREATE TRIGGER invoice_items_touch_invoice
+AFTER INSERT OR UPDATE OR DELETE ON invoice_items
+FOR EACH ROW EXECUTE FUNCTION public.touch_parent_invoice();
@@ -0,0 +1,51 @@
+-- Migration to track payments against invoices
+-- An invoice can be paid in several parts. Its status (unpaid, partially paid,
+-- paid, overdue) is worked out by the app from the invoice total, the payments
+-- recorded against it and its due date.
+
+CREATE TABLE IF NOT EXISTS payments (
+  id SERIAL PRIMARY KEY,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+  paid_on DATE NOT NULL DEFAULT current_date,
+  mode TEXT NOT NULL CHECK (mode IN ('cash', 'upi', 'card', 'bank')),
+  reference TEXT NULL,
+  created_by TEXT NULL,
+  client_id UUID NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+COMMENT ON COLUMN payments.mode IS 'cash, upi, card or bank (transfer).';
+COMMENT ON COLUMN payments.reference IS 'UPI transaction ID, card slip or bank reference, if any.';
+COMMENT ON COLUMN payments.client_id IS 'UUID generated by the client so a replayed offline payment is only recorded once.';
+
+CREATE INDEX IF NOT EXISTS idx_payments_invoice_id ON payments(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_payments_updated_at ON payments(updated_at);
+
+-- Payments are delta synced like invoices (delta_sync_migration.sql)
+DROP TRIGGER IF EXISTS payments_touch_updated_at ON payments;
+CREATE TRIGGER payments_touch_updated_at
+BEFORE UPDATE ON payments
+FOR EACH ROW EXECUTE FUNCTION public.touch_invoice_updated_at();
+
+DROP TRIGGER IF EXISTS payments_record_tombstone ON payments;
+CREATE TRIGGER payments_record_tombstone
+AFTER DELETE ON payments
+FOR EACH ROW EXECUTE FUNCTION public.record_sync_tombstone();
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'payments'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE payments;
+  END IF;
+END $$;
+
+-- Invoices fall due 30 days after they're raised unless given another date
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS due_date DATE NULL DEFAULT (current_date + 30);
+UPDATE invoices SET due_date = (created_at::date + 30) WHERE due_date IS NULL;
+
+COMMENT ON COLUMN invoices.due_date IS 'Date payment is due. Unpaid balances after this date are overdue.';
@@ -0,0 +1,22 @@
+-- Migration to compute remaining stock in the database
+-- Remaining stock is a product's stock minus everything invoiced so far. The
+-- app used to download every invoice item to add this up in the browser; the
+-- product_stock view returns it for all products (or a filtered set) in one query.
+
+-- Speeds up the per-product aggregation
+CREATE INDEX IF NOT EXISTS idx_invoice_items_product_id ON invoice_items(product_id);
+
+-- Negative remaining stock is allowed, so it is not clamped at zero
+CREATE OR REPLACE VIEW product_stock
+WITH (security_invoker = true) AS
+SELECT
+  p.id AS product_id,
+  p.name,
+  p.stock,
+  COALESCE(SUM(ii.quantity), 0) AS used,
+  p.stock - COALESCE(SUM(ii.quantity), 0) AS remaining
+FROM products p
+LEFT JOIN invoice_items ii ON ii.product_id = p.id
+GROUP BY p.id, p.name, p.stock;
+
+COMMENT ON VIEW product_stock IS 'Remaining stock per product: stock minus the quantity on all invoice items.';
@@ -0,0 +1,89 @@
+-- Migration to add purchases (restocks from suppliers)
+-- A purchase records goods coming in: the supplier, the date and one line per
+-- product with quantity and unit cost. Saving a purchase adds the quantities to
+-- products.stock and records a 'purchase' stock movement for each line.
+
+CREATE TABLE IF NOT EXISTS purchases (
+  id SERIAL PRIMARY KEY,
+  supplier_name TEXT NOT NULL,
+  purchase_date DATE NOT NULL DEFAULT current_date,
+  notes TEXT NULL,
+  created_by TEXT NULL,
+  client_id UUID NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS purchase_items (
+  id SERIAL PRIMARY KEY,
+  purchase_id INTEGER NOT NULL REFERENCES purchases(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_cost NUMERIC NOT NULL CHECK (unit_cost >= 0)
+);
+
+COMMENT ON COLUMN purchases.client_id IS 'UUID generated by the client so a replayed offline purchase is only applied once.';
+
+CREATE INDEX IF NOT EXISTS idx_purchases_purchase_date ON purchases(purchase_date DESC);
+CREATE INDEX IF NOT EXISTS idx_purchase_items_purchase_id ON purchase_items(purchase_id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'purchases'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE purchases;
+  END IF;
+END $$;
+
+-- Purchases are a new kind of stock movement
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_type_check;
+ALTER TABLE stock_movements
+ADD CONSTRAINT stock_movements_type_check
+CHECK (type IN ('sale', 'sale_edit', 'sale_reversal', 'adjustment', 'restock', 'purchase'));
+
+-- Save a purchase, its lines, the stock increase and the movements in one
+-- transaction. p_items is a JSON array of {product_id, quantity, unit_cost}.
+-- A repeated client_id returns the existing purchase instead of applying it twice.
+CREATE OR REPLACE FUNCTION public.create_purchase(
+  p_supplier_name text,
+  p_purchase_date date,
+  p_items jsonb,
+  p_notes text DEFAULT NULL,
+  p_created_by text DEFAULT NULL,
+  p_client_id uuid DEFAULT NULL
+)
+RETURNS purchases AS $$
+DECLARE
+  purchase purchases;
+  line jsonb;
+BEGIN
+  IF p_client_id IS NOT NULL THEN
+    SELECT * INTO purchase FROM purchases WHERE client_id = p_client_id;
+    IF FOUND THEN
+      RETURN purchase;
+    END IF;
+  END IF;
+
+  IF jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'A purchase needs at least one line';
+  END IF;
+
+  INSERT INTO purchases (supplier_name, purchase_date, notes, created_by, client_id)
+  VALUES (p_supplier_name, COALESCE(p_purchase_date, current_date), p_notes, p_created_by, p_client_id)
+  RETURNING * INTO purchase;
+
+  FOR line IN SELECT * FROM jsonb_array_elements(p_items) LOOP
+    INSERT INTO purchase_items (purchase_id, product_id, quantity, unit_cost)
+    VALUES (purchase.id, (line->>'product_id')::int, (line->>'quantity')::int, (line->>'unit_cost')::numeric);
+
+    UPDATE public.products
+    SET stock = stock + (line->>'quantity')::int
+    WHERE id = (line->>'product_id')::int;
+
+    INSERT INTO stock_movements (product_id, quantity, type, reason, reference_type, reference_id, created_by)
+    VALUES ((line->>'product_id')::int, (line->>'quantity')::int, 'purchase', 'Purchase from ' || p_supplier_name, 'purchase', purchase.id, p_created_by);
+  END LOOP;
+
+  RETURN purchase;
+END; $$ LANGUAGE plpgsql security definer SET search_path = public;
@@ -0,0 +1,26 @@
+-- Migration to add reorder levels
+-- A product is low on stock once its remaining stock is at or below its
+-- reorder level; the reorder quantity is how much is normally ordered then.
+-- A reorder level of 0 turns the alert off for that product.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_level INTEGER NOT NULL DEFAULT 0 CHECK (reorder_level >= 0);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_quantity INTEGER NOT NULL DEFAULT 0 CHECK (reorder_quantity >= 0);
+
+COMMENT ON COLUMN products.reorder_level IS 'Remaining stock at or below which the product needs reordering. 0 disables the alert.';
+COMMENT ON COLUMN products.reorder_quantity IS 'Quantity normally ordered when the product reaches its reorder level.';
+
+-- Expose the levels next to remaining stock so threshold checks need one query.
+-- New columns go at the end, as CREATE OR REPLACE VIEW requires.
+CREATE OR REPLACE VIEW product_stock
+WITH (security_invoker = true) AS
+SELECT
+  p.id AS product_id,
+  p.name,
+  p.stock,
+  COALESCE(SUM(ii.quantity), 0) AS used,
+  p.stock - COALESCE(SUM(ii.quantity), 0) AS remaining,
+  p.reorder_level,
+  p.reorder_quantity
+FROM products p
+LEFT JOIN invoice_items ii ON ii.product_id = p.id
+GROUP BY p.id, p.name, p.stock, p.reorder_level, p.reorder_quantity;
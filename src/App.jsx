@@ -3,14 +3,21 @@ import ProductsPage from './pages/ProductsPage.jsx'
 import InvoicesPage from './pages/InvoicesPage.jsx'
 import InvoiceDetailPage from './pages/InvoiceDetailPage.jsx'
 import CreateInvoicePage from './pages/CreateInvoicePage.jsx'
+import PurchasesPage from './pages/PurchasesPage.jsx'
+import StockTakePage from './pages/StockTakePage.jsx'
+import CustomersPage from './pages/CustomersPage.jsx'
+import CustomerLedgerPage from './pages/CustomerLedgerPage.jsx'
+import ReceivablesPage from './pages/ReceivablesPage.jsx'
 import ConnectionStatus from "./components/ConnectionStatus.jsx";
 import SyncDebugger from "./components/SyncDebugger.jsx";
-import { ToastContainer } from "react-toastify";
+import SyncConflicts from "./components/SyncConflicts.jsx";
+import { ToastContainer, toast } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import { I18nProvider } from "./i18n.jsx";
 import { useI18n } from "./hooks/useI18n.js";
 import { useEffect, useState } from "react";
-import { startAutoSync } from "./offline/sync.js";
+import { startAutoSync, getSyncStatus } from "./offline/sync.js";
+import { getDatabaseStatus } from "./offline/idb.js";
 
 function AppShell() {
   const { t, lang, setLang } = useI18n();
@@ -28,9 +35,40 @@ function AppShell() {
     else root.removeAttribute("data-theme");
   }, [theme]);
 
+  useEffect(() => {
+    // A failed IndexedDB upgrade is rolled back; tell the user offline storage is unavailable
+    getDatabaseStatus().then(({ ready, error }) => {
+      if (ready) return;
+      const step = error.version ? ` (upgrading to version ${error.version}: ${error.description})` : "";
+      toast.error(`Offline storage could not be opened${step}. Offline changes can't be saved. Try reloading the app.`, {
+        autoClose: false,
+      });
+    });
+  }, []);
+
+  useEffect(() => {
+    // An invoice (or an offline one that just synced) took products to their reorder level
+    const handleLowStock = (e) => {
+      const names = e.detail.products.map((p) => `${p.name} (${p.remaining})`).join(", ");
+      toast.warning(t("low_stock_alert")(names));
+    };
+    // An offline invoice synced after other sales had already used up the stock it counted on
+    const handleConcurrentOversell = (e) => {
+      const { invoiceId, customerName, products } = e.detail;
+      const names = products.map((p) => `${p.name} (${p.remaining})`).join(", ");
+      toast.error(t("concurrent_oversell_alert")(invoiceId, customerName, names), { autoClose: false });
+    };
+    window.addEventListener("lowStock", handleLowStock);
+    window.addEventListener("concurrentOversell", handleConcurrentOversell);
+    return () => {
+      window.removeEventListener("lowStock", handleLowStock);
+      window.removeEventListener("concurrentOversell", handleConcurrentOversell);
+    };
+  }, [t]);
+
   useEffect(() => {
     // Initialize auto-sync when app starts
-    if (navigator.onLine) {
+    if (getSyncStatus().isOnline) {
       startAutoSync();
     }
 
@@ -116,6 +154,38 @@ function AppShell() {
             >
               {t("nav_create")}
             </NavLink>
+            <NavLink
+              to="/customers"
+              className={({ isActive }) =>
+                `nav-link ${isActive ? "is-active" : ""}`
+              }
+            >
+              {t("nav_customers")}
+            </NavLink>
+            <NavLink
+              to="/receivables"
+              className={({ isActive }) =>
+                `nav-link ${isActive ? "is-active" : ""}`
+              }
+            >
+              {t("nav_receivables")}
+            </NavLink>
+            <NavLink
+              to="/purchases"
+              className={({ isActive }) =>
+                `nav-link ${isActive ? "is-active" : ""}`
+              }
+            >
+              {t("nav_purchases")}
+            </NavLink>
+            <NavLink
+              to="/stock-take"
+              className={({ isActive }) =>
+                `nav-link ${isActive ? "is-active" : ""}`
+              }
+            >
+              {t("nav_stock_take")}
+            </NavLink>
           </nav>
           <div className="cluster">
             <SyncDebugger />
@@ -148,6 +218,7 @@ function AppShell() {
           </div>
         </div>
       </header>
+      <SyncConflicts />
       <main className="main">
         <div className="container">
           <Routes>
@@ -155,6 +226,11 @@ function AppShell() {
             <Route path="/invoices" element={<InvoicesPage />} />
             <Route path="/invoices/new" element={<CreateInvoicePage />} />
             <Route path="/invoices/:id" element={<InvoiceDetailPage />} />
+            <Route path="/customers" element={<CustomersPage />} />
+            <Route path="/customers/:id" element={<CustomerLedgerPage />} />
+            <Route path="/receivables" element={<ReceivablesPage />} />
+            <Route path="/purchases" element={<PurchasesPage />} />
+            <Route path="/stock-take" element={<StockTakePage />} />
           </Routes>
         </div>
       </main>
@@ -2,8 +2,14 @@ import { useEffect, useState } from 'react'
 import { manualSync, getSyncStatus } from '../offline/sync.js'
 import { getPendingSyncCount } from '../offline/idb.js'
 
+const STATUS_LABELS = {
+  online: '🟢 Online',
+  degraded: '🟡 Slow connection',
+  offline: '🔴 Offline'
+}
+
 export default function ConnectionStatus() {
-  const [status, setStatus] = useState({ isOnline: navigator.onLine, syncInProgress: false })
+  const [status, setStatus] = useState(() => getSyncStatus())
   const [pendingCount, setPendingCount] = useState(0)
 
   useEffect(() => {
@@ -22,8 +28,9 @@ export default function ConnectionStatus() {
     // Update status every 5 seconds
     const interval = setInterval(updateStatus, 5000)
     
-    // Listen for connection status changes
+    // Listen for connection status changes and sync progress (possibly from another tab)
     window.addEventListener('connectionStatusChanged', handleConnectionChange)
+    window.addEventListener('syncProgress', handleConnectionChange)
     
     // Initial status
     updateStatus()
@@ -31,6 +38,7 @@ export default function ConnectionStatus() {
     return () => {
       clearInterval(interval)
       window.removeEventListener('connectionStatusChanged', handleConnectionChange)
+      window.removeEventListener('syncProgress', handleConnectionChange)
     }
   }, [])
 
@@ -46,23 +54,23 @@ export default function ConnectionStatus() {
     }, 1000)
   }
 
-  if (status.isOnline && pendingCount === 0 && !status.syncInProgress) {
+  if (status.connectivity === 'online' && pendingCount === 0 && !status.syncInProgress) {
     return null // Don't show anything when everything is synced and online
   }
 
   return (
     <div className="connection-status">
       <div className="connection-indicator">
-        <div className={`status-dot ${status.isOnline ? 'online' : 'offline'}`}></div>
+        <div className={`status-dot ${status.connectivity}`}></div>
         <span className="status-text">
-          {status.isOnline ? '🟢 Online' : '🔴 Offline'}
+          {STATUS_LABELS[status.connectivity]}
         </span>
       </div>
       
       {status.syncInProgress && (
         <div className="sync-status">
           <span className="sync-spinner">🔄</span>
-          Syncing...
+          {status.isLeader ? 'Syncing...' : 'Syncing in another tab...'}
         </div>
       )}
       
@@ -88,6 +96,12 @@ export default function ConnectionStatus() {
           Changes saved locally. Will sync when online.
         </div>
       )}
+      
+      {status.connectivity === 'degraded' && (
+        <div className="offline-message">
+          Server is slow to respond. Changes that can't be sent are saved locally.
+        </div>
+      )}
     </div>
   )
 }
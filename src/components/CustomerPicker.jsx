@@ -0,0 +1,166 @@
+import { useEffect, useState } from 'react'
+import { toast } from 'react-toastify'
+import {
+  listCustomers,
+  createCustomer,
+  subscribeCustomers,
+  searchCustomers,
+  findCustomerByName
+} from '../services/customersService.js'
+import { INDIAN_STATES } from '../services/taxService.js'
+import { useI18n } from '../hooks/useI18n.js'
+
+const MAX_MATCHES = 8
+
+// Search the customer master for the invoice's customer, or add one on the spot
+export default function CustomerPicker({ customer, onSelect }) {
+  const { t } = useI18n()
+  const [customers, setCustomers] = useState([])
+  const [query, setQuery] = useState('')
+  // Quick-add form, null while closed
+  const [newCustomer, setNewCustomer] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    load()
+    const sub = subscribeCustomers(() => load())
+    // Offline customers replayed by the sync queue (in this or another tab)
+    window.addEventListener('cacheChanged', load)
+    return () => {
+      sub.unsubscribe()
+      window.removeEventListener('cacheChanged', load)
+    }
+  }, [])
+
+  async function load() {
+    const { data, error } = await listCustomers()
+    if (error) return toast.error(error.message)
+    setCustomers(data || [])
+  }
+
+  function choose(c) {
+    setQuery('')
+    setNewCustomer(null)
+    onSelect(c)
+  }
+
+  async function onQuickAdd(e) {
+    e.preventDefault()
+    setSaving(true)
+    const { data, error } = await createCustomer(newCustomer)
+    setSaving(false)
+    if (error) return toast.error(error.message)
+    toast.success(data._offline ? t('customer_added_offline') : t('customer_added'))
+    setCustomers([...customers, data])
+    choose(data)
+  }
+
+  if (customer) {
+    return (
+      <div className="card card--pad cluster wrap between">
+        <div>
+          <div className="font-semibold">
+            {customer.name}
+            {customer._offline && <span className="offline-indicator">Offline</span>}
+          </div>
+          <div className="muted">
+            {[customer.phone, customer.gstin && `${t('gstin')}: ${customer.gstin}`].filter(Boolean).join(' · ')}
+          </div>
+        </div>
+        <button type="button" className="button button--sm" onClick={() => onSelect(null)}>
+          {t('change')}
+        </button>
+      </div>
+    )
+  }
+
+  if (newCustomer) {
+    return (
+      <form className="card card--pad stack" onSubmit={onQuickAdd}>
+        <h3 className="font-semibold">{t('add_customer')}</h3>
+        <input
+          className="input"
+          placeholder={t('customer_name_placeholder')}
+          value={newCustomer.name}
+          onChange={(e) => setNewCustomer({ ...newCustomer, name: e.target.value })}
+          required
+        />
+        <div className="grid" style={{ gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+          <input
+            className="input"
+            placeholder={t('phone')}
+            value={newCustomer.phone}
+            onChange={(e) => setNewCustomer({ ...newCustomer, phone: e.target.value })}
+          />
+          <input
+            className="input"
+            placeholder={t('gstin')}
+            value={newCustomer.gstin}
+            onChange={(e) => setNewCustomer({ ...newCustomer, gstin: e.target.value })}
+          />
+        </div>
+        <select
+          className="input"
+          value={newCustomer.state}
+          aria-label={t('customer_state')}
+          onChange={(e) => setNewCustomer({ ...newCustomer, state: e.target.value })}
+        >
+          <option value="">{t('customer_state')}</option>
+          {INDIAN_STATES.map((state) => (
+            <option key={state.code} value={state.code}>
+              {state.code} - {state.name}
+            </option>
+          ))}
+        </select>
+        <div className="cluster">
+          <button disabled={saving} className="button button--sm button--primary">
+            {saving ? '...' : t('add')}
+          </button>
+          <button type="button" className="button button--sm" onClick={() => setNewCustomer(null)}>
+            {t('cancel')}
+          </button>
+        </div>
+      </form>
+    )
+  }
+
+  const matches = query.trim() ? searchCustomers(customers, query).slice(0, MAX_MATCHES) : []
+  const exactMatch = findCustomerByName(customers, query)
+
+  return (
+    <div className="stack" style={{ gap: '0.25rem' }}>
+      <input
+        className="input"
+        placeholder={t('search_customer')}
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+      {query.trim() && (
+        <div className="card">
+          {matches.map((c) => (
+            <button
+              key={c.id}
+              type="button"
+              className="button button--link"
+              style={{ display: 'block', width: '100%', textAlign: 'left', padding: '0.5rem 0.75rem' }}
+              onClick={() => choose(c)}
+            >
+              {c.name}
+              {(c.phone || c.gstin) && <span className="muted"> · {c.phone || c.gstin}</span>}
+            </button>
+          ))}
+          {!exactMatch && (
+            <button
+              type="button"
+              className="button button--link"
+              style={{ display: 'block', width: '100%', textAlign: 'left', padding: '0.5rem 0.75rem' }}
+              onClick={() => setNewCustomer({ name: query.trim(), phone: '', gstin: '', state: '' })}
+            >
+              + {t('add_customer')} “{query.trim()}”
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+import { DISCOUNT_TYPES } from '../services/discountService.js'
+import { useI18n } from '../hooks/useI18n.js'
+
+// Amount and kind (% or ₹) of a line or invoice discount, as entered
+export default function DiscountInput({ type, value, onChange }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="cluster" style={{ gap: '0.25rem' }}>
+      <input
+        type="number"
+        min="0"
+        step="0.01"
+        className="input input--sm"
+        style={{ maxWidth: '5rem' }}
+        placeholder="0"
+        aria-label={t('discount')}
+        value={value}
+        onChange={e => onChange({ type, value: e.target.value })}
+      />
+      <select
+        className="input input--sm"
+        style={{ width: 'auto' }}
+        aria-label={t('discount_type')}
+        value={type || DISCOUNT_TYPES.PERCENT}
+        onChange={e => onChange({ type: e.target.value, value })}
+      >
+        <option value={DISCOUNT_TYPES.PERCENT}>%</option>
+        <option value={DISCOUNT_TYPES.FLAT}>₹</option>
+      </select>
+    </div>
+  )
+}
@@ -0,0 +1,6 @@
+import { useI18n } from '../hooks/useI18n.js'
+
+export default function PaymentStatusBadge({ status }) {
+  const { t } = useI18n()
+  return <span className={`status-badge status-badge--${status}`}>{t(`status_${status}`)}</span>
+}
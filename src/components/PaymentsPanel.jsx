@@ -0,0 +1,176 @@
+import { useCallback, useEffect, useState } from 'react'
+import { toast } from 'react-toastify'
+import {
+  listPayments,
+  recordPayment,
+  deletePayment,
+  subscribePayments,
+  summarizePayments,
+  localDate,
+  PAYMENT_MODES
+} from '../services/paymentsService.js'
+import PaymentStatusBadge from './PaymentStatusBadge.jsx'
+import { useI18n } from '../hooks/useI18n.js'
+
+const emptyForm = () => ({ amount: '', paidOn: localDate(), mode: 'cash', reference: '' })
+
+export default function PaymentsPanel({ invoice, total }) {
+  const { t } = useI18n()
+  const [payments, setPayments] = useState([])
+  const [form, setForm] = useState(emptyForm)
+  const [saving, setSaving] = useState(false)
+
+  const load = useCallback(async () => {
+    const { data, error } = await listPayments(invoice.id)
+    if (error) return toast.error(error.message)
+    setPayments(data || [])
+  }, [invoice.id])
+
+  useEffect(() => {
+    load()
+    const sub = subscribePayments(() => load())
+    // Offline payments replayed by the sync queue (in this or another tab)
+    window.addEventListener('cacheChanged', load)
+    return () => {
+      sub.unsubscribe()
+      window.removeEventListener('cacheChanged', load)
+    }
+  }, [load])
+
+  const summary = summarizePayments(invoice, total, payments)
+
+  async function onRecord(e) {
+    e.preventDefault()
+    setSaving(true)
+    // An empty amount settles the balance
+    const amount = form.amount === '' ? summary.balance : form.amount
+    const { data, error } = await recordPayment(invoice.id, { ...form, amount })
+    setSaving(false)
+    if (error) return toast.error(error.message)
+    toast.success(data._offline ? t('payment_recorded_offline') : t('payment_recorded'))
+    setForm(emptyForm())
+    load()
+  }
+
+  async function onDelete(payment) {
+    if (!confirm(t('confirm_delete_payment'))) return
+    const { error } = await deletePayment(payment)
+    if (error) return toast.error(error.message)
+    load()
+  }
+
+  return (
+    <div className="card card--pad stack">
+      <div className="cluster wrap between">
+        <h3 className="font-semibold">{t('payments')}</h3>
+        <PaymentStatusBadge status={summary.status} />
+      </div>
+      <div className="cluster wrap" style={{ gap: '1.5rem' }}>
+        <div>
+          <div className="muted">{t('total')}</div>
+          <div className="font-semibold">₹{summary.total.toFixed(2)}</div>
+        </div>
+        <div>
+          <div className="muted">{t('paid')}</div>
+          <div className="font-semibold">₹{summary.paid.toFixed(2)}</div>
+        </div>
+        <div>
+          <div className="muted">{t('balance')}</div>
+          <div className="font-semibold" style={{ color: summary.balance > 0 ? 'var(--danger)' : 'var(--success)' }}>
+            ₹{summary.balance.toFixed(2)}
+          </div>
+        </div>
+        <div>
+          <div className="muted">{t('due_date')}</div>
+          <div className="font-semibold">{new Date(summary.due_date).toLocaleDateString()}</div>
+        </div>
+      </div>
+
+      {summary.balance > 0 && (
+        <form className="cluster wrap" onSubmit={onRecord}>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            className="input input--sm"
+            style={{ width: '8rem' }}
+            placeholder={summary.balance.toFixed(2)}
+            aria-label={t('amount')}
+            value={form.amount}
+            onChange={(e) => setForm({ ...form, amount: e.target.value })}
+          />
+          <input
+            type="date"
+            className="input input--sm"
+            style={{ width: 'auto' }}
+            aria-label={t('date')}
+            value={form.paidOn}
+            onChange={(e) => setForm({ ...form, paidOn: e.target.value })}
+            required
+          />
+          <select
+            className="input input--sm"
+            style={{ width: 'auto' }}
+            aria-label={t('payment_mode')}
+            value={form.mode}
+            onChange={(e) => setForm({ ...form, mode: e.target.value })}
+          >
+            {PAYMENT_MODES.map((mode) => (
+              <option key={mode} value={mode}>{t(`payment_mode_${mode}`)}</option>
+            ))}
+          </select>
+          <input
+            className="input input--sm"
+            style={{ flex: 1 }}
+            placeholder={t('payment_reference')}
+            value={form.reference}
+            onChange={(e) => setForm({ ...form, reference: e.target.value })}
+          />
+          <button disabled={saving} className="button button--sm button--primary">
+            {saving ? '...' : t('record_payment')}
+          </button>
+        </form>
+      )}
+
+      {payments.length === 0 ? (
+        <p className="muted">{t('no_payments')}</p>
+      ) : (
+        <table className="table">
+          <thead className="thead">
+            <tr>
+              <th className="th">{t('date')}</th>
+              <th className="th text-right">{t('amount')}</th>
+              <th className="th">{t('payment_mode')}</th>
+              <th className="th">{t('payment_reference')}</th>
+              <th className="th">{t('user')}</th>
+              <th className="th"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {payments.map((payment) => (
+              <tr key={payment.id} className="tr">
+                <td className="td">
+                  {new Date(payment.paid_on).toLocaleDateString()}
+                  {payment._offline && <span className="offline-indicator">Offline</span>}
+                </td>
+                <td className="td text-right">₹{Number(payment.amount).toFixed(2)}</td>
+                <td className="td">{t(`payment_mode_${payment.mode}`)}</td>
+                <td className="td">{payment.reference || '—'}</td>
+                <td className="td">{payment.created_by || '—'}</td>
+                <td className="td">
+                  <button
+                    className="button button--link"
+                    style={{ color: 'var(--danger)' }}
+                    onClick={() => onDelete(payment)}
+                  >
+                    {t('delete')}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,124 @@
+import { useCallback, useEffect, useState } from 'react'
+import { toast } from 'react-toastify'
+import { listStockMovements, adjustStock, subscribeStockMovements, MOVEMENT_TYPES } from '../services/stockMovementsService.js'
+import { useI18n } from '../hooks/useI18n.js'
+
+function formatReference(movement) {
+  if (!movement.reference_type) return '—'
+  return movement.reference_id ? `${movement.reference_type} #${movement.reference_id}` : movement.reference_type
+}
+
+export default function StockMovementsPanel({ product, onAdjusted }) {
+  const { t } = useI18n()
+  const [movements, setMovements] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [form, setForm] = useState({ quantity: '', type: MOVEMENT_TYPES.RESTOCK, reason: '' })
+  const [saving, setSaving] = useState(false)
+
+  const load = useCallback(async () => {
+    setLoading(true)
+    const { data, error } = await listStockMovements(product.id)
+    setLoading(false)
+    if (error) return toast.error(error.message)
+    setMovements(data || [])
+  }, [product.id])
+
+  useEffect(() => {
+    load()
+    const sub = subscribeStockMovements(() => load())
+    window.addEventListener('cacheChanged', load)
+    return () => {
+      sub.unsubscribe()
+      window.removeEventListener('cacheChanged', load)
+    }
+  }, [load])
+
+  async function onAdjust(e) {
+    e.preventDefault()
+    const quantity = Number(form.quantity)
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      return toast.error(t('adjust_quantity_invalid'))
+    }
+    // A restock always adds stock; adjustments keep their sign
+    const signed = form.type === MOVEMENT_TYPES.RESTOCK ? Math.abs(quantity) : quantity
+
+    setSaving(true)
+    const { error } = await adjustStock(product.id, signed, { type: form.type, reason: form.reason.trim() || null })
+    setSaving(false)
+    if (error) return toast.error(error.message)
+    toast.success(t('stock_adjusted'))
+    setForm({ quantity: '', type: form.type, reason: '' })
+    await load()
+    onAdjusted()
+  }
+
+  return (
+    <div className="stack" style={{ padding: '0.75rem' }}>
+      <form className="cluster wrap" onSubmit={onAdjust}>
+        <select
+          className="input input--sm"
+          value={form.type}
+          onChange={(e) => setForm({ ...form, type: e.target.value })}
+        >
+          <option value={MOVEMENT_TYPES.RESTOCK}>{t('movement_restock')}</option>
+          <option value={MOVEMENT_TYPES.ADJUSTMENT}>{t('movement_adjustment')}</option>
+        </select>
+        <input
+          className="input input--sm"
+          style={{ width: '6rem' }}
+          placeholder={t('qty')}
+          value={form.quantity}
+          onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+          required
+        />
+        <input
+          className="input input--sm"
+          style={{ flex: 1 }}
+          placeholder={t('reason')}
+          value={form.reason}
+          onChange={(e) => setForm({ ...form, reason: e.target.value })}
+          required={form.type === MOVEMENT_TYPES.ADJUSTMENT}
+        />
+        <button disabled={saving} className="button button--sm button--primary">
+          {saving ? '...' : t('apply')}
+        </button>
+      </form>
+
+      {loading ? (
+        <p className="muted">Loading .....</p>
+      ) : movements.length === 0 ? (
+        <p className="muted">{t('no_movements')}</p>
+      ) : (
+        <table className="table">
+          <thead className="thead">
+            <tr>
+              <th className="th">{t('date')}</th>
+              <th className="th">{t('movement_type')}</th>
+              <th className="th text-right">{t('qty')}</th>
+              <th className="th">{t('reason')}</th>
+              <th className="th">{t('reference')}</th>
+              <th className="th">{t('user')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {movements.map((m) => (
+              <tr key={m.id} className="tr">
+                <td className="td">
+                  {new Date(m.created_at).toLocaleString()}
+                  {m._offline && <span className="offline-indicator">Offline</span>}
+                </td>
+                <td className="td">{t(`movement_${m.type}`)}</td>
+                <td className="td text-right" style={{ color: m.quantity < 0 ? 'var(--danger)' : 'var(--success)' }}>
+                  {m.quantity > 0 ? `+${m.quantity}` : m.quantity}
+                </td>
+                <td className="td">{m.reason || '—'}</td>
+                <td className="td">{formatReference(m)}</td>
+                <td className="td">{m.created_by || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,156 @@
+import { useEffect, useState } from 'react'
+import { toast } from 'react-toastify'
+import { listConflicts, mergeConflictItems, resolveConflict, discardLocalChanges } from '../offline/conflicts.js'
+import { manualSync } from '../offline/sync.js'
+import { hasDiscount, formatDiscount } from '../services/discountService.js'
+
+function formatLine(line) {
+  if (!line) return '—'
+  const price = line.custom_price !== null && line.custom_price !== undefined
+    ? ` @ ₹${Number(line.custom_price).toFixed(2)}`
+    : ''
+  const discount = hasDiscount(line) ? ` −${formatDiscount(line)}` : ''
+  return `${line.quantity}${price}${discount}`
+}
+
+function ConflictCard({ conflict, onResolved }) {
+  const [choices, setChoices] = useState({})
+  const [busy, setBusy] = useState(false)
+
+  const localByProduct = new Map(conflict.local.items.map(it => [it.product_id, it]))
+  const remoteByProduct = new Map(conflict.remote.items.map(it => [it.product_id, it]))
+  const productIds = [...new Set([...localByProduct.keys(), ...remoteByProduct.keys()])]
+
+  async function run(action, message) {
+    setBusy(true)
+    try {
+      const { error } = await action()
+      if (error) return toast.error(error.message)
+      toast.success(message)
+      onResolved()
+      manualSync()
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const keepLocal = () => run(
+    () => resolveConflict(conflict.id, { customer_name: conflict.local.customer_name, items: conflict.local.items }),
+    'Kept your offline changes'
+  )
+  const keepRemote = () => run(
+    () => discardLocalChanges(conflict.id),
+    'Kept the server version'
+  )
+  const applyMerge = () => run(
+    () => resolveConflict(conflict.id, {
+      customer_name: choices.customer_name === 'remote' ? conflict.remote.customer_name : conflict.local.customer_name,
+      items: mergeConflictItems(conflict, choices)
+    }),
+    'Merged changes queued for sync'
+  )
+
+  const choose = (key, side) => setChoices(prev => ({ ...prev, [key]: side }))
+  const sideOf = (key) => choices[key] ?? 'local'
+
+  return (
+    <div className="card card--pad">
+      <div className="cluster wrap between" style={{ marginBottom: '0.5rem' }}>
+        <div className="font-semibold">Invoice #{conflict.invoiceId}</div>
+        <div className="muted">Edited offline {new Date(conflict.detectedAt).toLocaleString()}</div>
+      </div>
+      <table className="table">
+        <thead className="thead">
+          <tr>
+            <th className="th">Line</th>
+            <th className="th">Your version</th>
+            <th className="th">Server version</th>
+            <th className="th">Keep</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr className="tr">
+            <td className="td">Customer</td>
+            <td className="td">{conflict.local.customer_name}</td>
+            <td className="td">{conflict.remote.customer_name}</td>
+            <td className="td">
+              <select className="input input--sm" value={sideOf('customer_name')} onChange={e => choose('customer_name', e.target.value)}>
+                <option value="local">Yours</option>
+                <option value="remote">Server</option>
+              </select>
+            </td>
+          </tr>
+          {productIds.map(productId => {
+            const local = localByProduct.get(productId)
+            const remote = remoteByProduct.get(productId)
+            const differs = formatLine(local) !== formatLine(remote)
+            return (
+              <tr key={productId} className="tr" style={{ color: differs ? 'var(--warning)' : undefined }}>
+                <td className="td">{local?.product_name || remote?.product_name || `Product ${productId}`}</td>
+                <td className="td">{formatLine(local)}</td>
+                <td className="td">{formatLine(remote)}</td>
+                <td className="td">
+                  <select className="input input--sm" value={sideOf(productId)} onChange={e => choose(productId, e.target.value)}>
+                    <option value="local">Yours</option>
+                    <option value="remote">Server</option>
+                  </select>
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+      <div className="actions" style={{ marginTop: '0.75rem' }}>
+        <button className="button button--primary" disabled={busy} onClick={keepLocal}>Keep mine</button>
+        <button className="button" disabled={busy} onClick={keepRemote}>Keep server</button>
+        <button className="button" disabled={busy} onClick={applyMerge}>Apply merge</button>
+      </div>
+    </div>
+  )
+}
+
+export default function SyncConflicts() {
+  const [conflicts, setConflicts] = useState([])
+  const [open, setOpen] = useState(false)
+
+  const refresh = async () => {
+    try {
+      setConflicts(await listConflicts())
+    } catch (error) {
+      console.error('Error loading sync conflicts:', error)
+    }
+  }
+
+  useEffect(() => {
+    refresh()
+    window.addEventListener('syncConflictsChanged', refresh)
+    return () => window.removeEventListener('syncConflictsChanged', refresh)
+  }, [])
+
+  if (conflicts.length === 0) return null
+
+  return (
+    <div className="container" style={{ marginTop: '0.75rem' }}>
+      <div
+        className="card card--pad"
+        style={{ border: '1px solid var(--warning)', backgroundColor: 'var(--surface-alt)' }}
+      >
+        <div className="cluster wrap between">
+          <div style={{ color: 'var(--warning)', fontWeight: 'bold' }}>
+            ⚠️ {conflicts.length} offline edit(s) conflict with changes made elsewhere
+          </div>
+          <button className="button button--sm" onClick={() => setOpen(!open)}>
+            {open ? 'Hide' : 'Review'}
+          </button>
+        </div>
+        {open && (
+          <div className="stack" style={{ marginTop: '0.75rem' }}>
+            {conflicts.map(conflict => (
+              <ConflictCard key={conflict.id} conflict={conflict} onResolved={refresh} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,17 +1,211 @@
-import React, { useState, useEffect } from 'react'
-import { getSyncQueueStatus, clearFailedSyncItems, debugSyncQueue, retrySpecificItem } from '../offline/sync.js'
+import React, { useState, useEffect, useCallback } from 'react'
+import { 
+  getSyncQueueStatus, 
+  clearFailedSyncItems, 
+  debugSyncQueue, 
+  retrySpecificItem,
+  listDeadLetters,
+  editDeadLetter,
+  requeueFailedItem,
+  discardFailedItem,
+  exportDeadLetters,
+  getCompactionLog,
+  listSyncHistory,
+  exportSyncHistory,
+  clearSyncHistory
+} from '../offline/sync.js'
 import { toast } from 'react-toastify'
 
+function DeadLetterItem({ item, onChanged }) {
+  const [payloadText, setPayloadText] = useState(() => JSON.stringify(item.payload, null, 2))
+  const [busy, setBusy] = useState(false)
+
+  const handleSave = async () => {
+    let payload
+    try {
+      payload = JSON.parse(payloadText)
+    } catch {
+      toast.error('Payload is not valid JSON')
+      return
+    }
+    setBusy(true)
+    const ok = await editDeadLetter(item.id, { payload })
+    setBusy(false)
+    if (ok) toast.success(`Item ${item.id} updated`)
+    else toast.error(`Failed to update item ${item.id}`)
+    onChanged()
+  }
+
+  const handleRequeue = async () => {
+    setBusy(true)
+    const ok = await requeueFailedItem(item.id)
+    setBusy(false)
+    if (ok) toast.success(`Item ${item.id} re-queued`)
+    else toast.error(`Failed to re-queue item ${item.id}`)
+    onChanged()
+  }
+
+  const handleDiscard = async () => {
+    if (!confirm(`Discard failed ${item.kind} #${item.id}? This change will be lost.`)) return
+    setBusy(true)
+    await discardFailedItem(item.id)
+    setBusy(false)
+    onChanged()
+  }
+
+  return (
+    <div className="card card--pad" style={{ fontSize: '0.75rem' }}>
+      <div className="cluster wrap between">
+        <strong>#{item.id} {item.kind}</strong>
+        <span className="muted">
+          {item.retryCount} attempts • failed {new Date(item.failed_at).toLocaleString()}
+        </span>
+      </div>
+      <div style={{ color: 'var(--danger)', margin: '0.25rem 0' }}>{item.last_error}</div>
+      <textarea
+        className="input"
+        style={{ width: '100%', minHeight: '6rem', fontFamily: 'monospace', fontSize: '0.75rem' }}
+        value={payloadText}
+        onChange={(e) => setPayloadText(e.target.value)}
+      />
+      <div className="actions" style={{ marginTop: '0.5rem' }}>
+        <button className="button button--sm" disabled={busy} onClick={handleSave}>💾 Save</button>
+        <button className="button button--sm button--primary" disabled={busy} onClick={handleRequeue}>🔁 Re-queue</button>
+        <button className="button button--sm button--danger" disabled={busy} onClick={handleDiscard}>🗑️ Discard</button>
+      </div>
+    </div>
+  )
+}
+
+const OUTCOME_STYLES = {
+  success: { label: 'Synced', color: 'var(--success)' },
+  failed: { label: 'Failed, retrying', color: 'var(--warning)' },
+  dead_letter: { label: 'Gave up', color: 'var(--danger)' },
+  conflict: { label: 'Conflict', color: 'var(--warning)' }
+}
+
+function formatServerIds(serverIds) {
+  if (!serverIds) return null
+  return Object.entries(serverIds)
+    .filter(([, ids]) => ids.length > 0)
+    .map(([table, ids]) => `${table} ${ids.map(id => `#${id}`).join(', ')}`)
+    .join(' • ')
+}
+
+function SyncHistory({ onClose }) {
+  const [entries, setEntries] = useState([])
+  const [outcome, setOutcome] = useState('')
+  const [search, setSearch] = useState('')
+
+  const loadHistory = useCallback(async () => {
+    setEntries(await listSyncHistory({ outcome, search: search.trim() }))
+  }, [outcome, search])
+
+  useEffect(() => {
+    loadHistory()
+  }, [loadHistory])
+
+  const handleExport = async () => {
+    try {
+      const count = await exportSyncHistory({ outcome, search: search.trim() })
+      toast.success(`Exported ${count} history entries`)
+    } catch (error) {
+      console.error('Error exporting sync history:', error)
+      toast.error('Failed to export sync history')
+    }
+  }
+
+  const handleClear = async () => {
+    if (!confirm('Clear the sync history? Queued changes are not affected.')) return
+    await clearSyncHistory()
+    await loadHistory()
+  }
+
+  return (
+    <div
+      className="card card--pad stack hide-scrollbar"
+      style={{
+        position: 'absolute',
+        top: '100%',
+        right: '1rem',
+        width: 'min(40rem, calc(100vw - 2rem))',
+        maxHeight: '70vh',
+        overflow: 'auto',
+        zIndex: 20,
+        boxShadow: 'var(--shadow-lg)'
+      }}
+    >
+      <div className="cluster between">
+        <strong>Sync history ({entries.length})</strong>
+        <div className="actions">
+          <button className="button button--sm" onClick={handleExport} disabled={entries.length === 0}>
+            ⬇️ Export JSON
+          </button>
+          <button className="button button--sm button--danger" onClick={handleClear} disabled={entries.length === 0}>
+            🗑️ Clear
+          </button>
+          <button className="button button--sm" onClick={onClose}>✕</button>
+        </div>
+      </div>
+      <div className="cluster wrap">
+        <select className="input input--sm" value={outcome} onChange={(e) => setOutcome(e.target.value)}>
+          <option value="">All outcomes</option>
+          {Object.entries(OUTCOME_STYLES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          className="input input--sm"
+          style={{ flex: 1 }}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search kind, customer, ID or error"
+        />
+      </div>
+      {entries.length === 0 ? (
+        <div className="muted">No history entries.</div>
+      ) : (
+        entries.map(entry => {
+          const style = OUTCOME_STYLES[entry.outcome] ?? { label: entry.outcome, color: 'var(--muted)' }
+          const serverIds = formatServerIds(entry.server_ids)
+          return (
+            <div key={entry.id} style={{ fontSize: '0.75rem', borderBottom: '1px solid var(--border)', paddingBottom: '0.5rem' }}>
+              <div className="cluster wrap between">
+                <strong>#{entry.queue_id} {entry.kind}</strong>
+                <span style={{ color: style.color }}>{style.label}{entry.attempt > 1 ? ` (attempt ${entry.attempt})` : ''}</span>
+              </div>
+              <div>{entry.summary}</div>
+              <div className="muted">
+                {entry.queued_at && <>Queued {new Date(entry.queued_at).toLocaleString()} • </>}
+                Processed {new Date(entry.finished_at).toLocaleString()} ({entry.finished_at - entry.started_at} ms)
+              </div>
+              {serverIds && <div>Server IDs: {serverIds}</div>}
+              {entry.error && <div style={{ color: 'var(--danger)' }}>{entry.error}</div>}
+            </div>
+          )
+        })
+      )}
+    </div>
+  )
+}
+
 export default function SyncDebugger() {
   const [syncStatus, setSyncStatus] = useState(null)
   const [loading, setLoading] = useState(false)
   const [retryItemId, setRetryItemId] = useState('')
+  const [deadLetters, setDeadLetters] = useState([])
+  const [showDeadLetters, setShowDeadLetters] = useState(false)
+  const [compactionLog, setCompactionLog] = useState([])
+  const [showCompaction, setShowCompaction] = useState(false)
+  const [showHistory, setShowHistory] = useState(false)
 
   const refreshStatus = async () => {
     setLoading(true)
     try {
       const status = await getSyncQueueStatus()
       setSyncStatus(status)
+      setDeadLetters(await listDeadLetters())
+      setCompactionLog(getCompactionLog())
     } catch (error) {
       console.error('Error getting sync status:', error)
     } finally {
@@ -44,7 +238,7 @@ export default function SyncDebugger() {
     try {
       const status = await getSyncQueueStatus()
       if (status.retrying > 0 || status.failed > 0) {
-        // Reset retry counts for all items
+        // Retry items waiting out a backoff now
         const queue = await debugSyncQueue()
         if (queue && queue.length > 0) {
           for (const item of queue) {
@@ -53,6 +247,10 @@ export default function SyncDebugger() {
             }
           }
         }
+        // Give failed items another full set of attempts
+        for (const item of await listDeadLetters()) {
+          await requeueFailedItem(item.id)
+        }
         await refreshStatus()
         toast.success('Retried all failed items')
       }
@@ -72,6 +270,9 @@ export default function SyncDebugger() {
       if (success) {
         toast.success(`Item ${retryItemId} synced successfully`)
         setRetryItemId('')
+      } else if (success === null) {
+        // Handed to the tab that owns the queue
+        setRetryItemId('')
       } else {
         toast.error(`Item ${retryItemId} still failed`)
       }
@@ -84,6 +285,16 @@ export default function SyncDebugger() {
     }
   }
 
+  const handleExportDeadLetters = async () => {
+    try {
+      const count = await exportDeadLetters()
+      toast.success(`Exported ${count} failed items`)
+    } catch (error) {
+      console.error('Error exporting failed items:', error)
+      toast.error('Failed to export failed items')
+    }
+  }
+
   useEffect(() => {
     refreshStatus()
   }, [])
@@ -101,6 +312,11 @@ export default function SyncDebugger() {
       <span>Total: <strong>{syncStatus.total}</strong></span>
       <span>Pending: <strong style={{ color: 'var(--primary)' }}>{syncStatus.pending}</strong></span>
       <span>Retrying: <strong style={{ color: 'var(--warning)' }}>{syncStatus.retrying}</strong></span>
+      {syncStatus.blocked > 0 && (
+        <span title="Waiting on an earlier change to the same record">
+          Blocked: <strong style={{ color: 'var(--muted)' }}>{syncStatus.blocked}</strong>
+        </span>
+      )}
       <span>Failed: <strong style={{ color: 'var(--danger)' }}>{syncStatus.failed}</strong></span>
       
       <button 
@@ -122,6 +338,15 @@ export default function SyncDebugger() {
         🐛
       </button>
       
+      <button 
+        onClick={() => setShowHistory(!showHistory)} 
+        className="btn btn--sm btn--secondary"
+        style={{ fontSize: '0.75rem', padding: '0.25rem 0.5rem' }}
+        title="Show sync history"
+      >
+        📜
+      </button>
+      
       {(syncStatus.retrying > 0 || syncStatus.failed > 0) && (
         <button 
           onClick={handleRetryAll} 
@@ -134,7 +359,18 @@ export default function SyncDebugger() {
         </button>
       )}
       
-      {syncStatus.failed > 0 && (
+      {compactionLog.length > 0 && (
+        <button 
+          onClick={() => setShowCompaction(!showCompaction)} 
+          className="btn btn--sm btn--secondary"
+          style={{ fontSize: '0.75rem', padding: '0.25rem 0.5rem' }}
+          title="Show compacted offline operations"
+        >
+          🗜️ {compactionLog.length}
+        </button>
+      )}
+      
+      {syncStatus.retrying > 0 && (
         <>
           <input
             type="number"
@@ -158,6 +394,19 @@ export default function SyncDebugger() {
           >
             ▶️
           </button>
+        </>
+      )}
+      
+      {syncStatus.failed > 0 && (
+        <>
+          <button 
+            onClick={() => setShowDeadLetters(!showDeadLetters)} 
+            className="btn btn--sm btn--secondary"
+            style={{ fontSize: '0.75rem', padding: '0.25rem 0.5rem' }}
+            title="Inspect failed sync items"
+          >
+            📥
+          </button>
           <button 
             onClick={handleClearFailed} 
             disabled={loading}
@@ -169,6 +418,68 @@ export default function SyncDebugger() {
           </button>
         </>
       )}
+      
+      {showHistory && <SyncHistory onClose={() => setShowHistory(false)} />}
+      
+      {showCompaction && (
+        <div
+          className="card card--pad stack hide-scrollbar"
+          style={{
+            position: 'absolute',
+            top: '100%',
+            right: '1rem',
+            width: 'min(32rem, calc(100vw - 2rem))',
+            maxHeight: '70vh',
+            overflow: 'auto',
+            zIndex: 20,
+            boxShadow: 'var(--shadow-lg)'
+          }}
+        >
+          <div className="cluster between">
+            <strong>Compacted operations</strong>
+            <button className="button button--sm" onClick={() => setShowCompaction(false)}>✕</button>
+          </div>
+          {compactionLog.map((entry, index) => (
+            <div key={index} style={{ fontSize: '0.75rem' }}>
+              <span className="muted">{new Date(entry.compactedAt).toLocaleTimeString()} • {entry.entity}</span>
+              <div>{entry.description}</div>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      {showDeadLetters && (
+        <div
+          className="card card--pad stack hide-scrollbar"
+          style={{
+            position: 'absolute',
+            top: '100%',
+            right: '1rem',
+            width: 'min(32rem, calc(100vw - 2rem))',
+            maxHeight: '70vh',
+            overflow: 'auto',
+            zIndex: 20,
+            boxShadow: 'var(--shadow-lg)'
+          }}
+        >
+          <div className="cluster between">
+            <strong>Failed sync items ({deadLetters.length})</strong>
+            <div className="actions">
+              <button className="button button--sm" onClick={handleExportDeadLetters} disabled={deadLetters.length === 0}>
+                ⬇️ Export JSON
+              </button>
+              <button className="button button--sm" onClick={() => setShowDeadLetters(false)}>✕</button>
+            </div>
+          </div>
+          {deadLetters.length === 0 ? (
+            <div className="muted">No failed items.</div>
+          ) : (
+            deadLetters.map(item => (
+              <DeadLetterItem key={item.id} item={item} onChanged={refreshStatus} />
+            ))
+          )}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,35 @@
+import { formatDiscount } from '../services/discountService.js'
+import { useI18n } from '../hooks/useI18n.js'
+
+function formatAmount(amount) {
+  return amount < 0 ? `−₹${(-amount).toFixed(2)}` : `₹${amount.toFixed(2)}`
+}
+
+// Invoice totals: discounts, then the GST breakup (CGST + SGST within the
+// state, IGST across states)
+export default function TaxSummary({ totals, interState, discount = null }) {
+  const { t } = useI18n()
+  const discounted = totals.line_discount > 0 || totals.invoice_discount > 0
+  const rows = [
+    ...(discounted ? [[t('subtotal'), totals.gross]] : []),
+    ...(totals.line_discount > 0 ? [[t('line_discounts'), -totals.line_discount]] : []),
+    ...(totals.invoice_discount > 0 ? [[`${t('invoice_discount')} (${formatDiscount(discount)})`, -totals.invoice_discount]] : []),
+    [t('taxable_value'), totals.taxable],
+    ...(interState
+      ? [[t('igst'), totals.igst]]
+      : [[t('cgst'), totals.cgst], [t('sgst'), totals.sgst]])
+  ]
+
+  return (
+    <div className="stack text-right" style={{ gap: '0.25rem' }}>
+      {rows.map(([label, amount]) => (
+        <div key={label} className="muted" style={amount < 0 ? { color: 'var(--success)' } : undefined}>
+          {label}: {formatAmount(amount)}
+        </div>
+      ))}
+      <div className="font-semibold">
+        {t('total')}: ₹{totals.total.toFixed(2)}
+      </div>
+    </div>
+  )
+}
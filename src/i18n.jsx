@@ -7,12 +7,15 @@ const translations = {
     nav_products: 'Products',
     nav_invoices: 'Invoices',
     nav_create: 'Create Invoice',
+    nav_purchases: 'Purchases',
+    nav_stock_take: 'Stock Take',
     footer_copy: year => `© ${year} Invoice Manager`,
 
     add_product: 'Add Product',
     name: 'Name',
     price: 'Price',
     stock: 'Stock',
+    remaining: 'Remaining',
     add: 'Add',
 
     search_placeholder: 'Search by customer or ID',
@@ -37,7 +40,7 @@ const translations = {
     export_csv: 'Export CSV',
     export_pdf: 'Export PDF',
 
-    enter_customer: 'Enter customer name',
+    enter_customer: 'Choose or add a customer',
     insufficient_stock: name => `Insufficient stock for ${name}`,
     product_added: 'Product added',
     product_updated: 'Product updated',
@@ -46,12 +49,153 @@ const translations = {
     must_be_numbers: 'Price and stock must be numbers',
     confirm_delete_product: 'Delete this product?',
     confirm_delete_invoice: 'Delete this invoice and restore stock?',
+
+    stock_history: 'Stock history',
+    stock_adjusted: 'Stock updated',
+    adjust_quantity_invalid: 'Quantity must be a whole number other than 0',
+    reason: 'Reason',
+    reference: 'Reference',
+    user: 'User',
+    apply: 'Apply',
+    no_movements: 'No stock movements yet',
+    movement_type: 'Type',
+    movement_sale: 'Sale',
+    movement_sale_edit: 'Invoice edited',
+    movement_sale_reversal: 'Invoice deleted',
+    movement_adjustment: 'Adjustment',
+    movement_restock: 'Restock',
+    reason_product_edit: 'Stock edited on products page',
+    movement_purchase: 'Purchase',
+
+    new_purchase: 'New Purchase',
+    supplier: 'Supplier',
+    product: 'Product',
+    select_product: 'Select product',
+    unit_cost: 'Unit cost',
+    add_line: 'Add line',
+    remove: 'Remove',
+    notes: 'Notes',
+    items: 'Items',
+    hide: 'Hide',
+    save_purchase: 'Save Purchase',
+    purchase_saved: 'Purchase saved and stock updated',
+    purchase_saved_offline: 'Purchase saved offline, it will sync when you are back online',
+    no_purchases: 'No purchases yet',
+
+    stock_take: 'Stock take',
+    search_products: 'Search products',
+    counted: 'Counted',
+    variance: 'Variance',
+    note: 'Note',
+    post_adjustments: 'Post adjustments',
+    clear_counts: 'Clear counts',
+    confirm_clear_counts: 'Clear all counted quantities?',
+    confirm_post_variances: n => `Post ${n} stock adjustment(s)?`,
+    stock_take_progress: (counted, total, variances) => `${counted} of ${total} products counted, ${variances} with a variance`,
+    stock_take_invalid: 'Counted quantities must be whole numbers of 0 or more',
+    stock_take_no_variance: 'No variances to post',
+    stock_take_posted: n => `${n} adjustment(s) posted`,
+    stock_take_partial: (posted, failed) => `${posted} adjustment(s) posted, ${failed} failed`,
+    variance_damage: 'Damage',
+    variance_theft: 'Theft',
+    variance_counting_error: 'Counting error',
+    variance_other: 'Other',
+
+    reorder_level: 'Reorder level',
+    reorder_quantity: 'Reorder qty',
+    reorder_must_be_whole: 'Reorder level and quantity must be whole numbers of 0 or more',
+    low_stock: 'Low stock',
+    low_stock_only: 'Low stock only',
+    export_reorder_list: 'Export reorder list',
+    reorder_list_empty: 'No products are at their reorder level',
+    low_stock_alert: names => `Reorder level reached: ${names}`,
+
+    reserved: 'Reserved',
+    available: 'Available',
+    reserved_warning: (name, qty) => `${name}: ${qty} held by other open or unsynced invoices`,
+    concurrent_oversell_alert: (id, customer, names) => `Invoice #${id} for ${customer} synced after other sales used the same stock. Now negative: ${names}`,
+    gst: 'GST',
+    gst_rate: 'GST rate',
+    hsn_code: 'HSN code',
+    customer_state: 'Customer state',
+    select_state: 'Select state',
+    taxable_value: 'Taxable value',
+    cgst: 'CGST',
+    sgst: 'SGST',
+    igst: 'IGST',
+    discount: 'Discount',
+    discount_type: 'Discount type',
+    invoice_discount: 'Invoice discount',
+    line_discounts: 'Line discounts',
+    payments: 'Payments',
+    paid: 'Paid',
+    balance: 'Balance',
+    due_date: 'Due date',
+    amount: 'Amount',
+    payment_mode: 'Mode',
+    payment_mode_cash: 'Cash',
+    payment_mode_upi: 'UPI',
+    payment_mode_card: 'Card',
+    payment_mode_bank: 'Bank transfer',
+    payment_reference: 'Reference',
+    record_payment: 'Record payment',
+    payment_recorded: 'Payment recorded',
+    payment_recorded_offline: 'Payment saved offline, it will sync when you are back online',
+    confirm_delete_payment: 'Delete this payment?',
+    no_payments: 'No payments yet.',
+    payment_status: 'Status',
+    all_statuses: 'All statuses',
+    status_unpaid: 'Unpaid',
+    status_partial: 'Partially paid',
+    status_paid: 'Paid',
+    status_overdue: 'Overdue',
+    nav_customers: 'Customers',
+    add_customer: 'Add customer',
+    search_customer: 'Search customers by name, phone or GSTIN',
+    change: 'Change',
+    phone: 'Phone',
+    email: 'Email',
+    address: 'Address',
+    gstin: 'GSTIN',
+    customer_added: 'Customer added',
+    customer_added_offline: 'Customer saved offline, it will sync when you are back online',
+    customer_updated: 'Customer updated',
+    customer_deleted: 'Customer deleted',
+    confirm_delete_customer: 'Delete this customer? Their invoices and credit notes are kept.',
+    confirm_duplicate_customer: 'A customer with this name already exists. Add another one?',
+    ledger: 'Ledger',
+    customer_not_found: 'Customer not found',
+    export_statement: 'Export Statement',
+    from_date: 'From',
+    to_date: 'To',
+    clear: 'Clear',
+    particulars: 'Particulars',
+    debit: 'Debit',
+    credit: 'Credit',
+    opening_balance: 'Opening balance',
+    invoice: 'Invoice',
+    payment: 'Payment',
+    no_ledger_entries: 'No invoices, payments or credit notes in this period',
+    credit_note: 'Credit note',
+    issue_credit_note: 'Issue credit note',
+    credit_note_reason: 'Reason, e.g. goods returned',
+    credit_note_issued: 'Credit note issued',
+    credit_note_issued_offline: 'Credit note saved offline, it will sync when you are back online',
+    confirm_delete_credit_note: 'Delete this credit note?',
+    nav_receivables: 'Receivables',
+    receivables_aging: 'Receivables aging',
+    aging_note: 'Unpaid balances by days since the invoice date',
+    days: 'days',
+    no_receivables: 'Nothing outstanding, all invoices are paid',
+    unpaid_invoices: 'Unpaid invoices',
   },
   hi: {
     brand: 'इनवॉइस मैनेजर',
     nav_products: 'उत्पाद',
     nav_invoices: 'इनवॉइस',
     nav_create: 'इनवॉइस बनाएँ',
+    nav_purchases: 'खरीद',
+    nav_stock_take: 'स्टॉक गणना',
     footer_copy: year => `© ${year} इनवॉइस मैनेजर। सर्वाधिकार सुरक्षित।`,
 
     add_product: 'उत्पाद जोड़ें',
@@ -86,7 +230,7 @@ const translations = {
     export_csv: 'CSV एक्सपोर्ट करें',
     export_pdf: 'PDF एक्सपोर्ट करें',
 
-    enter_customer: 'ग्राहक का नाम दर्ज करें',
+    enter_customer: 'ग्राहक चुनें या जोड़ें',
     insufficient_stock: name => `${name} के लिए स्टॉक अपर्याप्त है`,
     product_added: 'उत्पाद जोड़ा गया',
     product_updated: 'उत्पाद अपडेट किया गया',
@@ -95,6 +239,145 @@ const translations = {
     must_be_numbers: 'कीमत और स्टॉक संख्याएँ होनी चाहिए',
     confirm_delete_product: 'क्या आप इस उत्पाद को हटाना चाहते हैं?',
     confirm_delete_invoice: 'क्या आप इस इनवॉइस को हटाकर स्टॉक बहाल करना चाहते हैं?',
+
+    stock_history: 'स्टॉक इतिहास',
+    stock_adjusted: 'स्टॉक अपडेट किया गया',
+    adjust_quantity_invalid: 'मात्रा 0 के अलावा कोई पूर्ण संख्या होनी चाहिए',
+    reason: 'कारण',
+    reference: 'संदर्भ',
+    user: 'उपयोगकर्ता',
+    apply: 'लागू करें',
+    no_movements: 'अभी तक कोई स्टॉक मूवमेंट नहीं',
+    movement_type: 'प्रकार',
+    movement_sale: 'बिक्री',
+    movement_sale_edit: 'इनवॉइस संपादित',
+    movement_sale_reversal: 'इनवॉइस हटाई गई',
+    movement_adjustment: 'समायोजन',
+    movement_restock: 'रीस्टॉक',
+    reason_product_edit: 'उत्पाद पेज पर स्टॉक संपादित',
+    movement_purchase: 'खरीद',
+
+    new_purchase: 'नई खरीद',
+    supplier: 'आपूर्तिकर्ता',
+    product: 'उत्पाद',
+    select_product: 'उत्पाद चुनें',
+    unit_cost: 'इकाई लागत',
+    add_line: 'पंक्ति जोड़ें',
+    remove: 'हटाएँ',
+    notes: 'टिप्पणी',
+    items: 'आइटम',
+    hide: 'छिपाएँ',
+    save_purchase: 'खरीद सहेजें',
+    purchase_saved: 'खरीद सहेजी गई और स्टॉक अपडेट हुआ',
+    purchase_saved_offline: 'खरीद ऑफ़लाइन सहेजी गई, ऑनलाइन होने पर सिंक होगी',
+    no_purchases: 'अभी तक कोई खरीद नहीं',
+
+    stock_take: 'स्टॉक गणना',
+    search_products: 'उत्पाद खोजें',
+    counted: 'गिनी गई',
+    variance: 'अंतर',
+    note: 'नोट',
+    post_adjustments: 'समायोजन दर्ज करें',
+    clear_counts: 'गिनती साफ़ करें',
+    confirm_clear_counts: 'क्या सभी गिनी गई मात्राएँ साफ़ करनी हैं?',
+    confirm_post_variances: n => `${n} स्टॉक समायोजन दर्ज करें?`,
+    stock_take_progress: (counted, total, variances) => `${total} में से ${counted} उत्पाद गिने गए, ${variances} में अंतर`,
+    stock_take_invalid: 'गिनी गई मात्रा 0 या उससे अधिक पूर्ण संख्या होनी चाहिए',
+    stock_take_no_variance: 'दर्ज करने के लिए कोई अंतर नहीं',
+    stock_take_posted: n => `${n} समायोजन दर्ज किए गए`,
+    stock_take_partial: (posted, failed) => `${posted} समायोजन दर्ज, ${failed} विफल`,
+    variance_damage: 'क्षति',
+    variance_theft: 'चोरी',
+    variance_counting_error: 'गिनती की गलती',
+    variance_other: 'अन्य',
+
+    reorder_level: 'पुनः ऑर्डर स्तर',
+    reorder_quantity: 'पुनः ऑर्डर मात्रा',
+    reorder_must_be_whole: 'पुनः ऑर्डर स्तर और मात्रा 0 या उससे अधिक पूर्ण संख्याएँ होनी चाहिए',
+    low_stock: 'कम स्टॉक',
+    low_stock_only: 'केवल कम स्टॉक',
+    export_reorder_list: 'पुनः ऑर्डर सूची एक्सपोर्ट करें',
+    reorder_list_empty: 'कोई उत्पाद पुनः ऑर्डर स्तर पर नहीं है',
+    low_stock_alert: names => `पुनः ऑर्डर स्तर पहुँचा: ${names}`,
+
+    reserved: 'आरक्षित',
+    available: 'उपलब्ध',
+    reserved_warning: (name, qty) => `${name}: ${qty} अन्य खुली या बिना सिंक इनवॉइस में आरक्षित`,
+    concurrent_oversell_alert: (id, customer, names) => `${customer} की इनवॉइस #${id} अन्य बिक्री के बाद सिंक हुई जिसने वही स्टॉक इस्तेमाल किया। अब ऋणात्मक: ${names}`,
+    gst: 'जीएसटी',
+    gst_rate: 'जीएसटी दर',
+    hsn_code: 'एचएसएन कोड',
+    customer_state: 'ग्राहक का राज्य',
+    select_state: 'राज्य चुनें',
+    taxable_value: 'कर योग्य मूल्य',
+    cgst: 'सीजीएसटी',
+    sgst: 'एसजीएसटी',
+    igst: 'आईजीएसटी',
+    discount: 'छूट',
+    discount_type: 'छूट का प्रकार',
+    invoice_discount: 'इनवॉइस छूट',
+    line_discounts: 'लाइन छूट',
+    payments: 'भुगतान',
+    paid: 'भुगतान किया',
+    balance: 'बकाया',
+    due_date: 'देय तिथि',
+    amount: 'राशि',
+    payment_mode: 'माध्यम',
+    payment_mode_cash: 'नकद',
+    payment_mode_upi: 'यूपीआई',
+    payment_mode_card: 'कार्ड',
+    payment_mode_bank: 'बैंक ट्रांसफर',
+    payment_reference: 'संदर्भ',
+    record_payment: 'भुगतान दर्ज करें',
+    payment_recorded: 'भुगतान दर्ज हुआ',
+    payment_recorded_offline: 'भुगतान ऑफ़लाइन सहेजा गया, ऑनलाइन होने पर सिंक होगा',
+    confirm_delete_payment: 'यह भुगतान हटाएँ?',
+    no_payments: 'अभी कोई भुगतान नहीं।',
+    payment_status: 'स्थिति',
+    all_statuses: 'सभी स्थितियाँ',
+    status_unpaid: 'अदत्त',
+    status_partial: 'आंशिक भुगतान',
+    status_paid: 'भुगतान हो गया',
+    status_overdue: 'अतिदेय',
+    nav_customers: 'ग्राहक',
+    add_customer: 'ग्राहक जोड़ें',
+    search_customer: 'नाम, फ़ोन या GSTIN से ग्राहक खोजें',
+    change: 'बदलें',
+    phone: 'फ़ोन',
+    email: 'ईमेल',
+    address: 'पता',
+    gstin: 'GSTIN',
+    customer_added: 'ग्राहक जोड़ा गया',
+    customer_added_offline: 'ग्राहक ऑफ़लाइन सहेजा गया, ऑनलाइन होने पर सिंक होगा',
+    customer_updated: 'ग्राहक अपडेट किया गया',
+    customer_deleted: 'ग्राहक हटाया गया',
+    confirm_delete_customer: 'क्या आप इस ग्राहक को हटाना चाहते हैं? उनके इनवॉइस और क्रेडिट नोट बने रहेंगे।',
+    confirm_duplicate_customer: 'इस नाम का ग्राहक पहले से मौजूद है। फिर भी नया जोड़ें?',
+    ledger: 'खाता',
+    customer_not_found: 'ग्राहक नहीं मिला',
+    export_statement: 'स्टेटमेंट निर्यात करें',
+    from_date: 'से',
+    to_date: 'तक',
+    clear: 'साफ़ करें',
+    particulars: 'विवरण',
+    debit: 'नामे',
+    credit: 'जमा',
+    opening_balance: 'प्रारंभिक शेष',
+    invoice: 'इनवॉइस',
+    payment: 'भुगतान',
+    no_ledger_entries: 'इस अवधि में कोई इनवॉइस, भुगतान या क्रेडिट नोट नहीं',
+    credit_note: 'क्रेडिट नोट',
+    issue_credit_note: 'क्रेडिट नोट जारी करें',
+    credit_note_reason: 'कारण, जैसे माल वापसी',
+    credit_note_issued: 'क्रेडिट नोट जारी हुआ',
+    credit_note_issued_offline: 'क्रेडिट नोट ऑफ़लाइन सहेजा गया, ऑनलाइन होने पर सिंक होगा',
+    confirm_delete_credit_note: 'यह क्रेडिट नोट हटाएँ?',
+    nav_receivables: 'बकाया',
+    receivables_aging: 'बकाया आयु विश्लेषण',
+    aging_note: 'इनवॉइस की तारीख से दिनों के अनुसार बकाया राशि',
+    days: 'दिन',
+    no_receivables: 'कुछ बकाया नहीं, सभी इनवॉइस का भुगतान हो गया है',
+    unpaid_invoices: 'अवैतनिक इनवॉइस',
   }
 }
 
@@ -0,0 +1,20 @@
+// Background Sync lets the service worker replay the queue when connectivity
+// returns, even if no tab is open. Pages register the tag whenever something
+// is queued; browsers without the API simply keep syncing from open tabs.
+
+export const BACKGROUND_SYNC_TAG = 'invoice-manager-sync-queue'
+
+export async function requestBackgroundSync() {
+  // Also imported by the service worker itself, which has nothing to register
+  if (typeof window === 'undefined' || !('serviceWorker' in navigator)) return false
+
+  try {
+    const registration = await navigator.serviceWorker.ready
+    if (!('sync' in registration)) return false
+    await registration.sync.register(BACKGROUND_SYNC_TAG)
+    return true
+  } catch (error) {
+    console.warn('Background sync registration failed:', error)
+    return false
+  }
+}
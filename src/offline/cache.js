@@ -1,56 +1,168 @@
-import { getAll, putAll, clearStore, put, add, deleteItem } from './idb.js'
+import { getAll, get, putAll, put, add, deleteItem, clearStore, getSyncQueue } from './idb.js'
+import { describeSyncItem } from './dependencies.js'
+import { connectivity } from './connectivity.js'
 import { supabase } from '../services/supabaseClient.js'
 
-export async function syncDownProducts() {
-  try {
-    const { data, error } = await supabase.from('products').select('*').order('id')
-    if (!error && data) {
-      await clearStore('products')
-      await putAll('products', data)
-      return { data, error: null }
-    }
-    // If there's an error or no data, try to get from cache
-    const cachedData = await getAll('products')
-    return { data: cachedData, error: error || null }
-  } catch {
-    // If Supabase call fails (e.g., offline), return cached data
-    const cachedData = await getAll('products')
-    return { data: cachedData, error: null }
+// Delta sync: each table remembers the newest updated_at it has seen. Only rows
+// changed since then are pulled and merged, and deletions arrive as tombstones
+// from sync_tombstones. Unsynced _offline rows are never touched, and server
+// rows with edits still waiting in the sync queue keep their local version.
+
+// Anything a queued write touches keeps its local version until the queue drains,
+// e.g. a queued purchase has already raised the cached stock of its products
+async function getPendingEntityKeys() {
+  const queue = await getSyncQueue()
+  const keys = new Set()
+  for (const item of queue) {
+    const { entity, depends_on: dependsOn } = item.depends_on === undefined ? describeSyncItem(item) : item
+    if (entity) keys.add(entity)
+    for (const key of dependsOn) keys.add(key)
   }
+  return keys
 }
 
-export async function syncDownInvoices() {
+// updated_at comes from now(), the start of the writing transaction. A
+// transaction that started before the last pull but committed after it has an
+// updated_at below the mark, so each pull reaches back this far past the mark.
+const MARK_SAFETY_WINDOW = 2 * 60 * 1000 // 2 minutes
+
+function latest(...timestamps) {
+  return timestamps
+    .filter(Boolean)
+    .reduce((max, ts) => (!max || new Date(ts) > new Date(max) ? ts : max), null)
+}
+
+function earliest(...timestamps) {
+  return timestamps
+    .filter(Boolean)
+    .reduce((min, ts) => (!min || new Date(ts) < new Date(min) ? ts : min), null)
+}
+
+async function syncDownTable(table, { ownerKey, sort }) {
+  const cachedSorted = async () => (await getAll(table)).sort(sort)
+
+  if (connectivity.isOffline()) {
+    return { data: await cachedSorted(), error: null }
+  }
+
   try {
-    const { data, error } = await supabase.from('invoices').select('*').order('id', { ascending: false })
-    if (!error && data) {
-      await clearStore('invoices')
-      await putAll('invoices', data)
-      return { data, error: null }
+    const meta = await get('sync_meta', table)
+    const since = meta?.last_synced_at ?? null
+    // Rows and tombstones inside the window are merged again, which is harmless
+    const pullFrom = since && new Date(new Date(since).getTime() - MARK_SAFETY_WINDOW).toISOString()
+
+    let query = supabase.from(table).select('*')
+    if (since) query = query.gte('updated_at', pullFrom)
+    const { data, error } = await query.order('updated_at', { ascending: true })
+    if (error || !data) {
+      return { data: await cachedSorted(), error: error || null }
+    }
+
+    let tombstones = []
+    if (since) {
+      const { data: deleted, error: tombstoneError } = await supabase
+        .from('sync_tombstones')
+        .select('row_id, deleted_at')
+        .eq('table_name', table)
+        .gte('deleted_at', pullFrom)
+      if (tombstoneError) {
+        return { data: await cachedSorted(), error: tombstoneError }
+      }
+      tombstones = deleted
+    }
+
+    const pending = await getPendingEntityKeys()
+    const hasPendingEdits = (row) => pending.has(ownerKey(row))
+
+    if (!since) {
+      // First sync for this table: drop cached server rows the server no longer has
+      const serverIds = new Set(data.map(row => row.id))
+      const cached = await getAll(table)
+      for (const row of cached) {
+        if (!row._offline && !serverIds.has(row.id) && !hasPendingEdits(row)) {
+          await deleteItem(table, row.id)
+        }
+      }
+    }
+
+    const skipped = data.filter(hasPendingEdits)
+    await putAll(table, data.filter(row => !hasPendingEdits(row)))
+
+    // A deleted row with a queued edit stays too, so the edit doesn't vanish from
+    // the UI before it runs. Tombstones only carry the ID, so check the cached row.
+    const skippedTombstones = []
+    for (const tombstone of tombstones) {
+      const cached = await get(table, tombstone.row_id)
+      if (cached && hasPendingEdits(cached)) {
+        skippedTombstones.push(tombstone)
+        continue
+      }
+      await deleteItem(table, tombstone.row_id)
+    }
+
+    // Rows and tombstones skipped for pending edits must be pulled again if that
+    // edit never lands (e.g. it ends in a conflict), so the mark stops at the
+    // first of them
+    const mark = skipped.length > 0 || skippedTombstones.length > 0
+      ? earliest(...skipped.map(row => row.updated_at), ...skippedTombstones.map(tombstone => tombstone.deleted_at))
+      : latest(
+          since,
+          ...data.map(row => row.updated_at),
+          ...tombstones.map(tombstone => tombstone.deleted_at)
+        )
+    if (mark) {
+      await put('sync_meta', { table, last_synced_at: mark })
     }
-    // If there's an error or no data, try to get from cache
-    const cachedData = await getAll('invoices')
-    return { data: cachedData, error: error || null }
+
+    return { data: await cachedSorted(), error: null }
   } catch {
     // If Supabase call fails (e.g., offline), return cached data
-    const cachedData = await getAll('invoices')
-    return { data: cachedData, error: null }
+    return { data: await cachedSorted(), error: null }
   }
 }
 
+export async function syncDownProducts() {
+  return syncDownTable('products', {
+    ownerKey: row => `products:${row.id}`,
+    sort: (a, b) => a.id - b.id
+  })
+}
+
+export async function syncDownInvoices() {
+  return syncDownTable('invoices', {
+    ownerKey: row => `invoices:${row.id}`,
+    sort: (a, b) => b.id - a.id
+  })
+}
+
 export async function syncDownInvoiceItems() {
-  try {
-    const { data, error } = await supabase.from('invoice_items').select('*')
-    if (!error && data) {
-      await clearStore('invoice_items')
-      await putAll('invoice_items', data)
-      return { data, error: null }
-    }
-    const cachedData = await getAll('invoice_items')
-    return { data: cachedData, error: error || null }
-  } catch {
-    const cachedData = await getAll('invoice_items')
-    return { data: cachedData, error: null }
-  }
+  // Items belong to their invoice: a pending invoice edit owns all of its lines
+  return syncDownTable('invoice_items', {
+    ownerKey: row => `invoices:${row.invoice_id}`,
+    sort: (a, b) => a.id - b.id
+  })
+}
+
+export async function syncDownPayments() {
+  // Payments are written by their own queue entries, keyed by payment
+  return syncDownTable('payments', {
+    ownerKey: row => `payments:${row.id}`,
+    sort: (a, b) => String(b.paid_on).localeCompare(String(a.paid_on)) || b.id - a.id
+  })
+}
+
+export async function syncDownCreditNotes() {
+  return syncDownTable('credit_notes', {
+    ownerKey: row => `credit_notes:${row.id}`,
+    sort: (a, b) => String(b.issued_on).localeCompare(String(a.issued_on)) || b.id - a.id
+  })
+}
+
+export async function syncDownCustomers() {
+  return syncDownTable('customers', {
+    ownerKey: row => `customers:${row.id}`,
+    sort: (a, b) => String(a.name).localeCompare(String(b.name)) || a.id - b.id
+  })
 }
 
 // Local cache operations for offline use
@@ -76,6 +188,13 @@ export async function updateProductInCache(id, updates) {
   }
 }
 
+export async function adjustCachedProductStock(id, quantity) {
+  const product = await get('products', id)
+  if (product) {
+    return await put('products', { ...product, stock: Number(product.stock) + quantity })
+  }
+}
+
 export async function deleteProductFromCache(id) {
   return await deleteItem('products', id)
 }
@@ -112,6 +231,10 @@ export async function addInvoiceItemToCache(item) {
   }
 }
 
+export async function getCachedInvoice(id) {
+  return await get('invoices', id)
+}
+
 export async function updateInvoiceInCache(id, updates) {
   const existing = await getAll('invoices')
   const invoice = existing.find(inv => inv.id === id)
@@ -134,6 +257,13 @@ export async function deleteInvoiceItemsFromCache(invoiceId) {
   }
 }
 
+// Swap an invoice's cached lines for the rows the server returned, so lines
+// cached under local IDs don't sit next to their server copies
+export async function replaceCachedInvoiceItems(invoiceId, rows) {
+  await deleteInvoiceItemsFromCache(invoiceId)
+  await putAll('invoice_items', rows)
+}
+
 export async function putInvoiceItemToCache(item) {
   try {
     // Ensure the item has an id field for IndexedDB keyPath
@@ -147,4 +277,81 @@ export async function putInvoiceItemToCache(item) {
   }
 }
 
+export async function cacheStockMovements(movements) {
+  return await putAll('stock_movements', movements)
+}
+
+export async function getCachedStockMovements(productId) {
+  const movements = await getAll('stock_movements')
+  return movements
+    .filter(m => m.product_id === productId)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+}
+
+// Swap the placeholder for an offline adjustment with the row the server created
+export async function replaceOfflineStockMovement(clientId, movement) {
+  await deleteItem('stock_movements', `offline-${clientId}`)
+  return await put('stock_movements', movement)
+}
+
+export async function cachePurchases(purchases) {
+  return await putAll('purchases', purchases)
+}
+
+export async function getCachedPurchases() {
+  const purchases = await getAll('purchases')
+  return purchases.sort((a, b) =>
+    String(b.purchase_date).localeCompare(String(a.purchase_date)) || String(b.created_at).localeCompare(String(a.created_at))
+  )
+}
+
+// Re-key an offline purchase once the server has assigned its ID
+export async function replaceOfflinePurchase(tempId, serverId) {
+  const cached = await get('purchases', tempId)
+  if (!cached) return
+  const { _offline, ...rest } = cached
+  await deleteItem('purchases', tempId)
+  return await put('purchases', { ...rest, id: serverId })
+}
+
+// The server's list of active reservations replaces the cached one wholesale
+export async function cacheReservations(reservations) {
+  await clearStore('stock_reservations')
+  return await putAll('stock_reservations', reservations)
+}
+
+export async function getCachedReservations() {
+  const reservations = await getAll('stock_reservations')
+  return reservations.filter(r => new Date(r.expires_at).getTime() > Date.now())
+}
+
+export async function addPaymentToCache(payment) {
+  return await put('payments', payment)
+}
+
+export async function deletePaymentFromCache(id) {
+  return await deleteItem('payments', id)
+}
+
+export async function addCustomerToCache(customer) {
+  return await put('customers', customer)
+}
+
+export async function updateCustomerInCache(id, updates) {
+  const customer = await get('customers', id)
+  if (customer) {
+    return await put('customers', { ...customer, ...updates })
+  }
+}
+
+export async function deleteCustomerFromCache(id) {
+  return await deleteItem('customers', id)
+}
 
+export async function addCreditNoteToCache(creditNote) {
+  return await put('credit_notes', creditNote)
+}
+
+export async function deleteCreditNoteFromCache(id) {
+  return await deleteItem('credit_notes', id)
+}
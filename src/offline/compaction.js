@@ -0,0 +1,169 @@
+import { getSyncQueue, removeFromSyncQueue, updateSyncQueueItem } from './idb.js'
+import { describeSyncItem } from './dependencies.js'
+
+// Collapses redundant offline operations before they hit the server:
+// - consecutive updates to the same record are merged into one
+// - updates to a record that is still waiting to be created are folded into the create
+// - a create followed by a delete cancels out (together with anything in between)
+// - an update followed by a delete is dropped
+// Only untouched entries (never attempted) are compacted; anything that has
+// already failed once is left alone in case it partially applied.
+
+function isEligible(item) {
+  return (item.retryCount || 0) === 0
+}
+
+function action(kind) {
+  return kind.split(':')[1]
+}
+
+function touches(item, entity) {
+  return item.entity === entity || item.depends_on.includes(entity)
+}
+
+// True if no entry strictly between positions i and j writes one of the keys
+function nothingBetweenWrites(items, i, j, keys) {
+  for (let k = i + 1; k < j; k++) {
+    const between = items[k]
+    if (!between.removed && between.entity && keys.includes(between.entity)) return false
+  }
+  return true
+}
+
+function mergeUpdatePayloads(earlier, later) {
+  if (earlier.kind === 'invoice:update') {
+    return {
+      ...later.payload,
+      updates: { ...earlier.payload.updates, ...later.payload.updates },
+      // The merged edit was still made on top of the first edit's base version
+      baseVersion: earlier.payload.baseVersion ?? later.payload.baseVersion
+    }
+  }
+  return {
+    ...later.payload,
+    updates: { ...earlier.payload.updates, ...later.payload.updates }
+  }
+}
+
+// The create's line for each edited line, matched by product. Its temp_id is
+// what the cached line is remapped by, and expected_remaining is the stock the
+// device saw when the invoice was raised.
+function matchCreateLines(createItems, editedItems) {
+  const unmatched = [...(createItems || [])]
+  return editedItems.map(line => {
+    const index = unmatched.findIndex(original => original.product_id === line.product_id)
+    return index === -1 ? null : unmatched.splice(index, 1)[0]
+  })
+}
+
+function foldUpdateIntoCreate(create, update) {
+  const updates = update.payload.updates || {}
+  if (create.kind === 'invoice:create') {
+    const originals = Array.isArray(updates.items) ? matchCreateLines(create.payload.items, updates.items) : []
+    return {
+      ...create.payload,
+      customerId: updates.customer_id !== undefined ? updates.customer_id : create.payload.customerId,
+      customerName: updates.customer_name ?? create.payload.customerName,
+      customerState: updates.customer_state !== undefined ? updates.customer_state : create.payload.customerState,
+      isInterstate: updates.is_interstate ?? create.payload.isInterstate,
+      discountType: updates.discount_type !== undefined ? updates.discount_type : create.payload.discountType,
+      discountValue: updates.discount_value ?? create.payload.discountValue,
+      dueDate: updates.due_date ?? create.payload.dueDate,
+      items: Array.isArray(updates.items)
+        ? updates.items.map((i, index) => ({
+            temp_id: i.temp_id ?? originals[index]?.temp_id,
+            product_id: i.product_id,
+            quantity: i.quantity,
+            custom_price: i.custom_price ?? null,
+            tax_rate: i.tax_rate ?? null,
+            hsn_code: i.hsn_code ?? null,
+            discount_type: i.discount_type ?? null,
+            discount_value: Number(i.discount_value ?? 0),
+            expected_remaining: originals[index]?.expected_remaining ?? null
+          }))
+        : create.payload.items
+    }
+  }
+  return { ...create.payload, ...updates }
+}
+
+function label(item) {
+  return `#${item.id} ${item.kind}`
+}
+
+/**
+ * Compact the sync queue in place
+ * @returns {Promise<Array<{rule: string, entity: string, removed: Array<number>, kept: number|null, description: string}>>}
+ */
+export async function compactSyncQueue() {
+  const queue = await getSyncQueue()
+  const items = queue.map(item => ({ ...item, ...describeSyncItem(item), removed: false, dirty: false }))
+  const log = []
+
+  let progress = true
+  while (progress) {
+    progress = false
+
+    for (let i = 0; i < items.length && !progress; i++) {
+      const a = items[i]
+      if (a.removed || !a.entity || !isEligible(a)) continue
+
+      // The next live entry that touches the same record
+      let j = i + 1
+      while (j < items.length && (items[j].removed || !touches(items[j], a.entity))) j++
+      if (j >= items.length) continue
+      const b = items[j]
+      if (!isEligible(b) || b.entity !== a.entity) continue
+
+      const first = action(a.kind)
+      const second = action(b.kind)
+
+      if (first === 'update' && second === 'update' && a.kind === b.kind) {
+        // Move a's changes forward into b; safe as long as a's references still hold at b
+        if (!nothingBetweenWrites(items, i, j, a.depends_on.filter(key => key !== a.entity))) continue
+        b.payload = mergeUpdatePayloads(a, b)
+        Object.assign(b, describeSyncItem(b), { dirty: true })
+        a.removed = true
+        log.push({ rule: 'merge-updates', entity: a.entity, removed: [a.id], kept: b.id, description: `Merged ${label(a)} into ${label(b)}` })
+        progress = true
+      } else if (first === 'create' && second === 'update') {
+        // Pull b's changes back into the create; b must not rely on anything written in between
+        if (!nothingBetweenWrites(items, i, j, b.depends_on.filter(key => key !== a.entity))) continue
+        a.payload = foldUpdateIntoCreate(a, b)
+        Object.assign(a, describeSyncItem(a), { dirty: true })
+        b.removed = true
+        log.push({ rule: 'fold-into-create', entity: a.entity, removed: [b.id], kept: a.id, description: `Folded ${label(b)} into ${label(a)}` })
+        progress = true
+      } else if (first === 'create' && second === 'delete') {
+        // Everything that touches a record that never reaches the server can go,
+        // unless some other record still refers to it
+        const related = items.filter(item => !item.removed && touches(item, a.entity))
+        const referencedElsewhere = related.some(item =>
+          item.entity !== a.entity && !item.entity?.startsWith('invoice_items:')
+        )
+        if (referencedElsewhere || !related.every(isEligible)) continue
+        for (const item of related) item.removed = true
+        log.push({ rule: 'cancel-create-delete', entity: a.entity, removed: related.map(item => item.id), kept: null, description: `Cancelled ${related.map(label).join(', ')}` })
+        progress = true
+      } else if (first === 'update' && second === 'delete') {
+        a.removed = true
+        log.push({ rule: 'drop-update-before-delete', entity: a.entity, removed: [a.id], kept: b.id, description: `Dropped ${label(a)}, superseded by ${label(b)}` })
+        progress = true
+      }
+    }
+  }
+
+  for (const item of items) {
+    if (item.removed) {
+      await removeFromSyncQueue(item.id)
+    } else if (item.dirty) {
+      await updateSyncQueueItem(item.id, {
+        payload: item.payload,
+        entity: item.entity,
+        depends_on: item.depends_on
+      })
+    }
+  }
+
+  return log
+}
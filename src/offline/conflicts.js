@@ -0,0 +1,227 @@
+import { supabase } from '../services/supabaseClient.js'
+import { getAll, get, add, put, deleteItem, enqueueSync, getSyncQueue, updateSyncQueueItem } from './idb.js'
+import { tabCoordinator } from './tabCoordinator.js'
+
+// A queued invoice:update carries the invoice's updated_at from when the edit
+// was made (baseVersion). If the server row has moved on by the time the edit
+// replays, the edit is parked here until the user decides which side wins.
+
+export const SYNC_CONFLICT = 'conflict'
+
+function sameVersion(a, b) {
+  if (!a || !b) return !a && !b
+  return new Date(a).getTime() === new Date(b).getTime()
+}
+
+/**
+ * Check whether the server copy of an invoice changed since an offline edit was made
+ * @param {number} invoiceId - The invoice ID
+ * @param {string|null} baseVersion - updated_at the edit was made against
+ * @returns {Promise<{conflict: boolean, remote: object|null, error: any}>}
+ */
+export async function detectInvoiceConflict(invoiceId, baseVersion) {
+  // Edits without a base version (e.g. made on an unsynced invoice) can't conflict
+  if (!baseVersion) return { conflict: false, remote: null, error: null }
+
+  const { data: invoice, error: invError } = await supabase
+    .from('invoices')
+    .select('id, customer_name, updated_at')
+    .eq('id', invoiceId)
+    .single()
+  if (invError) return { conflict: false, remote: null, error: invError }
+
+  if (sameVersion(invoice.updated_at, baseVersion)) {
+    return { conflict: false, remote: null, error: null }
+  }
+
+  const { data: items, error: itemsError } = await supabase
+    .from('invoice_items')
+    .select('id, product_id, quantity, custom_price, tax_rate, hsn_code, discount_type, discount_value, products(name)')
+    .eq('invoice_id', invoiceId)
+  if (itemsError) return { conflict: false, remote: null, error: itemsError }
+
+  const remote = {
+    customer_name: invoice.customer_name,
+    updated_at: invoice.updated_at,
+    items: items.map(it => ({
+      product_id: it.product_id,
+      product_name: it.products?.name,
+      quantity: it.quantity,
+      custom_price: it.custom_price ?? null,
+      tax_rate: it.tax_rate ?? null,
+      hsn_code: it.hsn_code ?? null,
+      discount_type: it.discount_type ?? null,
+      discount_value: Number(it.discount_value ?? 0)
+    }))
+  }
+  return { conflict: true, remote, error: null }
+}
+
+function notifyConflictsChanged() {
+  tabCoordinator.relay('syncConflictsChanged')
+}
+
+// Invoice fields a local edit changed that resolving keeps as they are
+function pickReappliedFields(updates) {
+  const fields = {}
+  for (const key of ['customer_id', 'customer_state', 'is_interstate', 'discount_type', 'discount_value', 'due_date']) {
+    if (updates[key] !== undefined) fields[key] = updates[key]
+  }
+  return fields
+}
+
+export async function recordConflict(queueItem, remote) {
+  const { invoiceId, updates, baseVersion } = queueItem.payload
+  const cachedProducts = await getAll('products')
+  const productName = (productId) => cachedProducts.find(p => p.id === productId)?.name
+
+  // An edit that only touched the customer name keeps the remote items
+  const localItems = Array.isArray(updates.items)
+    ? updates.items.map(it => ({
+        product_id: it.product_id,
+        product_name: productName(it.product_id),
+        quantity: it.quantity,
+        custom_price: it.custom_price ?? null,
+        tax_rate: it.tax_rate ?? null,
+        hsn_code: it.hsn_code ?? null,
+        discount_type: it.discount_type ?? null,
+        discount_value: Number(it.discount_value ?? 0)
+      }))
+    : remote.items
+
+  const id = await add('sync_conflicts', {
+    invoiceId,
+    baseVersion,
+    remoteVersion: remote.updated_at,
+    local: {
+      customer_name: updates.customer_name ?? remote.customer_name,
+      // A changed customer link or state, invoice discount or due date isn't
+      // offered as a choice; it's reapplied on resolve
+      ...pickReappliedFields(updates),
+      items: localItems
+    },
+    remote: {
+      customer_name: remote.customer_name,
+      items: remote.items
+    },
+    queueItem,
+    detectedAt: Date.now()
+  })
+  notifyConflictsChanged()
+  return id
+}
+
+export async function listConflicts() {
+  return getAll('sync_conflicts')
+}
+
+export async function getConflictCount() {
+  const conflicts = await getAll('sync_conflicts')
+  return conflicts.length
+}
+
+/**
+ * Build the item list for a line-by-line merge
+ * @param {object} conflict - Conflict record
+ * @param {object} choices - Map of product_id -> 'local' | 'remote'
+ * @returns {Array} Items in invoice:update payload shape
+ */
+export function mergeConflictItems(conflict, choices) {
+  const localByProduct = new Map(conflict.local.items.map(it => [it.product_id, it]))
+  const remoteByProduct = new Map(conflict.remote.items.map(it => [it.product_id, it]))
+  const productIds = new Set([...localByProduct.keys(), ...remoteByProduct.keys()])
+
+  const merged = []
+  for (const productId of productIds) {
+    const side = choices[productId] ?? 'local'
+    const line = side === 'remote' ? remoteByProduct.get(productId) : localByProduct.get(productId)
+    // Picking the side that doesn't have the line drops it from the invoice
+    if (line) {
+      merged.push({
+        product_id: line.product_id,
+        quantity: line.quantity,
+        custom_price: line.custom_price ?? null,
+        tax_rate: line.tax_rate ?? null,
+        hsn_code: line.hsn_code ?? null,
+        discount_type: line.discount_type ?? null,
+        discount_value: Number(line.discount_value ?? 0)
+      })
+    }
+  }
+  return merged
+}
+
+/**
+ * Resolve a conflict by writing the chosen version back through the sync queue
+ * @param {number} conflictId - Conflict record ID
+ * @param {{customer_name: string, items: Array}} resolved - Final invoice contents
+ */
+export async function resolveConflict(conflictId, resolved) {
+  const conflict = await get('sync_conflicts', conflictId)
+  if (!conflict) return { error: { message: 'Conflict not found' } }
+
+  const reapplied = pickReappliedFields(conflict.local)
+
+  // Queue against the remote version we just showed the user, so it won't re-conflict
+  await enqueueSync({
+    kind: 'invoice:update',
+    payload: {
+      invoiceId: conflict.invoiceId,
+      updates: { customer_name: resolved.customer_name, ...reapplied, items: resolved.items },
+      baseVersion: conflict.remoteVersion
+    }
+  })
+  await deleteItem('sync_conflicts', conflictId)
+  notifyConflictsChanged()
+  return { data: true }
+}
+
+/**
+ * Resolve a conflict by dropping the offline edit and taking the server copy
+ * @param {number} conflictId - Conflict record ID
+ */
+export async function discardLocalChanges(conflictId) {
+  const conflict = await get('sync_conflicts', conflictId)
+  if (!conflict) return { error: { message: 'Conflict not found' } }
+
+  // Bring the cached copy back in line with the server
+  try {
+    const { data: invoice } = await supabase.from('invoices').select('*').eq('id', conflict.invoiceId).single()
+    const { data: items } = await supabase.from('invoice_items').select('*').eq('invoice_id', conflict.invoiceId)
+    if (invoice) await put('invoices', invoice)
+    if (items) {
+      const cachedItems = await getAll('invoice_items')
+      for (const item of cachedItems.filter(i => i.invoice_id === conflict.invoiceId)) {
+        await deleteItem('invoice_items', item.id)
+      }
+      for (const item of items) {
+        await put('invoice_items', item)
+      }
+    }
+  } catch (refreshError) {
+    console.warn('Cache refresh after discarding conflict failed:', refreshError)
+  }
+
+  await deleteItem('sync_conflicts', conflictId)
+  notifyConflictsChanged()
+  return { data: true }
+}
+
+/**
+ * After an update replays, move later queued edits of the same invoice onto the new version
+ * @param {number} invoiceId - The invoice ID
+ * @param {string|null} fromVersion - Version the replayed edit was based on
+ * @param {string} toVersion - Server updated_at after the replay
+ */
+export async function advanceBaseVersion(invoiceId, fromVersion, toVersion) {
+  const queue = await getSyncQueue()
+  for (const item of queue) {
+    if (
+      item.kind === 'invoice:update' &&
+      item.payload.invoiceId === invoiceId &&
+      sameVersion(item.payload.baseVersion, fromVersion)
+    ) {
+      await updateSyncQueueItem(item.id, { payload: { ...item.payload, baseVersion: toVersion } })
+    }
+  }
+}
@@ -0,0 +1,156 @@
+// navigator.onLine only says a network interface is up: it stays true behind a
+// captive portal or when Supabase itself is unreachable. The monitor probes the
+// Supabase endpoint instead and reports one of three states:
+// - online: the probe answered quickly
+// - degraded: the probe answered, but slowly or with a server error
+// - offline: the browser is offline, or the probe failed or timed out
+// Every Supabase request also goes through connectivity.fetch, so a request
+// that fails at the network level triggers a fresh probe straight away.
+
+export const CONNECTIVITY = {
+  ONLINE: 'online',
+  DEGRADED: 'degraded',
+  OFFLINE: 'offline'
+}
+
+const PROBE_TIMEOUT = 5000 // 5 seconds
+const SLOW_PROBE_THRESHOLD = 2500 // Slower answers than this count as degraded
+const PROBE_INTERVAL = 30000 // 30 seconds while online
+const RECOVERY_PROBE_INTERVAL = 10000 // 10 seconds while degraded or offline
+const REQUEST_TIMEOUT = 20000 // Supabase requests are aborted after 20 seconds
+
+/**
+ * Whether a Supabase error came from the network rather than from the server
+ * @param {object} error - Error returned by a Supabase query
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  if (!error) return false
+  // supabase-js turns fetch failures into errors named after the thrown error
+  return /^(TypeError|AbortError|TimeoutError|FetchError):/.test(error.message || '')
+}
+
+class ConnectivityMonitor {
+  constructor() {
+    this.status = navigator.onLine ? CONNECTIVITY.ONLINE : CONNECTIVITY.OFFLINE
+    this.latency = null
+    this.lastProbeAt = null
+    this.endpoint = null
+    this.apiKey = null
+    this.probeInFlight = null
+    this.probeTimer = null
+    this.started = false
+    this.listeners = new Set()
+    this.fetch = this.fetch.bind(this)
+  }
+
+  setEndpoint(url, apiKey) {
+    this.endpoint = url
+    this.apiKey = apiKey
+  }
+
+  // Only the page runs periodic probes; the service worker relies on failed requests
+  start() {
+    if (this.started || typeof window === 'undefined') return
+    this.started = true
+
+    window.addEventListener('online', () => this.probe())
+    window.addEventListener('offline', () => this.setStatus(CONNECTIVITY.OFFLINE))
+
+    this.probe()
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  getStatus() {
+    return this.status
+  }
+
+  isOffline() {
+    return this.status === CONNECTIVITY.OFFLINE
+  }
+
+  setStatus(status) {
+    if (status === this.status) return
+    this.status = status
+    for (const listener of this.listeners) {
+      listener(status)
+    }
+  }
+
+  scheduleProbe() {
+    if (!this.started) return
+    clearTimeout(this.probeTimer)
+    const delay = this.status === CONNECTIVITY.ONLINE ? PROBE_INTERVAL : RECOVERY_PROBE_INTERVAL
+    this.probeTimer = setTimeout(() => this.probe(), delay)
+  }
+
+  async probe() {
+    // Concurrent callers share the probe that is already running
+    if (this.probeInFlight) return this.probeInFlight
+
+    this.probeInFlight = this.runProbe()
+      .then((status) => {
+        this.setStatus(status)
+        return status
+      })
+      .finally(() => {
+        this.probeInFlight = null
+        this.lastProbeAt = Date.now()
+        this.scheduleProbe()
+      })
+    return this.probeInFlight
+  }
+
+  async runProbe() {
+    if (!navigator.onLine) return CONNECTIVITY.OFFLINE
+    if (!this.endpoint) return CONNECTIVITY.ONLINE
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT)
+    const startedAt = Date.now()
+
+    try {
+      // Bypass this.fetch so a failing probe doesn't trigger another probe. The
+      // unique query keeps any cache, including the service worker's, from
+      // answering for the network.
+      const response = await fetch(`${this.endpoint}/auth/v1/health?probe=${startedAt}`, {
+        headers: { apikey: this.apiKey },
+        cache: 'no-store',
+        signal: controller.signal
+      })
+      this.latency = Date.now() - startedAt
+
+      if (response.status >= 500) return CONNECTIVITY.DEGRADED
+      if (this.latency > SLOW_PROBE_THRESHOLD) return CONNECTIVITY.DEGRADED
+      return CONNECTIVITY.ONLINE
+    } catch {
+      // Timed out, refused, or blocked (e.g. a captive portal answering instead of Supabase)
+      this.latency = null
+      return CONNECTIVITY.OFFLINE
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  // fetch implementation handed to the Supabase client
+  async fetch(input, init = {}) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT)
+    init.signal?.addEventListener('abort', () => controller.abort())
+
+    try {
+      return await fetch(input, { ...init, signal: controller.signal })
+    } catch (error) {
+      if (this.started) this.probe()
+      throw error
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+}
+
+export const connectivity = new ConnectivityMonitor()
@@ -0,0 +1,113 @@
+// Each queue entry declares the entity it writes (`entity`) and the entities it
+// needs to exist or be up to date first (`depends_on`), as "table:id" keys.
+// The SyncManager uses these to hold an entry back while an earlier entry it
+// depends on is still pending, backing off or sitting in the dead-letter store.
+
+function entityKey(table, id) {
+  return id === undefined || id === null ? null : `${table}:${id}`
+}
+
+function productKeys(items) {
+  return Array.isArray(items) ? items.map(i => entityKey('products', i.product_id)) : []
+}
+
+/**
+ * Work out which entity a queue entry writes and which entities it depends on
+ * @param {{kind: string, payload: object, tempId?: number}} syncItem - Queue entry
+ * @returns {{entity: string|null, depends_on: Array<string>}}
+ */
+export function describeSyncItem(syncItem) {
+  const { kind, payload = {}, tempId } = syncItem
+  let entity = null
+  let dependsOn = []
+
+  switch (kind) {
+    case 'product:create':
+      entity = entityKey('products', tempId)
+      break
+    case 'product:update':
+    case 'product:delete':
+      entity = entityKey('products', payload.id)
+      dependsOn = [entity]
+      break
+    case 'customer:create':
+      entity = entityKey('customers', tempId)
+      break
+    case 'customer:update':
+    case 'customer:delete':
+      entity = entityKey('customers', payload.id)
+      dependsOn = [entity]
+      break
+    case 'invoice:create':
+      entity = entityKey('invoices', tempId)
+      dependsOn = [entityKey('customers', payload.customerId), ...productKeys(payload.items)]
+      break
+    case 'invoice:update':
+      entity = entityKey('invoices', payload.invoiceId)
+      dependsOn = [entity, entityKey('customers', payload.updates?.customer_id), ...productKeys(payload.updates?.items)]
+      break
+    case 'invoice:delete':
+      entity = entityKey('invoices', payload.invoiceId)
+      dependsOn = [entity]
+      break
+    case 'purchase:create':
+      entity = entityKey('purchases', tempId)
+      dependsOn = productKeys(payload.items)
+      break
+    case 'payment:create':
+      entity = entityKey('payments', tempId)
+      dependsOn = [entityKey('invoices', payload.invoiceId)]
+      break
+    case 'payment:delete':
+      entity = entityKey('payments', payload.paymentId)
+      dependsOn = [entity]
+      break
+    case 'credit_note:create':
+      entity = entityKey('credit_notes', tempId)
+      dependsOn = [entityKey('customers', payload.customerId)]
+      break
+    case 'credit_note:delete':
+      entity = entityKey('credit_notes', payload.creditNoteId)
+      dependsOn = [entity]
+      break
+    case 'stock:adjust':
+      // Changes the product's stock column, so it counts as a write to the product
+      entity = entityKey('products', payload.product_id)
+      dependsOn = [entity]
+      break
+    case 'invoice_item:update_price':
+      entity = entityKey('invoice_items', payload.itemId)
+      dependsOn = [entityKey('invoices', payload.invoiceId)]
+      break
+    default:
+      break
+  }
+
+  return { entity, depends_on: [...new Set(dependsOn.filter(Boolean))] }
+}
+
+function dependencyInfo(item) {
+  // Entries queued before dependencies existed are described on the fly
+  if (item.depends_on === undefined) return describeSyncItem(item)
+  return { entity: item.entity ?? null, depends_on: item.depends_on }
+}
+
+/**
+ * Find the earlier unfinished entry that must complete before this one may run
+ * @param {object} item - Queue entry about to be processed
+ * @param {Array} unfinished - Earlier entries that have not succeeded
+ * @returns {object|undefined} The blocking entry, if any
+ */
+export function findBlockingItem(item, unfinished) {
+  const { entity, depends_on: dependsOn } = dependencyInfo(item)
+  const isDelete = item.kind.endsWith(':delete')
+
+  return unfinished.find(prev => {
+    if (prev.id === item.id) return false
+    const previous = dependencyInfo(prev)
+    // Needs something the earlier entry writes
+    if (previous.entity && dependsOn.includes(previous.entity)) return true
+    // Deleting something an earlier entry still refers to
+    return isDelete && entity !== null && previous.depends_on.includes(entity)
+  })
+}
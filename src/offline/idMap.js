@@ -0,0 +1,287 @@
+import { get, put, getAll, deleteItem, getSyncQueue, updateSyncQueueItem } from './idb.js'
+import { describeSyncItem } from './dependencies.js'
+import { tabCoordinator } from './tabCoordinator.js'
+
+// Offline creates get a temporary ID (Date.now()) that the server never sees.
+// Once the create syncs, everything that still points at the temporary ID -
+// cached rows, their children and later queued operations - is rewritten here.
+
+// Idempotency key for queued creates, stored in the row's client_id column
+export function generateClientId() {
+  if (crypto.randomUUID) return crypto.randomUUID()
+  // crypto.randomUUID is only available in secure contexts
+  const bytes = crypto.getRandomValues(new Uint8Array(16))
+  bytes[6] = (bytes[6] & 0x0f) | 0x40
+  bytes[8] = (bytes[8] & 0x3f) | 0x80
+  const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('')
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+}
+
+function mapKey(entity, tempId) {
+  return `${entity}:${tempId}`
+}
+
+export async function recordIdMapping(entity, tempId, serverId) {
+  return put('id_map', {
+    key: mapKey(entity, tempId),
+    entity,
+    tempId,
+    serverId,
+    mappedAt: Date.now()
+  })
+}
+
+export async function resolveId(entity, id) {
+  const mapping = await get('id_map', mapKey(entity, id))
+  return mapping ? mapping.serverId : id
+}
+
+function remapQueuePayload(item, entity, tempId, serverId) {
+  const payload = item.payload
+  const swap = (value) => (value === tempId ? serverId : value)
+  const swapProductIds = (items) => items.map(i => ({ ...i, product_id: swap(i.product_id) }))
+
+  if (entity === 'invoices') {
+    switch (item.kind) {
+      case 'invoice:update':
+      case 'invoice:delete':
+      case 'invoice_item:update_price':
+      case 'payment:create':
+        return { ...payload, invoiceId: swap(payload.invoiceId) }
+      default:
+        return payload
+    }
+  }
+
+  if (entity === 'invoice_items') {
+    if (item.kind === 'invoice_item:update_price') {
+      return { ...payload, itemId: swap(payload.itemId) }
+    }
+    return payload
+  }
+
+  if (entity === 'payments') {
+    if (item.kind === 'payment:delete') {
+      return { ...payload, paymentId: swap(payload.paymentId) }
+    }
+    return payload
+  }
+
+  if (entity === 'credit_notes') {
+    if (item.kind === 'credit_note:delete') {
+      return { ...payload, creditNoteId: swap(payload.creditNoteId) }
+    }
+    return payload
+  }
+
+  if (entity === 'customers') {
+    switch (item.kind) {
+      case 'customer:update':
+      case 'customer:delete':
+        return { ...payload, id: swap(payload.id) }
+      case 'invoice:create':
+      case 'credit_note:create':
+        return { ...payload, customerId: swap(payload.customerId) }
+      case 'invoice:update':
+        if (payload.updates?.customer_id === undefined) return payload
+        return { ...payload, updates: { ...payload.updates, customer_id: swap(payload.updates.customer_id) } }
+      default:
+        return payload
+    }
+  }
+
+  if (entity === 'products') {
+    switch (item.kind) {
+      case 'product:update':
+      case 'product:delete':
+        return { ...payload, id: swap(payload.id) }
+      case 'stock:adjust':
+        return { ...payload, product_id: swap(payload.product_id) }
+      case 'invoice:create':
+      case 'purchase:create':
+        return { ...payload, items: swapProductIds(payload.items || []) }
+      case 'invoice:update':
+        if (!Array.isArray(payload.updates?.items)) return payload
+        return { ...payload, updates: { ...payload.updates, items: swapProductIds(payload.updates.items) } }
+      default:
+        return payload
+    }
+  }
+
+  return payload
+}
+
+async function remapSyncQueue(entity, tempId, serverId) {
+  const queue = await getSyncQueue()
+  let rewritten = 0
+
+  for (const item of queue) {
+    const payload = remapQueuePayload(item, entity, tempId, serverId)
+    if (JSON.stringify(payload) !== JSON.stringify(item.payload)) {
+      // Dependency keys are derived from the payload IDs, so refresh them too
+      await updateSyncQueueItem(item.id, { payload, ...describeSyncItem({ ...item, payload }) })
+      rewritten++
+    }
+  }
+
+  return rewritten
+}
+
+function notifyIdRemapped(entity, tempId, serverId) {
+  tabCoordinator.relay('idRemapped', { entity, tempId, serverId })
+}
+
+/**
+ * Rewrite an offline invoice and its items to the IDs assigned by the server
+ * @param {number} tempId - Temporary invoice ID assigned offline
+ * @param {number} serverId - Invoice ID returned by the insert
+ * @param {Array} itemIdPairs - Array of {tempId, serverId} for the invoice items
+ * @returns {Promise<{rewritten: number}>}
+ */
+export async function remapInvoiceId(tempId, serverId, itemIdPairs = []) {
+  await recordIdMapping('invoices', tempId, serverId)
+  for (const pair of itemIdPairs) {
+    await recordIdMapping('invoice_items', pair.tempId, pair.serverId)
+  }
+
+  // Cached invoice row
+  const cachedInvoice = await get('invoices', tempId)
+  if (cachedInvoice) {
+    const { _offline, ...rest } = cachedInvoice
+    await deleteItem('invoices', tempId)
+    await put('invoices', { ...rest, id: serverId })
+  }
+
+  // Cached invoice items
+  const itemIdMap = new Map(itemIdPairs.map(pair => [pair.tempId, pair.serverId]))
+  const cachedItems = await getAll('invoice_items')
+  for (const item of cachedItems.filter(i => i.invoice_id === tempId)) {
+    const { _offline, ...rest } = item
+    const newItemId = itemIdMap.get(item.id) ?? item.id
+    if (newItemId !== item.id) {
+      await deleteItem('invoice_items', item.id)
+    }
+    await put('invoice_items', { ...rest, id: newItemId, invoice_id: serverId })
+  }
+
+  // Cached payments against the invoice
+  const cachedPayments = await getAll('payments')
+  for (const payment of cachedPayments.filter(p => p.invoice_id === tempId)) {
+    await put('payments', { ...payment, invoice_id: serverId })
+  }
+
+  // Queued operations
+  let rewritten = await remapSyncQueue('invoices', tempId, serverId)
+  for (const pair of itemIdPairs) {
+    rewritten += await remapSyncQueue('invoice_items', pair.tempId, pair.serverId)
+  }
+
+  notifyIdRemapped('invoices', tempId, serverId)
+  return { rewritten }
+}
+
+/**
+ * Rewrite an offline product to the ID assigned by the server
+ * @param {number} tempId - Temporary product ID assigned offline
+ * @param {number} serverId - Product ID returned by the insert
+ * @returns {Promise<{rewritten: number}>}
+ */
+export async function remapProductId(tempId, serverId) {
+  await recordIdMapping('products', tempId, serverId)
+
+  // Cached product row
+  const cachedProduct = await get('products', tempId)
+  if (cachedProduct) {
+    const { _offline, ...rest } = cachedProduct
+    await deleteItem('products', tempId)
+    await put('products', { ...rest, id: serverId })
+  }
+
+  // Cached invoice items referencing the product
+  const cachedItems = await getAll('invoice_items')
+  for (const item of cachedItems.filter(i => i.product_id === tempId)) {
+    await put('invoice_items', { ...item, product_id: serverId })
+  }
+
+  // Queued operations
+  const rewritten = await remapSyncQueue('products', tempId, serverId)
+
+  notifyIdRemapped('products', tempId, serverId)
+  return { rewritten }
+}
+
+/**
+ * Rewrite an offline payment to the ID assigned by the server
+ * @param {number} tempId - Temporary payment ID assigned offline
+ * @param {object} payment - Payment row returned by the insert
+ * @returns {Promise<{rewritten: number}>}
+ */
+export async function remapPaymentId(tempId, payment) {
+  await recordIdMapping('payments', tempId, payment.id)
+
+  // Cached payment row
+  await deleteItem('payments', tempId)
+  await put('payments', payment)
+
+  // Queued operations, e.g. deleting the payment before it synced
+  const rewritten = await remapSyncQueue('payments', tempId, payment.id)
+
+  notifyIdRemapped('payments', tempId, payment.id)
+  return { rewritten }
+}
+
+/**
+ * Rewrite an offline credit note to the ID assigned by the server
+ * @param {number} tempId - Temporary credit note ID assigned offline
+ * @param {object} creditNote - Credit note row returned by the insert
+ * @returns {Promise<{rewritten: number}>}
+ */
+export async function remapCreditNoteId(tempId, creditNote) {
+  await recordIdMapping('credit_notes', tempId, creditNote.id)
+
+  // Cached credit note row
+  await deleteItem('credit_notes', tempId)
+  await put('credit_notes', creditNote)
+
+  // Queued operations, e.g. deleting the credit note before it synced
+  const rewritten = await remapSyncQueue('credit_notes', tempId, creditNote.id)
+
+  notifyIdRemapped('credit_notes', tempId, creditNote.id)
+  return { rewritten }
+}
+
+/**
+ * Rewrite an offline customer to the ID assigned by the server
+ * @param {number} tempId - Temporary customer ID assigned offline
+ * @param {number} serverId - Customer ID returned by the insert
+ * @returns {Promise<{rewritten: number}>}
+ */
+export async function remapCustomerId(tempId, serverId) {
+  await recordIdMapping('customers', tempId, serverId)
+
+  // Cached customer row
+  const cachedCustomer = await get('customers', tempId)
+  if (cachedCustomer) {
+    const { _offline, ...rest } = cachedCustomer
+    await deleteItem('customers', tempId)
+    await put('customers', { ...rest, id: serverId })
+  }
+
+  // Cached invoices raised for the customer
+  const cachedInvoices = await getAll('invoices')
+  for (const invoice of cachedInvoices.filter(i => i.customer_id === tempId)) {
+    await put('invoices', { ...invoice, customer_id: serverId })
+  }
+
+  // Cached credit notes issued to the customer
+  const cachedCreditNotes = await getAll('credit_notes')
+  for (const creditNote of cachedCreditNotes.filter(c => c.customer_id === tempId)) {
+    await put('credit_notes', { ...creditNote, customer_id: serverId })
+  }
+
+  // Queued operations
+  const rewritten = await remapSyncQueue('customers', tempId, serverId)
+
+  notifyIdRemapped('customers', tempId, serverId)
+  return { rewritten }
+}
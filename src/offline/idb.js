@@ -1,39 +1,52 @@
 import { openDB } from 'idb'
+import { describeSyncItem } from './dependencies.js'
+import { requestBackgroundSync } from './backgroundSync.js'
+import { MIGRATIONS, LATEST_VERSION } from './migrations.js'
 
 const DB_NAME = 'invoice-manager-db'
-const DB_VERSION = 1
-
-const dbPromise = openDB(DB_NAME, DB_VERSION, {
-  upgrade(db) {
-    // Products store
-    if (!db.objectStoreNames.contains('products')) {
-      const productStore = db.createObjectStore('products', { keyPath: 'id' })
-      productStore.createIndex('name', 'name')
-    }
-    
-    // Invoices store
-    if (!db.objectStoreNames.contains('invoices')) {
-      const invoiceStore = db.createObjectStore('invoices', { keyPath: 'id' })
-      invoiceStore.createIndex('customer_name', 'customer_name')
-      invoiceStore.createIndex('created_at', 'created_at')
-    }
-    
-    // Invoice items store
-    if (!db.objectStoreNames.contains('invoice_items')) {
-      const itemStore = db.createObjectStore('invoice_items', { keyPath: 'id' })
-      itemStore.createIndex('invoice_id', 'invoice_id')
-      itemStore.createIndex('product_id', 'product_id')
-    }
-    
-    // Sync queue store
-    if (!db.objectStoreNames.contains('sync_queue')) {
-      const syncStore = db.createObjectStore('sync_queue', { keyPath: 'id', autoIncrement: true })
-      syncStore.createIndex('kind', 'kind')
-      syncStore.createIndex('timestamp', 'timestamp')
+// Set when an upgrade step fails, so the UI can explain why offline storage is unavailable
+let migrationError = null
+
+// Schema changes live in migrations.js; the database version is the newest step
+const dbPromise = openDB(DB_NAME, LATEST_VERSION, {
+  async upgrade(db, oldVersion, newVersion, tx) {
+    for (const step of MIGRATIONS) {
+      if (step.version <= oldVersion) continue
+      try {
+        await step.migrate(db, tx)
+      } catch (error) {
+        migrationError = {
+          fromVersion: oldVersion,
+          version: step.version,
+          description: step.description,
+          message: error.message
+        }
+        console.error(`IndexedDB migration to version ${step.version} failed:`, error)
+        // Roll back the whole upgrade rather than leave a half-upgraded database
+        try {
+          tx.abort()
+        } catch {
+          // Already finished or aborted
+        }
+        return
+      }
     }
   }
 })
 
+/**
+ * Wait for the database to open and report whether its upgrade succeeded
+ * @returns {Promise<{ready: boolean, error: object|null}>}
+ */
+export async function getDatabaseStatus() {
+  try {
+    await dbPromise
+    return { ready: true, error: null }
+  } catch (error) {
+    return { ready: false, error: migrationError ?? { message: error.message } }
+  }
+}
+
 export async function getAll(storeName) {
   const db = await dbPromise
   return db.getAll(storeName)
@@ -80,10 +93,15 @@ export async function enqueueSync(syncItem) {
   const db = await dbPromise
   const syncData = {
     ...syncItem,
+    ...describeSyncItem(syncItem),
     timestamp: Date.now(),
-    retryCount: 0
+    retryCount: 0,
+    next_attempt_at: Date.now()
   }
-  return db.add('sync_queue', syncData)
+  const id = await db.add('sync_queue', syncData)
+  // Not awaited: serviceWorker.ready never settles when no worker is registered
+  requestBackgroundSync()
+  return id
 }
 
 export async function getSyncQueue() {
@@ -91,6 +109,11 @@ export async function getSyncQueue() {
   return db.getAll('sync_queue')
 }
 
+export async function getSyncQueueItem(id) {
+  const db = await dbPromise
+  return db.get('sync_queue', id)
+}
+
 export async function removeFromSyncQueue(id) {
   const db = await dbPromise
   return db.delete('sync_queue', id)
@@ -110,4 +133,94 @@ export async function getPendingSyncCount() {
   return db.count('sync_queue')
 }
 
+export async function moveToDeadLetter(item, lastError) {
+  const db = await dbPromise
+  const tx = db.transaction(['sync_queue', 'sync_dead_letter'], 'readwrite')
+  await tx.objectStore('sync_dead_letter').put({
+    ...item,
+    last_error: lastError,
+    failed_at: Date.now()
+  })
+  await tx.objectStore('sync_queue').delete(item.id)
+  return tx.done
+}
+
+export async function getDeadLetters() {
+  const db = await dbPromise
+  return db.getAll('sync_dead_letter')
+}
+
+export async function getDeadLetterCount() {
+  const db = await dbPromise
+  return db.count('sync_dead_letter')
+}
+
+export async function updateDeadLetter(id, updates) {
+  const db = await dbPromise
+  const item = await db.get('sync_dead_letter', id)
+  if (item) {
+    const updatedItem = { ...item, ...updates }
+    return db.put('sync_dead_letter', updatedItem)
+  }
+}
+
+export async function removeDeadLetter(id) {
+  const db = await dbPromise
+  return db.delete('sync_dead_letter', id)
+}
+
+export async function clearDeadLetters() {
+  const db = await dbPromise
+  return db.clear('sync_dead_letter')
+}
+
+export async function requeueDeadLetter(id) {
+  const db = await dbPromise
+  const tx = db.transaction(['sync_queue', 'sync_dead_letter'], 'readwrite')
+  const deadLetterStore = tx.objectStore('sync_dead_letter')
+  const item = await deadLetterStore.get(id)
+  if (!item) {
+    await tx.done
+    return null
+  }
+  
+  // Keep the original queue key so it still sorts ahead of entries that depend on it
+  const { last_error: _lastError, failed_at: _failedAt, ...rest } = item
+  const queueId = await tx.objectStore('sync_queue').put({
+    ...rest,
+    retryCount: 0,
+    next_attempt_at: Date.now()
+  })
+  await deadLetterStore.delete(id)
+  await tx.done
+  return queueId
+}
 
+export async function addJournalEntry(entry, limit) {
+  const db = await dbPromise
+  const tx = db.transaction('sync_journal', 'readwrite')
+  const store = tx.objectStore('sync_journal')
+  const id = await store.add(entry)
+  
+  // Keep the journal bounded: drop the oldest entries beyond the limit
+  let excess = (await store.count()) - limit
+  let cursor = excess > 0 ? await store.openCursor() : null
+  while (cursor && excess > 0) {
+    await cursor.delete()
+    excess--
+    cursor = await cursor.continue()
+  }
+  
+  await tx.done
+  return id
+}
+
+export async function getJournalEntries() {
+  const db = await dbPromise
+  return db.getAll('sync_journal')
+}
+
+export async function clearJournal() {
+  const db = await dbPromise
+  return db.clear('sync_journal')
+}
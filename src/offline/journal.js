@@ -0,0 +1,162 @@
+import { addJournalEntry, getJournalEntries, clearJournal } from './idb.js'
+import { resolveId } from './idMap.js'
+
+// Persistent history of every queue entry the sync has processed, so we can
+// tell afterwards whether an offline change reached the server, which server
+// IDs it got and why it failed if it didn't.
+
+export const JOURNAL_OUTCOMES = {
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  DEAD_LETTER: 'dead_letter',
+  CONFLICT: 'conflict'
+}
+
+const JOURNAL_LIMIT = 1000
+
+function itemCount(items) {
+  return Array.isArray(items) ? `${items.length} item(s)` : null
+}
+
+/**
+ * Describe a queue entry's payload in one line
+ * @param {{kind: string, payload: object}} item - Sync queue entry
+ * @returns {string}
+ */
+export function summarizePayload(item) {
+  const payload = item.payload || {}
+  switch (item.kind) {
+    case 'product:create':
+      return `Product "${payload.name}"`
+    case 'product:update':
+      return `Product #${payload.id}: ${Object.keys(payload.updates || {}).join(', ')}`
+    case 'product:delete':
+      return `Product #${payload.id}`
+    case 'customer:create':
+      return `Customer "${payload.name}"`
+    case 'customer:update':
+      return `Customer #${payload.id}: ${Object.keys(payload.updates || {}).join(', ')}`
+    case 'customer:delete':
+      return `Customer #${payload.id}`
+    case 'purchase:create':
+      return [`Purchase from "${payload.supplierName}"`, itemCount(payload.items)].filter(Boolean).join(', ')
+    case 'stock:adjust':
+      return `Product #${payload.product_id}: ${payload.quantity > 0 ? '+' : ''}${payload.quantity} (${payload.type}${payload.reason ? `, ${payload.reason}` : ''})`
+    case 'invoice:create':
+      return [`Invoice for "${payload.customerName}"`, itemCount(payload.items)].filter(Boolean).join(', ')
+    case 'invoice:update': {
+      const changes = []
+      if (payload.updates?.customer_name !== undefined) changes.push(`customer "${payload.updates.customer_name}"`)
+      if (Array.isArray(payload.updates?.items)) changes.push(itemCount(payload.updates.items))
+      return `Invoice #${payload.invoiceId}: ${changes.join(', ') || 'no changes'}`
+    }
+    case 'invoice:delete':
+      return `Invoice #${payload.invoiceId}`
+    case 'invoice_item:update_price':
+      return `Invoice #${payload.invoiceId}, item #${payload.itemId}: price ${payload.customPrice ?? 'reset'}`
+    case 'payment:create':
+      return `Invoice #${payload.invoiceId}: payment of ₹${Number(payload.amount).toFixed(2)} (${payload.mode})`
+    case 'payment:delete':
+      return `Payment #${payload.paymentId}`
+    case 'credit_note:create':
+      return `Customer #${payload.customerId}: credit note of ₹${Number(payload.amount).toFixed(2)}${payload.reason ? ` (${payload.reason})` : ''}`
+    case 'credit_note:delete':
+      return `Credit note #${payload.creditNoteId}`
+    default:
+      return ''
+  }
+}
+
+// Server IDs a successful create produced, looked up from the ID mappings it recorded
+async function getServerIds(item) {
+  if (item.tempId === undefined) return null
+
+  if (item.kind === 'product:create') {
+    return { products: [await resolveId('products', item.tempId)] }
+  }
+
+  if (item.kind === 'customer:create') {
+    return { customers: [await resolveId('customers', item.tempId)] }
+  }
+
+  if (item.kind === 'purchase:create') {
+    return { purchases: [await resolveId('purchases', item.tempId)] }
+  }
+
+  if (item.kind === 'payment:create') {
+    return { payments: [await resolveId('payments', item.tempId)] }
+  }
+
+  if (item.kind === 'credit_note:create') {
+    return { credit_notes: [await resolveId('credit_notes', item.tempId)] }
+  }
+
+  if (item.kind === 'invoice:create') {
+    const itemIds = []
+    for (const line of item.payload?.items || []) {
+      if (line.temp_id !== undefined) {
+        itemIds.push(await resolveId('invoice_items', line.temp_id))
+      }
+    }
+    return { invoices: [await resolveId('invoices', item.tempId)], invoice_items: itemIds }
+  }
+
+  return null
+}
+
+/**
+ * Record the outcome of processing one queue entry
+ * @param {object} item - Sync queue entry as it was processed
+ * @param {{outcome: string, startedAt: number, error?: string, attempt?: number}} result
+ * @returns {Promise<void>}
+ */
+export async function recordSyncOutcome(item, { outcome, startedAt, error = null, attempt = 1 }) {
+  try {
+    await addJournalEntry({
+      queue_id: item.id,
+      kind: item.kind,
+      summary: summarizePayload(item),
+      payload: item.payload,
+      queued_at: item.timestamp ?? null,
+      started_at: startedAt,
+      finished_at: Date.now(),
+      attempt,
+      outcome,
+      server_ids: outcome === JOURNAL_OUTCOMES.SUCCESS ? await getServerIds(item) : null,
+      error
+    }, JOURNAL_LIMIT)
+  } catch (journalError) {
+    // The journal is diagnostic only; never let it break a sync
+    console.warn('Failed to write sync journal entry:', journalError)
+  }
+}
+
+function matchesSearch(entry, search) {
+  const haystack = [
+    entry.kind,
+    entry.summary,
+    entry.error,
+    `#${entry.queue_id}`,
+    ...Object.values(entry.server_ids || {}).flat().map(id => `#${id}`)
+  ].join(' ').toLowerCase()
+  return haystack.includes(search.toLowerCase())
+}
+
+/**
+ * Read the journal, newest first
+ * @param {{outcome?: string, kind?: string, search?: string, since?: number}} filters
+ * @returns {Promise<Array>}
+ */
+export async function listSyncJournal({ outcome, kind, search, since } = {}) {
+  const entries = await getJournalEntries()
+  return entries
+    .filter(entry => !outcome || entry.outcome === outcome)
+    .filter(entry => !kind || entry.kind === kind)
+    .filter(entry => !since || entry.finished_at >= since)
+    .filter(entry => !search || matchesSearch(entry, search))
+    .sort((a, b) => b.finished_at - a.finished_at)
+}
+
+export async function clearSyncJournal() {
+  return clearJournal()
+}
@@ -0,0 +1,118 @@
+import { getAll, getSyncQueue } from './idb.js'
+
+// Offline counterpart of calculateAllRemainingStock / validateStockForInvoice in
+// stockService.js. Remaining stock is the product's stock minus every invoiced
+// quantity, taken from the cached invoice_items with the pending sync queue
+// replayed on top, so invoices billed offline count even if writing them to the
+// cache failed. Results use the same shape and messages as the server versions.
+
+function addLine(linesByInvoice, invoiceId, line) {
+  const lines = linesByInvoice.get(invoiceId) || []
+  lines.push(line)
+  linesByInvoice.set(invoiceId, lines)
+}
+
+function toLines(items = []) {
+  return items.map(i => ({ product_id: i.product_id, quantity: i.quantity }))
+}
+
+// What the server will hold once the queue has synced
+async function buildLocalState() {
+  const products = new Map((await getAll('products')).map(p => [p.id, p]))
+
+  const linesByInvoice = new Map()
+  for (const item of await getAll('invoice_items')) {
+    addLine(linesByInvoice, item.invoice_id, { product_id: item.product_id, quantity: item.quantity })
+  }
+
+  for (const queued of await getSyncQueue()) {
+    const payload = queued.payload || {}
+    switch (queued.kind) {
+      case 'invoice:create':
+        if (queued.tempId !== undefined) linesByInvoice.set(queued.tempId, toLines(payload.items))
+        break
+      case 'invoice:update':
+        if (Array.isArray(payload.updates?.items)) linesByInvoice.set(payload.invoiceId, toLines(payload.updates.items))
+        break
+      case 'invoice:delete':
+        linesByInvoice.delete(payload.invoiceId)
+        break
+      case 'product:update': {
+        const product = products.get(payload.id)
+        if (product) products.set(payload.id, { ...product, ...payload.updates })
+        break
+      }
+      case 'product:delete':
+        products.delete(payload.id)
+        break
+      default:
+        break
+    }
+  }
+
+  const usedByProduct = new Map()
+  for (const lines of linesByInvoice.values()) {
+    for (const line of lines) {
+      const used = usedByProduct.get(line.product_id) || 0
+      usedByProduct.set(line.product_id, used + Number(line.quantity || 0))
+    }
+  }
+
+  return { products, usedByProduct }
+}
+
+function remainingFor(product, usedByProduct) {
+  // Allow negative stock, like the server calculation
+  return Number(product.stock || 0) - (usedByProduct.get(product.id) || 0)
+}
+
+/**
+ * Calculate remaining stock for all cached products
+ * @returns {Promise<{data: Array, error: any}>}
+ */
+export async function calculateAllRemainingStockLocally() {
+  try {
+    const { products, usedByProduct } = await buildLocalState()
+    const withRemaining = [...products.values()]
+      .map(p => ({ ...p, remaining: remainingFor(p, usedByProduct) }))
+      .sort((a, b) => a.id - b.id)
+    return { data: withRemaining, error: null }
+  } catch (error) {
+    return { data: [], error }
+  }
+}
+
+/**
+ * Check an invoice's items against locally computed remaining stock (negative stock is allowed)
+ * @param {Array} items - Array of {product_id, quantity}
+ * @returns {Promise<{valid: boolean, errors: Array, warnings: Array, stock: object, error: any}>} stock maps product_id to {name, remaining} before this invoice
+ */
+export async function validateStockLocally(items) {
+  try {
+    const { products, usedByProduct } = await buildLocalState()
+    const errors = []
+    const warnings = []
+    const stockSnapshot = {}
+
+    for (const item of items) {
+      const product = products.get(item.product_id)
+      if (!product) {
+        errors.push(`Error checking stock for product ${item.product_id}: Product not found`)
+        continue
+      }
+
+      const remaining = remainingFor(product, usedByProduct)
+      const productName = product.name || `Product ${item.product_id}`
+      stockSnapshot[item.product_id] = { name: productName, remaining }
+
+      if (remaining < item.quantity) {
+        const willBeNegative = remaining - item.quantity
+        warnings.push(`Insufficient stock for ${productName}. Current remaining: ${remaining}, Requested: ${item.quantity}. Stock will be: ${willBeNegative}`)
+      }
+    }
+
+    return { valid: true, errors, warnings, stock: stockSnapshot, error: null }
+  } catch (error) {
+    return { valid: false, errors: [], warnings: [], stock: {}, error }
+  }
+}
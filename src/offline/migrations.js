@@ -0,0 +1,164 @@
+import { describeSyncItem } from './dependencies.js'
+
+// IndexedDB schema history. Each entry upgrades the database from the previous
+// version to `version`; the database version is the last entry's version.
+// Steps run in order inside the upgrade transaction, so a step that throws
+// rolls the whole upgrade back and the database stays on its old version.
+//
+// To change the schema, append a step. Never edit a step that has shipped:
+// existing caches have already run it.
+//
+// Each step gets the database and the versionchange transaction (idb wrappers)
+// and may be async, but must only await IndexedDB requests on `tx`: awaiting
+// anything else lets the transaction auto-commit half way through.
+
+/**
+ * Rewrite every record in a store
+ * @param {IDBPTransaction} tx - The upgrade transaction
+ * @param {string} storeName - Store to rewrite
+ * @param {function(object): object|null|undefined} transform - Returns the new record, null to delete it, or undefined to leave it as is
+ * @returns {Promise<void>}
+ */
+export async function transformRecords(tx, storeName, transform) {
+  let cursor = await tx.objectStore(storeName).openCursor()
+  while (cursor) {
+    const next = transform(cursor.value)
+    if (next === null) {
+      await cursor.delete()
+    } else if (next !== undefined) {
+      await cursor.update(next)
+    }
+    cursor = await cursor.continue()
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the cache and sync queue stores',
+    migrate(db) {
+      const productStore = db.createObjectStore('products', { keyPath: 'id' })
+      productStore.createIndex('name', 'name')
+
+      const invoiceStore = db.createObjectStore('invoices', { keyPath: 'id' })
+      invoiceStore.createIndex('customer_name', 'customer_name')
+      invoiceStore.createIndex('created_at', 'created_at')
+
+      const itemStore = db.createObjectStore('invoice_items', { keyPath: 'id' })
+      itemStore.createIndex('invoice_id', 'invoice_id')
+      itemStore.createIndex('product_id', 'product_id')
+
+      const syncStore = db.createObjectStore('sync_queue', { keyPath: 'id', autoIncrement: true })
+      syncStore.createIndex('kind', 'kind')
+      syncStore.createIndex('timestamp', 'timestamp')
+    }
+  },
+  {
+    version: 2,
+    description: 'Temporary offline ID -> server ID mappings',
+    migrate(db) {
+      const idMapStore = db.createObjectStore('id_map', { keyPath: 'key' })
+      idMapStore.createIndex('entity', 'entity')
+    }
+  },
+  {
+    version: 3,
+    description: 'Offline invoice edits that collided with newer server changes',
+    migrate(db) {
+      const conflictStore = db.createObjectStore('sync_conflicts', { keyPath: 'id', autoIncrement: true })
+      conflictStore.createIndex('invoice_id', 'invoiceId')
+    }
+  },
+  {
+    version: 4,
+    description: 'Queue items that exhausted their retries',
+    migrate(db) {
+      const deadLetterStore = db.createObjectStore('sync_dead_letter', { keyPath: 'id' })
+      deadLetterStore.createIndex('kind', 'kind')
+      deadLetterStore.createIndex('failed_at', 'failed_at')
+    }
+  },
+  {
+    version: 5,
+    description: 'Per-table high-water marks for incremental (delta) sync',
+    migrate(db) {
+      db.createObjectStore('sync_meta', { keyPath: 'table' })
+    }
+  },
+  {
+    version: 6,
+    description: 'Fill in retry and dependency fields on entries queued by older versions',
+    async migrate(db, tx) {
+      const upgrade = (item) => {
+        if (item.depends_on !== undefined && item.retryCount !== undefined) return undefined
+        return {
+          ...item,
+          ...(item.depends_on === undefined ? describeSyncItem(item) : {}),
+          retryCount: item.retryCount ?? 0
+        }
+      }
+      await transformRecords(tx, 'sync_queue', upgrade)
+      await transformRecords(tx, 'sync_dead_letter', upgrade)
+    }
+  },
+  {
+    version: 7,
+    description: 'Journal of processed sync queue entries and their outcomes',
+    migrate(db) {
+      const journalStore = db.createObjectStore('sync_journal', { keyPath: 'id', autoIncrement: true })
+      journalStore.createIndex('queue_id', 'queue_id')
+      journalStore.createIndex('kind', 'kind')
+      journalStore.createIndex('outcome', 'outcome')
+      journalStore.createIndex('finished_at', 'finished_at')
+    }
+  },
+  {
+    version: 8,
+    description: 'Cached stock movement history',
+    migrate(db) {
+      const movementStore = db.createObjectStore('stock_movements', { keyPath: 'id' })
+      movementStore.createIndex('product_id', 'product_id')
+    }
+  },
+  {
+    version: 9,
+    description: 'Cached purchases with their lines',
+    migrate(db) {
+      const purchaseStore = db.createObjectStore('purchases', { keyPath: 'id' })
+      purchaseStore.createIndex('purchase_date', 'purchase_date')
+    }
+  },
+  {
+    version: 10,
+    description: 'Cached stock reservations held by other drafts',
+    migrate(db) {
+      db.createObjectStore('stock_reservations', { keyPath: 'id' })
+    }
+  },
+  {
+    version: 11,
+    description: 'Cached payments against invoices',
+    migrate(db) {
+      const paymentStore = db.createObjectStore('payments', { keyPath: 'id' })
+      paymentStore.createIndex('invoice_id', 'invoice_id')
+    }
+  },
+  {
+    version: 12,
+    description: 'Cached customers',
+    migrate(db) {
+      const customerStore = db.createObjectStore('customers', { keyPath: 'id' })
+      customerStore.createIndex('name', 'name')
+    }
+  },
+  {
+    version: 13,
+    description: 'Cached credit notes issued to customers',
+    migrate(db) {
+      const creditNoteStore = db.createObjectStore('credit_notes', { keyPath: 'id' })
+      creditNoteStore.createIndex('customer_id', 'customer_id')
+    }
+  }
+]
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
@@ -0,0 +1,153 @@
+import {
+  getSyncQueue,
+  getSyncQueueItem,
+  removeFromSyncQueue,
+  updateSyncQueueItem,
+  getPendingSyncCount,
+  moveToDeadLetter,
+  getDeadLetters
+} from './idb.js'
+import { findBlockingItem } from './dependencies.js'
+import { compactSyncQueue } from './compaction.js'
+import { SYNC_CONFLICT } from './conflicts.js'
+import { processSyncItem } from './syncHandlers.js'
+import { recordSyncOutcome, JOURNAL_OUTCOMES } from './journal.js'
+
+// One pass over the sync queue, shared by the SyncManager in the page and the
+// service worker's background sync. Returns a summary instead of toasting so
+// each caller can report it its own way.
+
+// Retry schedule: exponential backoff with jitter, then the dead-letter store
+const BASE_RETRY_DELAY = 10000 // 10 seconds
+const MAX_RETRY_DELAY = 10 * 60 * 1000 // 10 minutes
+const MAX_RETRIES = 5
+
+// Held while a page or the service worker is replaying the queue
+const DRAIN_LOCK_NAME = 'invoice-manager-sync-drain'
+
+function getRetryDelay(retryCount) {
+  const exponential = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** (retryCount - 1))
+  // Spread retries over the upper half of the window so clients don't retry in lockstep
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2))
+}
+
+async function recordFailure(item, errorMessage) {
+  const retryCount = (item.retryCount || 0) + 1
+
+  // Out of retries: park it in the dead-letter store instead of dropping it
+  if (retryCount >= MAX_RETRIES) {
+    await moveToDeadLetter({ ...item, retryCount }, errorMessage)
+    return { deadLettered: true, retryCount }
+  }
+
+  await updateSyncQueueItem(item.id, {
+    retryCount,
+    last_error: errorMessage,
+    next_attempt_at: Date.now() + getRetryDelay(retryCount)
+  })
+  return { deadLettered: false, retryCount }
+}
+
+async function runPass() {
+  const summary = {
+    successCount: 0,
+    errorCount: 0,
+    conflictCount: 0,
+    errorDetails: [],
+    deadLettered: [],
+    compacted: []
+  }
+
+  const pendingCount = await getPendingSyncCount()
+  if (pendingCount === 0) return summary
+
+  // Collapse redundant offline operations before replaying them
+  try {
+    summary.compacted = await compactSyncQueue()
+  } catch (compactionError) {
+    console.warn('Sync queue compaction failed:', compactionError)
+  }
+
+  const queue = await getSyncQueue()
+  const now = Date.now()
+
+  // Entries that haven't succeeded; anything depending on them is held back.
+  // Dead letters count too, so their dependants wait until they're re-queued or discarded.
+  const unfinished = await getDeadLetters()
+
+  for (const queued of queue) {
+    // Items still backing off from an earlier failure wait for their slot
+    if ((queued.next_attempt_at || 0) > now) {
+      unfinished.push(queued)
+      continue
+    }
+
+    // Re-read the entry: an earlier create in this pass may have remapped its IDs
+    const item = await getSyncQueueItem(queued.id)
+    if (!item) continue
+
+    const blocker = findBlockingItem(item, unfinished)
+    if (blocker) {
+      if (item.blocked_by !== blocker.id) {
+        await updateSyncQueueItem(item.id, { blocked_by: blocker.id })
+      }
+      unfinished.push(item)
+      continue
+    }
+    if (item.blocked_by) {
+      await updateSyncQueueItem(item.id, { blocked_by: null })
+    }
+
+    let errorMessage = null
+    const startedAt = Date.now()
+    const attempt = (item.retryCount || 0) + 1
+    try {
+      const success = await processSyncItem(item)
+      if (success === SYNC_CONFLICT) {
+        // Parked in sync_conflicts until the user resolves it
+        await removeFromSyncQueue(item.id)
+        await recordSyncOutcome(item, { outcome: JOURNAL_OUTCOMES.CONFLICT, startedAt, attempt })
+        summary.conflictCount++
+        continue
+      }
+      if (success) {
+        await removeFromSyncQueue(item.id)
+        await recordSyncOutcome(item, { outcome: JOURNAL_OUTCOMES.SUCCESS, startedAt, attempt })
+        summary.successCount++
+        continue
+      }
+      errorMessage = 'Failed to process'
+    } catch (error) {
+      errorMessage = error.message
+    }
+
+    summary.errorCount++
+    summary.errorDetails.push(`${item.kind}: ${errorMessage}`)
+    const { deadLettered, retryCount } = await recordFailure(item, errorMessage)
+    await recordSyncOutcome(item, {
+      outcome: deadLettered ? JOURNAL_OUTCOMES.DEAD_LETTER : JOURNAL_OUTCOMES.FAILED,
+      startedAt,
+      attempt,
+      error: errorMessage
+    })
+    if (deadLettered) {
+      summary.deadLettered.push({ id: item.id, kind: item.kind, retryCount })
+    }
+    unfinished.push(item)
+  }
+
+  return summary
+}
+
+/**
+ * Replay every due entry in the sync queue once
+ * @returns {Promise<object|null>} Pass summary, or null if another context is already draining the queue
+ */
+export async function drainSyncQueue() {
+  if (!navigator.locks) return runPass()
+
+  return navigator.locks.request(DRAIN_LOCK_NAME, { ifAvailable: true }, (lock) => {
+    if (!lock) return null
+    return runPass()
+  })
+}
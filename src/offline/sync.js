@@ -1,31 +1,93 @@
-import { supabase } from '../services/supabaseClient.js'
 import { 
   getSyncQueue, 
-  removeFromSyncQueue, 
+  getSyncQueueItem,
   updateSyncQueueItem,
-  getPendingSyncCount 
+  getPendingSyncCount,
+  getDeadLetters,
+  getDeadLetterCount,
+  updateDeadLetter,
+  removeDeadLetter,
+  clearDeadLetters,
+  requeueDeadLetter
 } from './idb.js'
+import { tabCoordinator } from './tabCoordinator.js'
+import { connectivity, CONNECTIVITY } from './connectivity.js'
+import { drainSyncQueue } from './queueRunner.js'
+import { processSyncItem } from './syncHandlers.js'
+import { summarizePayload, listSyncJournal, clearSyncJournal } from './journal.js'
 import { toast } from 'react-toastify'
-import { validateStockForInvoice, updateStockForInvoice, restoreStockForDeletedInvoice } from '../services/stockService.js'
+
+const COMPACTION_LOG_LIMIT = 50
 
 class SyncManager {
   constructor() {
-    this.isOnline = navigator.onLine
+    this.isOnline = !connectivity.isOffline()
+    this.connectivity = connectivity.getStatus()
     this.syncInProgress = false
     this.syncInterval = null
+    this.compactionLog = []
+    this.isLeader = false
+    this.autoSyncRequested = false
     this.setupEventListeners()
+    
+    // Only the leader tab replays the queue; the others follow its progress
+    tabCoordinator.subscribe((type, detail) => this.handleTabMessage(type, detail))
+    tabCoordinator.start(() => this.becomeLeader())
+  }
+
+  becomeLeader() {
+    this.isLeader = true
+    this.syncInProgress = false
+    if (this.autoSyncRequested && this.isOnline) {
+      this.startAutoSync()
+    }
+  }
+
+  handleTabMessage(type, detail) {
+    switch (type) {
+      case 'sync-started':
+        this.syncInProgress = true
+        window.dispatchEvent(new CustomEvent('syncProgress', { detail: { syncInProgress: true } }))
+        break
+      case 'sync-finished':
+        this.syncInProgress = false
+        window.dispatchEvent(new CustomEvent('syncProgress', { detail: { syncInProgress: false, ...detail } }))
+        break
+      case 'sync-request':
+        if (this.isLeader) this.syncPendingChanges()
+        break
+      default:
+        break
+    }
   }
 
   setupEventListeners() {
-    window.addEventListener('online', () => {
-      this.isOnline = true
-      this.onlineStatusChanged(true)
-    })
-
-    window.addEventListener('offline', () => {
-      this.isOnline = false
-      this.onlineStatusChanged(false)
-    })
+    // Follow the connectivity monitor rather than navigator.onLine, which stays
+    // true behind captive portals and when Supabase is down
+    connectivity.subscribe((status) => this.connectivityChanged(status))
+    connectivity.start()
+  }
+
+  connectivityChanged(status) {
+    const previous = this.connectivity
+    this.connectivity = status
+    const isOnline = status !== CONNECTIVITY.OFFLINE
+    
+    if (isOnline !== this.isOnline) {
+      this.isOnline = isOnline
+      this.onlineStatusChanged(isOnline)
+      return
+    }
+    
+    if (status === CONNECTIVITY.DEGRADED) {
+      toast.info('🟡 Connection is slow. Changes will be saved locally if the server can\'t be reached.')
+    } else if (previous === CONNECTIVITY.DEGRADED) {
+      toast.success('🟢 Connection restored')
+    }
+    
+    window.dispatchEvent(new CustomEvent('connectionStatusChanged', { 
+      detail: { isOnline, connectivity: status } 
+    }))
   }
 
   onlineStatusChanged(isOnline) {
@@ -41,12 +103,14 @@ class SyncManager {
     
     // Dispatch custom event for UI updates
     window.dispatchEvent(new CustomEvent('connectionStatusChanged', { 
-      detail: { isOnline } 
+      detail: { isOnline, connectivity: this.connectivity } 
     }))
   }
 
   async startAutoSync() {
-    if (this.syncInterval) return
+    this.autoSyncRequested = true
+    // Followers pick this up in becomeLeader() if the leader tab closes
+    if (!this.isLeader || this.syncInterval) return
     
     this.syncInterval = setInterval(async () => {
       if (this.isOnline && !this.syncInProgress) {
@@ -66,54 +130,38 @@ class SyncManager {
   }
 
   async syncPendingChanges() {
-    if (this.syncInProgress || !this.isOnline) return
+    if (this.syncInProgress || !this.isOnline || !this.isLeader) return
     
+    let summary = null
     try {
       this.syncInProgress = true
-      const pendingCount = await getPendingSyncCount()
+      tabCoordinator.post('sync-started')
+      window.dispatchEvent(new CustomEvent('syncProgress', { detail: { syncInProgress: true } }))
       
-      if (pendingCount === 0) return
+      summary = await drainSyncQueue()
+      // null: the service worker is already replaying the queue
+      if (!summary) return
       
+      if (summary.compacted.length > 0) {
+        const compactedAt = Date.now()
+        this.compactionLog = [
+          ...summary.compacted.map(entry => ({ ...entry, compactedAt })),
+          ...this.compactionLog
+        ].slice(0, COMPACTION_LOG_LIMIT)
+      }
       
+      const { successCount, errorCount, conflictCount, deadLettered } = summary
       
-      const queue = await getSyncQueue()
-      let successCount = 0
-      let errorCount = 0
-      let errorDetails = []
+      if (successCount > 0) {
+        toast.success(`✅ Synced ${successCount} changes successfully`)
+      }
       
-      for (const item of queue) {
-        try {
-          
-          const success = await this.processSyncItem(item)
-          if (success) {
-            await removeFromSyncQueue(item.id)
-            successCount++
-            
-          } else {
-            errorCount++
-            errorDetails.push(`${item.kind}: Failed to process`)
-            
-          }
-        } catch (error) {
-          
-          errorCount++
-          errorDetails.push(`${item.kind}: ${error.message}`)
-          
-          // Increment retry count
-          const retryCount = (item.retryCount || 0) + 1
-          await updateSyncQueueItem(item.id, { retryCount })
-          
-          // If item has been retried too many times, remove it from queue
-          if (retryCount >= 3) {
-            
-            await removeFromSyncQueue(item.id)
-            toast.error(`Failed to sync ${item.kind} after ${retryCount} attempts. Check data manually.`)
-          }
-        }
+      if (conflictCount > 0) {
+        toast.warning(`⚠️ ${conflictCount} offline edit(s) conflict with newer changes. Review them to finish syncing.`)
       }
       
-      if (successCount > 0) {
-        toast.success(`✅ Synced ${successCount} changes successfully`)
+      for (const failed of deadLettered) {
+        toast.error(`Failed to sync ${failed.kind} after ${failed.retryCount} attempts. Moved to failed items for review.`)
       }
       
       if (errorCount > 0) {
@@ -121,276 +169,25 @@ class SyncManager {
         toast.error(errorMessage)
       }
       
+      if (successCount > 0) {
+        tabCoordinator.relay('cacheChanged')
+      }
+      
     } catch (error) {
       
       toast.error(`Sync failed: ${error.message}`)
     } finally {
       this.syncInProgress = false
+      const counts = summary
+        ? { successCount: summary.successCount, errorCount: summary.errorCount, conflictCount: summary.conflictCount }
+        : {}
+      tabCoordinator.post('sync-finished', counts)
+      window.dispatchEvent(new CustomEvent('syncProgress', { detail: { syncInProgress: false, ...counts } }))
     }
   }
 
   async processSyncItem(item) {
-    try {
-      switch (item.kind) {
-        case 'product:create': {
-          const { error: createError } = await supabase
-            .from('products')
-            .insert(item.payload)
-          return !createError
-        }
-
-        case 'product:update': {
-          const { error: updateError } = await supabase
-            .from('products')
-            .update(item.payload.updates)
-            .eq('id', item.payload.id)
-          return !updateError
-        }
-
-        case 'product:delete': {
-          const { error: deleteError } = await supabase
-            .from('products')
-            .delete()
-            .eq('id', item.payload.id)
-          return !deleteError
-        }
-
-        case 'invoice:create': {
-          try {
-            // Validate stock before creating invoice
-            const { valid, errors, error: validationError } = await validateStockForInvoice(item.payload.items)
-            if (validationError) {
-              
-              return false
-            }
-            if (!valid) {
-              
-              return false
-            }
-            
-            // Create invoice first
-            const { data: invoice, error: invError } = await supabase
-              .from('invoices')
-              .insert({ customer_name: item.payload.customerName })
-              .select('id')
-              .single()
-            
-            if (invError) {
-              
-              return false
-            }
-            
-            // Create invoice items - ensure all required fields are present
-            const itemsRows = item.payload.items.map(i => ({
-              invoice_id: invoice.id,
-              product_id: i.product_id,
-              quantity: i.quantity,
-              custom_price: i.custom_price ?? null
-            }))
-            
-            const { error: itemsError } = await supabase
-              .from('invoice_items')
-              .insert(itemsRows)
-            
-            if (itemsError) {
-              
-              return false
-            }
-            
-            // Update stock tracking
-            await updateStockForInvoice([], item.payload.items)
-            
-            
-            return true
-          } catch (error) {
-            
-            return false
-          }
-        }
-
-        case 'invoice:update': {
-          try {
-            
-            let hasErrors = false
-            let errorMessages = []
-            
-            if (item.payload.updates.customer_name !== undefined) {
-              
-              const { error } = await supabase
-                .from('invoices')
-                .update({ customer_name: item.payload.updates.customer_name })
-                .eq('id', item.payload.invoiceId)
-              if (error) {
-                
-                hasErrors = true
-                errorMessages.push(`Customer name update failed: ${error.message}`)
-              } else {
-                
-              }
-            }
-            
-            if (Array.isArray(item.payload.updates.items)) {
-              
-              
-              // Get current items to calculate stock changes
-              const { data: currentItems, error: fetchError } = await supabase
-                .from('invoice_items')
-                .select('product_id, quantity')
-                .eq('invoice_id', item.payload.invoiceId)
-              
-              if (fetchError) {
-                
-                hasErrors = true
-                errorMessages.push(`Failed to fetch current items: ${fetchError.message}`)
-              } else {
-                
-              }
-              
-              // Validate new stock levels
-              const { valid, errors, error: validationError } = await validateStockForInvoice(item.payload.updates.items)
-              if (validationError) {
-                
-                hasErrors = true
-                errorMessages.push(`Stock validation error: ${validationError.message}`)
-              } else if (!valid) {
-                
-                hasErrors = true
-                errorMessages.push(`Stock validation failed: ${errors.join('. ')}`)
-              } else {
-                
-                
-                // Delete existing items
-                
-                const { error: delError } = await supabase
-                  .from('invoice_items')
-                  .delete()
-                  .eq('invoice_id', item.payload.invoiceId)
-                if (delError) {
-                  
-                  hasErrors = true
-                  errorMessages.push(`Failed to delete existing items: ${delError.message}`)
-                } else {
-                  
-                  
-                  // Insert new items - ensure all required fields are present
-                  const rows = item.payload.updates.items.map(i => ({
-                    invoice_id: item.payload.invoiceId,
-                    product_id: i.product_id,
-                    quantity: i.quantity,
-                    custom_price: i.custom_price ?? null
-                  }))
-                  
-                  
-                  const { error: insError } = await supabase
-                    .from('invoice_items')
-                    .insert(rows)
-                  if (insError) {
-                    
-                    hasErrors = true
-                    errorMessages.push(`Failed to insert new items: ${insError.message}`)
-                  } else {
-                    
-                    
-                    // Update stock tracking
-                    
-                    try {
-                      await updateStockForInvoice(currentItems || [], item.payload.updates.items)
-                      
-                    } catch (stockError) {
-                      
-                      // Don't fail the entire operation for stock tracking errors
-                    }
-                  }
-                }
-              }
-            }
-            
-            if (hasErrors) {
-              
-              return false
-            }
-            
-            
-            // After successful sync, refresh local cache for invoices and invoice_items
-            try {
-              const { data: invoicesData } = await supabase
-                .from('invoices')
-                .select('*')
-                .order('id', { ascending: false })
-              if (invoicesData) {
-                // Lazy import to avoid circular deps
-                const cache = await import('./cache.js')
-                await cache.clearStore('invoices')
-                await cache.putAll('invoices', invoicesData)
-              }
-              const { data: itemsData } = await supabase
-                .from('invoice_items')
-                .select('*')
-              if (itemsData) {
-                const cache = await import('./cache.js')
-                await cache.clearStore('invoice_items')
-                await cache.putAll('invoice_items', itemsData)
-              }
-            } catch (refreshError) {
-              console.warn('Cache refresh after invoice:update sync failed:', refreshError)
-            }
-            return true
-          } catch (error) {
-            
-            return false
-          }
-        }
-
-        case 'invoice:delete': {
-          // Get items before deletion to restore stock
-          const { data: itemsToDelete } = await supabase
-            .from('invoice_items')
-            .select('product_id, quantity')
-            .eq('invoice_id', item.payload.invoiceId)
-          
-          // Delete items first
-          const { error: delItemsError } = await supabase
-            .from('invoice_items')
-            .delete()
-            .eq('invoice_id', item.payload.invoiceId)
-          if (delItemsError) return false
-          
-          // Delete invoice
-          const { error: delInvError } = await supabase
-            .from('invoices')
-            .delete()
-            .eq('id', item.payload.invoiceId)
-          if (delInvError) return false
-          
-          // Restore stock (stock is automatically restored when items are deleted)
-          if (itemsToDelete && itemsToDelete.length > 0) {
-            await restoreStockForDeletedInvoice(itemsToDelete)
-          }
-          
-          return true
-        }
-
-        case 'invoice_item:update_price': {
-          try {
-            const { error } = await supabase
-              .from('invoice_items')
-              .update({ custom_price: item.payload.customPrice })
-              .eq('id', item.payload.itemId)
-              .eq('invoice_id', item.payload.invoiceId)
-            return !error
-          } catch (error) {
-            return false
-          }
-        }
-
-        default:
-          
-          return false
-      }
-    } catch (error) {
-      
-      return false
-    }
+    return processSyncItem(item)
   }
 
   async manualSync() {
@@ -399,6 +196,13 @@ class SyncManager {
       return
     }
     
+    if (!this.isLeader) {
+      // Another tab owns the queue; ask it to sync now
+      tabCoordinator.post('sync-request')
+      toast.info('🔄 Sync requested from the active tab...')
+      return
+    }
+    
     toast.info('🔄 Manual sync started...')
     await this.syncPendingChanges()
   }
@@ -406,19 +210,16 @@ class SyncManager {
 
   async clearFailedSyncItems() {
     try {
-      const queue = await getSyncQueue()
-      const failedItems = queue.filter(item => (item.retryCount || 0) >= 3)
+      const failedCount = await getDeadLetterCount()
       
-      if (failedItems.length === 0) {
+      if (failedCount === 0) {
         toast.info('No failed sync items to clear')
         return
       }
       
-      for (const item of failedItems) {
-        await removeFromSyncQueue(item.id)
-      }
+      await clearDeadLetters()
       
-      toast.success(`Cleared ${failedItems.length} failed sync items`)
+      toast.success(`Cleared ${failedCount} failed sync items`)
       
     } catch (error) {
       
@@ -429,16 +230,18 @@ class SyncManager {
   async getSyncQueueStatus() {
     try {
       const queue = await getSyncQueue()
+      const failed = await getDeadLetterCount()
       const status = {
-        total: queue.length,
-        pending: queue.filter(item => (item.retryCount || 0) === 0).length,
-        retrying: queue.filter(item => (item.retryCount || 0) > 0 && (item.retryCount || 0) < 3).length,
-        failed: queue.filter(item => (item.retryCount || 0) >= 3).length
+        total: queue.length + failed,
+        pending: queue.filter(item => (item.retryCount || 0) === 0 && !item.blocked_by).length,
+        retrying: queue.filter(item => (item.retryCount || 0) > 0 && !item.blocked_by).length,
+        blocked: queue.filter(item => item.blocked_by).length,
+        failed
       }
       return status
     } catch (error) {
       
-      return { total: 0, pending: 0, retrying: 0, failed: 0 }
+      return { total: 0, pending: 0, retrying: 0, blocked: 0, failed: 0 }
     }
   }
 
@@ -446,49 +249,146 @@ class SyncManager {
     try {
       const queue = await getSyncQueue()
       
-      
       if (queue.length === 0) {
-        
-        return
+        console.info('Sync queue is empty')
+        return []
       }
       
-      queue.forEach(() => {})
+      console.table(queue.map(item => ({
+        id: item.id,
+        kind: item.kind,
+        summary: summarizePayload(item),
+        queued: new Date(item.timestamp).toLocaleString(),
+        retries: item.retryCount || 0,
+        next_attempt: item.next_attempt_at ? new Date(item.next_attempt_at).toLocaleString() : '',
+        blocked_by: item.blocked_by ?? '',
+        last_error: item.last_error ?? ''
+      })))
       
       return queue
     } catch (error) {
-      
+      console.error('Error reading sync queue:', error)
       return []
     }
   }
 
   async retrySpecificItem(itemId) {
     try {
-      const queue = await getSyncQueue()
-      const item = queue.find(q => q.id === itemId)
-      
-      if (!item) {
-        
-        return false
-      }
+      const item = await getSyncQueueItem(itemId)
+      if (!item) return false
       
+      // Make it due now. The retry count stays, so an item that keeps failing
+      // still ends up in the dead-letter store.
+      await updateSyncQueueItem(itemId, { next_attempt_at: Date.now() })
       
+      if (!this.isLeader) {
+        // Another tab owns the queue; ask it to replay now
+        tabCoordinator.post('sync-request')
+        toast.info('🔄 Retry requested from the active tab...')
+        return null
+      }
       
-      // Reset retry count
-      await updateSyncQueueItem(itemId, { retryCount: 0 })
+      // Replay through the normal pass so dependencies, the drain lock and the
+      // retry schedule all apply
+      await this.syncPendingChanges()
       
-      // Try to process the item
-      const success = await this.processSyncItem(item)
+      const stillQueued = await getSyncQueueItem(itemId)
+      const deadLettered = (await getDeadLetters()).some(dead => dead.id === itemId)
+      return !stillQueued && !deadLettered
+    } catch (error) {
+      console.error('Error retrying sync item:', error)
+      return false
+    }
+  }
+
+  async getDeadLetters() {
+    try {
+      return await getDeadLetters()
+    } catch (error) {
+      console.error('Error reading failed sync items:', error)
+      return []
+    }
+  }
+
+  async updateDeadLetter(itemId, updates) {
+    try {
+      await updateDeadLetter(itemId, updates)
+      return true
+    } catch (error) {
+      console.error('Error updating failed sync item:', error)
+      return false
+    }
+  }
+
+  async requeueDeadLetter(itemId) {
+    try {
+      const queueId = await requeueDeadLetter(itemId)
+      if (queueId === null) return false
       
-      if (success) {
-        await removeFromSyncQueue(itemId)
-        
-        return true
-      } else {
-        
-        return false
+      // Give it an immediate attempt if we can
+      if (this.isOnline) {
+        await this.syncPendingChanges()
       }
+      return true
     } catch (error) {
-      
+      console.error('Error re-queueing failed sync item:', error)
+      return false
+    }
+  }
+
+  async removeDeadLetter(itemId) {
+    try {
+      await removeDeadLetter(itemId)
+      return true
+    } catch (error) {
+      console.error('Error removing failed sync item:', error)
+      return false
+    }
+  }
+
+  async exportDeadLetters() {
+    const items = await getDeadLetters()
+    const blob = new Blob([JSON.stringify(items, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `sync_failed_items_${new Date().toISOString().slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+    return items.length
+  }
+
+  getCompactionLog() {
+    return this.compactionLog
+  }
+
+  async getSyncJournal(filters) {
+    try {
+      return await listSyncJournal(filters)
+    } catch (error) {
+      console.error('Error reading sync history:', error)
+      return []
+    }
+  }
+
+  async exportSyncJournal(filters) {
+    const entries = await listSyncJournal(filters)
+    const blob = new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `sync_history_${new Date().toISOString().slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+    return entries.length
+  }
+
+  async clearSyncJournal() {
+    try {
+      await clearSyncJournal()
+      return true
+    } catch (error) {
+      console.error('Error clearing sync history:', error)
       return false
     }
   }
@@ -496,7 +396,9 @@ class SyncManager {
   getStatus() {
     return {
       isOnline: this.isOnline,
+      connectivity: this.connectivity,
       syncInProgress: this.syncInProgress,
+      isLeader: this.isLeader,
       pendingCount: 0 // Will be updated by getPendingSyncCount
     }
   }
@@ -518,5 +420,14 @@ export const clearFailedSyncItems = () => syncManager.clearFailedSyncItems()
 export const getSyncQueueStatus = () => syncManager.getSyncQueueStatus()
 export const debugSyncQueue = () => syncManager.debugSyncQueue()
 export const retrySpecificItem = (itemId) => syncManager.retrySpecificItem(itemId)
+export const listDeadLetters = () => syncManager.getDeadLetters()
+export const editDeadLetter = (itemId, updates) => syncManager.updateDeadLetter(itemId, updates)
+export const requeueFailedItem = (itemId) => syncManager.requeueDeadLetter(itemId)
+export const discardFailedItem = (itemId) => syncManager.removeDeadLetter(itemId)
+export const exportDeadLetters = () => syncManager.exportDeadLetters()
+export const getCompactionLog = () => syncManager.getCompactionLog()
+export const listSyncHistory = (filters) => syncManager.getSyncJournal(filters)
+export const exportSyncHistory = (filters) => syncManager.exportSyncJournal(filters)
+export const clearSyncHistory = () => syncManager.clearSyncJournal()
 
 
@@ -0,0 +1,556 @@
+import { supabase } from '../services/supabaseClient.js'
+import { syncDownInvoices, syncDownInvoiceItems, replaceOfflineStockMovement, replaceOfflinePurchase, deletePaymentFromCache, deleteCreditNoteFromCache, deleteCustomerFromCache, replaceCachedInvoiceItems } from './cache.js'
+import { remapInvoiceId, remapProductId, remapPaymentId, remapCreditNoteId, remapCustomerId, recordIdMapping } from './idMap.js'
+import { SYNC_CONFLICT, detectInvoiceConflict, recordConflict, advanceBaseVersion } from './conflicts.js'
+import { validateStockForInvoice, updateStockForInvoice, restoreStockForDeletedInvoice } from '../services/stockService.js'
+import { tabCoordinator } from './tabCoordinator.js'
+
+// Server-side handlers for each queued operation kind. Kept free of UI and
+// window-only APIs so the page's SyncManager and the service worker's
+// background sync replay the queue the same way.
+
+// Queued creates carry a client-generated UUID stored in the row's client_id
+// column. If a create is replayed after it already reached the server (e.g. the
+// connection dropped before the queue entry was removed) we find the existing
+// row instead of inserting a duplicate.
+async function findByClientId(table, clientId) {
+  if (!clientId) return { data: null, error: null }
+  return supabase.from(table).select('id').eq('client_id', clientId).maybeSingle()
+}
+
+function isUniqueViolation(error) {
+  return error?.code === '23505'
+}
+
+// Products a queued invoice took below zero only because other sales reached
+// the server while it waited: the device that queued it still saw enough stock.
+// serverStock is the remaining stock just before this invoice's items went in.
+function findConcurrentOversell(items, serverStock) {
+  const byProduct = new Map()
+  for (const line of items) {
+    const entry = byProduct.get(line.product_id) ?? { quantity: 0, expected: line.expected_remaining }
+    entry.quantity += Number(line.quantity)
+    byProduct.set(line.product_id, entry)
+  }
+
+  const oversold = []
+  for (const [productId, { quantity, expected }] of byProduct) {
+    const server = serverStock[productId]
+    if (!server || expected === null || expected === undefined) continue
+    const remaining = server.remaining - quantity
+    if (remaining < 0 && expected - quantity >= 0) {
+      oversold.push({
+        product_id: productId,
+        name: server.name,
+        quantity,
+        remaining,
+        sold_elsewhere: expected - server.remaining
+      })
+    }
+  }
+  return oversold
+}
+
+/**
+ * Apply one queued operation against Supabase
+ * @param {object} item - Sync queue entry
+ * @returns {Promise<boolean|string>} true on success, false on failure, SYNC_CONFLICT when parked as a conflict
+ */
+export async function processSyncItem(item) {
+  try {
+    switch (item.kind) {
+      case 'product:create': {
+        // Already applied by an earlier attempt?
+        const { data: existing, error: lookupError } = await findByClientId('products', item.payload.client_id)
+        if (lookupError) return false
+        
+        let created = existing
+        if (!created) {
+          const { data: inserted, error: createError } = await supabase
+            .from('products')
+            .insert(item.payload)
+            .select('id')
+            .single()
+          if (isUniqueViolation(createError)) {
+            // Lost a race with another replay of the same create
+            const { data: raced } = await findByClientId('products', item.payload.client_id)
+            created = raced
+          } else if (createError) {
+            return false
+          } else {
+            created = inserted
+          }
+        }
+        if (!created) return false
+        
+        // Point the cached row and later queued operations at the real ID
+        if (item.tempId !== undefined) {
+          try {
+            await remapProductId(item.tempId, created.id)
+          } catch (remapError) {
+            console.warn('ID remap after product:create sync failed:', remapError)
+          }
+        }
+        return true
+      }
+
+      case 'product:update': {
+        const { error: updateError } = await supabase
+          .from('products')
+          .update(item.payload.updates)
+          .eq('id', item.payload.id)
+        return !updateError
+      }
+
+      case 'product:delete': {
+        const { error: deleteError } = await supabase
+          .from('products')
+          .delete()
+          .eq('id', item.payload.id)
+        return !deleteError
+      }
+
+      case 'invoice:create': {
+        try {
+          // Validate stock before creating invoice
+          const { valid, errors, stock: serverStock, error: validationError } = await validateStockForInvoice(item.payload.items)
+          if (validationError) {
+            
+            return false
+          }
+          if (!valid) {
+            
+            return false
+          }
+          
+          // Create invoice first, unless an earlier attempt already did
+          const { clientId } = item.payload
+          const { data: existing, error: lookupError } = await findByClientId('invoices', clientId)
+          if (lookupError) return false
+          
+          let invoice = existing
+          if (!invoice) {
+            const { data: inserted, error: invError } = await supabase
+              .from('invoices')
+              .insert({
+                customer_id: item.payload.customerId ?? null,
+                customer_name: item.payload.customerName,
+                customer_state: item.payload.customerState ?? null,
+                is_interstate: item.payload.isInterstate ?? false,
+                // Due from the day it was raised offline, not the day it synced
+                ...(item.payload.dueDate && { due_date: item.payload.dueDate }),
+                discount_type: item.payload.discountType ?? null,
+                discount_value: Number(item.payload.discountValue ?? 0),
+                client_id: clientId ?? null
+              })
+              .select('id')
+              .single()
+            
+            if (isUniqueViolation(invError)) {
+              // Lost a race with another replay of the same create
+              const { data: raced } = await findByClientId('invoices', clientId)
+              invoice = raced
+            } else if (invError) {
+              
+              return false
+            } else {
+              invoice = inserted
+            }
+          }
+          if (!invoice) return false
+          
+          // If the invoice was already there, its items may be too
+          let insertedItems = []
+          if (existing) {
+            const { data: existingItems, error: existingItemsError } = await supabase
+              .from('invoice_items')
+              .select('id')
+              .eq('invoice_id', invoice.id)
+              .order('id')
+            if (existingItemsError) return false
+            insertedItems = existingItems
+          }
+          
+          if (insertedItems.length === 0) {
+            // Create invoice items - ensure all required fields are present
+            const itemsRows = item.payload.items.map(i => ({
+              invoice_id: invoice.id,
+              product_id: i.product_id,
+              quantity: i.quantity,
+              custom_price: i.custom_price ?? null,
+              tax_rate: i.tax_rate ?? null,
+              hsn_code: i.hsn_code ?? null,
+              discount_type: i.discount_type ?? null,
+              discount_value: Number(i.discount_value ?? 0)
+            }))
+            
+            const { data: newItems, error: itemsError } = await supabase
+              .from('invoice_items')
+              .insert(itemsRows)
+              .select('id')
+            
+            if (itemsError) {
+              
+              return false
+            }
+            insertedItems = newItems
+            
+            // Update stock tracking
+            await updateStockForInvoice([], item.payload.items, invoice.id)
+            
+            const oversold = findConcurrentOversell(item.payload.items, serverStock)
+            if (oversold.length > 0) {
+              console.warn(`Invoice #${invoice.id} took stock negative after concurrent sales:`, oversold)
+              tabCoordinator.relay('concurrentOversell', {
+                invoiceId: invoice.id,
+                customerName: item.payload.customerName,
+                products: oversold
+              })
+            }
+          }
+          
+          // Point the cached rows and later queued operations at the real IDs
+          if (item.tempId !== undefined) {
+            try {
+              const itemIdPairs = item.payload.items
+                .map((i, index) => ({ tempId: i.temp_id, serverId: insertedItems?.[index]?.id }))
+                .filter(pair => pair.tempId !== undefined && pair.serverId !== undefined)
+              await remapInvoiceId(item.tempId, invoice.id, itemIdPairs)
+            } catch (remapError) {
+              console.warn('ID remap after invoice:create sync failed:', remapError)
+            }
+          }
+          
+          
+          return true
+        } catch (error) {
+          
+          return false
+        }
+      }
+
+      case 'invoice:update': {
+        try {
+          // Don't overwrite changes another device made since this edit was queued
+          const { conflict, remote, error: conflictError } = await detectInvoiceConflict(
+            item.payload.invoiceId,
+            item.payload.baseVersion
+          )
+          if (conflictError) return false
+          if (conflict) {
+            await recordConflict(item, remote)
+            return SYNC_CONFLICT
+          }
+          
+          // is_interstate was settled when the edit was made
+          const invoiceFields = {}
+          for (const key of ['customer_id', 'customer_name', 'customer_state', 'is_interstate', 'discount_type', 'discount_value', 'due_date']) {
+            if (item.payload.updates[key] !== undefined) invoiceFields[key] = item.payload.updates[key]
+          }
+          const items = Array.isArray(item.payload.updates.items) ? item.payload.updates.items : null
+          
+          if (items) {
+            // Validate new stock levels
+            const { valid, error: validationError } = await validateStockForInvoice(items)
+            if (validationError || !valid) return false
+          }
+          
+          // Details and lines are saved in one transaction (invoice_update_migration.sql).
+          // A failed attempt changes nothing, so the retry still matches its base version.
+          const { data: saved, error: saveError } = await supabase.rpc('update_invoice', {
+            p_invoice_id: item.payload.invoiceId,
+            p_fields: invoiceFields,
+            p_items: items && items.map(i => ({
+              product_id: i.product_id,
+              quantity: i.quantity,
+              custom_price: i.custom_price ?? null,
+              tax_rate: i.tax_rate ?? null,
+              hsn_code: i.hsn_code ?? null,
+              discount_type: i.discount_type ?? null,
+              discount_value: Number(i.discount_value ?? 0)
+            }))
+          })
+          if (saveError) return false
+          
+          if (items) {
+            // Lines cached by the offline edit have local IDs; swap in the server rows
+            try {
+              await replaceCachedInvoiceItems(item.payload.invoiceId, saved.items)
+            } catch (cacheError) {
+              console.warn('Cache update after invoice:update sync failed:', cacheError)
+            }
+            
+            // Update stock tracking
+            try {
+              await updateStockForInvoice(saved.previous_items, items, item.payload.invoiceId)
+            } catch {
+              // Don't fail the entire operation for stock tracking errors
+            }
+          }
+          
+          // Later queued edits of this invoice were made on top of this one
+          try {
+            await advanceBaseVersion(item.payload.invoiceId, item.payload.baseVersion ?? null, saved.updated_at)
+          } catch (versionError) {
+            console.warn('Advancing base version after invoice:update sync failed:', versionError)
+          }
+          
+          // After successful sync, pull the changed invoice and its replaced lines
+          try {
+            await syncDownInvoices()
+            await syncDownInvoiceItems()
+          } catch (refreshError) {
+            console.warn('Cache refresh after invoice:update sync failed:', refreshError)
+          }
+          return true
+        } catch (error) {
+          
+          return false
+        }
+      }
+
+      case 'invoice:delete': {
+        // Get items before deletion to restore stock
+        const { data: itemsToDelete } = await supabase
+          .from('invoice_items')
+          .select('product_id, quantity')
+          .eq('invoice_id', item.payload.invoiceId)
+        
+        // Delete items first
+        const { error: delItemsError } = await supabase
+          .from('invoice_items')
+          .delete()
+          .eq('invoice_id', item.payload.invoiceId)
+        if (delItemsError) return false
+        
+        // Delete invoice
+        const { error: delInvError } = await supabase
+          .from('invoices')
+          .delete()
+          .eq('id', item.payload.invoiceId)
+        if (delInvError) return false
+        
+        // Record the returned stock (remaining stock is restored automatically when items are deleted)
+        if (itemsToDelete && itemsToDelete.length > 0) {
+          await restoreStockForDeletedInvoice(itemsToDelete, item.payload.invoiceId)
+        }
+        
+        return true
+      }
+
+      case 'purchase:create': {
+        const { payload } = item
+        // create_purchase returns the existing purchase if this client_id already ran
+        const { data: purchase, error: purchaseError } = await supabase.rpc('create_purchase', {
+          p_supplier_name: payload.supplierName,
+          p_purchase_date: payload.purchaseDate,
+          p_items: payload.items,
+          p_notes: payload.notes,
+          p_created_by: payload.createdBy,
+          p_client_id: payload.clientId
+        })
+        if (purchaseError) return false
+        
+        if (item.tempId !== undefined) {
+          try {
+            await recordIdMapping('purchases', item.tempId, purchase.id)
+            await replaceOfflinePurchase(item.tempId, purchase.id)
+          } catch (cacheError) {
+            console.warn('Cache update after purchase:create sync failed:', cacheError)
+          }
+        }
+        return true
+      }
+
+      case 'payment:create': {
+        const { payload } = item
+        const { data: existing, error: lookupError } = await findByClientId('payments', payload.clientId)
+        if (lookupError) return false
+        
+        let paymentId = existing?.id
+        if (!paymentId) {
+          const { data: inserted, error: insertError } = await supabase
+            .from('payments')
+            .insert({
+              invoice_id: payload.invoiceId,
+              amount: payload.amount,
+              paid_on: payload.paidOn,
+              mode: payload.mode,
+              reference: payload.reference ?? null,
+              created_by: payload.createdBy ?? null,
+              client_id: payload.clientId
+            })
+            .select('id')
+            .single()
+          if (isUniqueViolation(insertError)) {
+            const { data: raced } = await findByClientId('payments', payload.clientId)
+            paymentId = raced?.id
+          } else if (insertError) {
+            return false
+          } else {
+            paymentId = inserted.id
+          }
+        }
+        if (!paymentId) return false
+        
+        if (item.tempId !== undefined) {
+          try {
+            const { data: payment } = await supabase.from('payments').select('*').eq('id', paymentId).single()
+            await remapPaymentId(item.tempId, payment ?? { id: paymentId, invoice_id: payload.invoiceId, amount: payload.amount, paid_on: payload.paidOn, mode: payload.mode, reference: payload.reference ?? null })
+          } catch (cacheError) {
+            console.warn('Cache update after payment:create sync failed:', cacheError)
+          }
+        }
+        return true
+      }
+
+      case 'payment:delete': {
+        const { error } = await supabase.from('payments').delete().eq('id', item.payload.paymentId)
+        if (error) return false
+        await deletePaymentFromCache(item.payload.paymentId)
+        return true
+      }
+
+      case 'credit_note:create': {
+        const { payload } = item
+        const { data: existing, error: lookupError } = await findByClientId('credit_notes', payload.clientId)
+        if (lookupError) return false
+        
+        let creditNoteId = existing?.id
+        if (!creditNoteId) {
+          const { data: inserted, error: insertError } = await supabase
+            .from('credit_notes')
+            .insert({
+              customer_id: payload.customerId,
+              customer_name: payload.customerName,
+              amount: payload.amount,
+              issued_on: payload.issuedOn,
+              reason: payload.reason ?? null,
+              created_by: payload.createdBy ?? null,
+              client_id: payload.clientId
+            })
+            .select('id')
+            .single()
+          if (isUniqueViolation(insertError)) {
+            const { data: raced } = await findByClientId('credit_notes', payload.clientId)
+            creditNoteId = raced?.id
+          } else if (insertError) {
+            return false
+          } else {
+            creditNoteId = inserted.id
+          }
+        }
+        if (!creditNoteId) return false
+        
+        if (item.tempId !== undefined) {
+          try {
+            const { data: creditNote } = await supabase.from('credit_notes').select('*').eq('id', creditNoteId).single()
+            await remapCreditNoteId(item.tempId, creditNote ?? { id: creditNoteId, customer_id: payload.customerId, customer_name: payload.customerName, amount: payload.amount, issued_on: payload.issuedOn, reason: payload.reason ?? null })
+          } catch (cacheError) {
+            console.warn('Cache update after credit_note:create sync failed:', cacheError)
+          }
+        }
+        return true
+      }
+
+      case 'credit_note:delete': {
+        const { error } = await supabase.from('credit_notes').delete().eq('id', item.payload.creditNoteId)
+        if (error) return false
+        await deleteCreditNoteFromCache(item.payload.creditNoteId)
+        return true
+      }
+
+      case 'customer:create': {
+        const { data: existing, error: lookupError } = await findByClientId('customers', item.payload.client_id)
+        if (lookupError) return false
+        
+        let created = existing
+        if (!created) {
+          const { data: inserted, error: createError } = await supabase
+            .from('customers')
+            .insert(item.payload)
+            .select('id')
+            .single()
+          if (isUniqueViolation(createError)) {
+            const { data: raced } = await findByClientId('customers', item.payload.client_id)
+            created = raced
+          } else if (createError) {
+            return false
+          } else {
+            created = inserted
+          }
+        }
+        if (!created) return false
+        
+        // Invoices raised for the customer while offline point at its temporary ID
+        if (item.tempId !== undefined) {
+          try {
+            await remapCustomerId(item.tempId, created.id)
+          } catch (remapError) {
+            console.warn('ID remap after customer:create sync failed:', remapError)
+          }
+        }
+        return true
+      }
+
+      case 'customer:update': {
+        const { error: updateError } = await supabase
+          .from('customers')
+          .update(item.payload.updates)
+          .eq('id', item.payload.id)
+        return !updateError
+      }
+
+      case 'customer:delete': {
+        const { error: deleteError } = await supabase
+          .from('customers')
+          .delete()
+          .eq('id', item.payload.id)
+        if (deleteError) return false
+        await deleteCustomerFromCache(item.payload.id)
+        return true
+      }
+
+      case 'stock:adjust': {
+        const { payload } = item
+        // apply_stock_movement returns the existing movement if this client_id already ran
+        const { data: movement, error: adjustError } = await supabase.rpc('apply_stock_movement', {
+          p_product_id: payload.product_id,
+          p_quantity: payload.quantity,
+          p_type: payload.type,
+          p_reason: payload.reason,
+          p_created_by: payload.created_by,
+          p_client_id: payload.client_id
+        })
+        if (adjustError) return false
+        
+        try {
+          await replaceOfflineStockMovement(payload.client_id, movement)
+        } catch (cacheError) {
+          console.warn('Cache update after stock:adjust sync failed:', cacheError)
+        }
+        return true
+      }
+
+      case 'invoice_item:update_price': {
+        try {
+          const { error } = await supabase
+            .from('invoice_items')
+            .update({ custom_price: item.payload.customPrice })
+            .eq('id', item.payload.itemId)
+            .eq('invoice_id', item.payload.invoiceId)
+          return !error
+        } catch (error) {
+          return false
+        }
+      }
+
+      default:
+        
+        return false
+    }
+  } catch (error) {
+    
+    return false
+  }
+}
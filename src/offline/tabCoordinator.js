@@ -0,0 +1,76 @@
+// Only one open tab may replay the sync queue, otherwise two tabs can send the
+// same invoice:create. Tabs elect a leader with the Web Locks API: the lock is
+// held for the lifetime of the leader tab and the browser hands it to the next
+// waiting tab when that tab closes. Leader and followers talk over a
+// BroadcastChannel so followers still see sync progress and cache changes.
+
+const LOCK_NAME = 'invoice-manager-sync-leader'
+const CHANNEL_NAME = 'invoice-manager-sync'
+
+// The service worker shares this module but has no window to dispatch on
+function dispatchWindowEvent(eventName, detail) {
+  if (typeof window === 'undefined') return
+  window.dispatchEvent(new CustomEvent(eventName, { detail }))
+}
+
+class TabCoordinator {
+  constructor() {
+    this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`
+    this.isLeader = false
+    this.handlers = new Set()
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null
+
+    if (this.channel) {
+      this.channel.onmessage = (e) => this.handleMessage(e.data)
+    }
+  }
+
+  start(onBecomeLeader) {
+    // Without Web Locks we can't coordinate, so every tab behaves as before
+    if (!navigator.locks) {
+      this.isLeader = true
+      onBecomeLeader()
+      return
+    }
+
+    navigator.locks.request(LOCK_NAME, () => {
+      this.isLeader = true
+      this.post('leader-changed', { leaderId: this.tabId })
+      onBecomeLeader()
+      // Never resolve: the lock is released when this tab goes away
+      return new Promise(() => {})
+    })
+  }
+
+  post(type, detail = {}) {
+    if (!this.channel) return
+    this.channel.postMessage({ type, detail, from: this.tabId })
+  }
+
+  // Dispatch a window event here and in every other tab
+  relay(eventName, detail = {}) {
+    dispatchWindowEvent(eventName, detail)
+    this.post('relay', { eventName, detail })
+  }
+
+  subscribe(handler) {
+    this.handlers.add(handler)
+    return () => this.handlers.delete(handler)
+  }
+
+  handleMessage(message) {
+    if (!message || message.from === this.tabId) return
+
+    if (message.type === 'relay') {
+      const { eventName, detail } = message.detail
+      dispatchWindowEvent(eventName, detail)
+      return
+    }
+
+    for (const handler of this.handlers) {
+      handler(message.type, message.detail)
+    }
+  }
+}
+
+export const tabCoordinator = new TabCoordinator()
@@ -1,20 +1,85 @@
-import { useEffect, useMemo, useState } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { toast } from 'react-toastify'
 import { listProducts } from '../services/productsService.js'
 import { createInvoice } from '../services/invoicesService.js'
+import {
+  createDraftId,
+  listReservations,
+  reserveStock,
+  releaseReservation,
+  reservedByOthers,
+  subscribeReservations,
+  RESERVATION_REFRESH_MS
+} from '../services/reservationsService.js'
+import { INDIAN_STATES, BUSINESS_STATE, isInterState, calculateInvoiceTax } from '../services/taxService.js'
+import { DISCOUNT_TYPES, parseDiscount } from '../services/discountService.js'
+import TaxSummary from '../components/TaxSummary.jsx'
+import DiscountInput from '../components/DiscountInput.jsx'
+import CustomerPicker from '../components/CustomerPicker.jsx'
 import { useI18n } from "../hooks/useI18n.js";
 
 export default function CreateInvoicePage() {
   const { t } = useI18n();
-  const [customerName, setCustomerName] = useState("");
+  const [customer, setCustomer] = useState(null);
+  const [customerState, setCustomerState] = useState(BUSINESS_STATE || "");
   const [products, setProducts] = useState([]);
   const [quantities, setQuantities] = useState({});
   const [customPrices, setCustomPrices] = useState({}); // New state for custom prices
+  // Discounts as entered: {type, value} per product and for the whole invoice
+  const [lineDiscounts, setLineDiscounts] = useState({});
+  const [invoiceDiscount, setInvoiceDiscount] = useState({ type: DISCOUNT_TYPES.PERCENT, value: "" });
   const [saving, setSaving] = useState(false);
+  // Holder of this draft's stock reservation; becomes the invoice's client_id
+  const [draftId, setDraftId] = useState(createDraftId);
+  const [reservations, setReservations] = useState([]);
+
+  const loadReservations = useCallback(async () => {
+    const { data, error } = await listReservations();
+    if (error) return console.warn("Failed to load stock reservations:", error);
+    setReservations(data || []);
+  }, []);
 
   useEffect(() => {
     load();
-  }, []);
+    loadReservations();
+    const sub = subscribeReservations(() => loadReservations());
+    return () => sub.unsubscribe();
+  }, [loadReservations]);
+
+  // Hold the draft's quantities so other cashiers see them as taken
+  const draftLines = useMemo(
+    () =>
+      products
+        .filter((p) => !p._offline && Number(quantities[p.id] || 0) > 0)
+        .map((p) => ({ product_id: p.id, quantity: Number(quantities[p.id]) })),
+    [products, quantities]
+  );
+  // Lines the server currently holds for this draft
+  const heldLinesRef = useRef([]);
+
+  useEffect(() => {
+    // Nothing held and nothing to hold: skip the round trip
+    if (draftLines.length === 0 && heldLinesRef.current.length === 0) return;
+    const timer = setTimeout(() => {
+      heldLinesRef.current = draftLines;
+      reserveStock(draftId, draftLines);
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [draftId, draftLines]);
+
+  useEffect(() => {
+    // Keep the hold alive while the draft is open, and let it go when the draft is abandoned
+    const refresh = setInterval(() => {
+      if (heldLinesRef.current.length > 0) reserveStock(draftId, heldLinesRef.current);
+    }, RESERVATION_REFRESH_MS);
+    return () => {
+      clearInterval(refresh);
+      if (heldLinesRef.current.length > 0) releaseReservation(draftId);
+      heldLinesRef.current = [];
+    };
+  }, [draftId]);
+
+  const reserved = useMemo(() => reservedByOthers(reservations, draftId), [reservations, draftId]);
 
   async function load() {
     try {
@@ -35,6 +100,7 @@ export default function CreateInvoicePage() {
           const defaultPrice = Number(p.price);
           const customPrice = customPrices[p.id];
           const finalPrice = customPrice !== undefined ? Number(customPrice) : defaultPrice;
+          const lineDiscount = lineDiscounts[p.id];
           
           return {
             product_id: p.id,
@@ -45,7 +111,12 @@ export default function CreateInvoicePage() {
             quantity: Number(quantities[p.id] || 0),
             stock: Number(p.stock),
             remaining: Number(p.remaining ?? p.stock),
+            reserved: reserved.get(p.id) || 0,
             has_custom_price: customPrice !== undefined,
+            tax_rate: Number(p.tax_rate ?? 0),
+            hsn_code: p.hsn_code ?? null,
+            discount_type: lineDiscount?.type ?? DISCOUNT_TYPES.PERCENT,
+            discount_value: lineDiscount?.value ?? "",
           };
         })
         .filter((it) => it.quantity > 0);
@@ -55,7 +126,7 @@ export default function CreateInvoicePage() {
       console.error("Error calculating items:", error);
       return [];
     }
-  }, [products, quantities, customPrices]);
+  }, [products, quantities, customPrices, lineDiscounts, reserved]);
 
   // Calculate real-time remaining stock
   const productsWithRealTimeStock = useMemo(() => {
@@ -64,10 +135,13 @@ export default function CreateInvoicePage() {
         const requestedQty = Number(quantities[p.id] || 0);
         const currentRemaining = Number(p.remaining ?? p.stock);
         const realTimeRemaining = currentRemaining - requestedQty;
+        const reservedQty = reserved.get(p.id) || 0;
 
         return {
           ...p,
           realTimeRemaining,
+          reserved: reservedQty,
+          available: realTimeRemaining - reservedQty,
           canAddMore: true, // Always allow adding, even for negative stock
           stockStatus:
             currentRemaining <= 0
@@ -83,9 +157,17 @@ export default function CreateInvoicePage() {
       console.error("Error calculating real-time stock:", error);
       return products;
     }
-  }, [products, quantities]);
+  }, [products, quantities, reserved]);
 
-  const total = items.reduce((sum, it) => sum + it.price * it.quantity, 0);
+  const interState = isInterState(customerState);
+  const invoiceDiscountFields = useMemo(
+    () => ({ discount_type: invoiceDiscount.type, discount_value: invoiceDiscount.value }),
+    [invoiceDiscount]
+  );
+  const tax = useMemo(
+    () => calculateInvoiceTax(items, interState, invoiceDiscountFields),
+    [items, interState, invoiceDiscountFields]
+  );
 
   // Calculate stock impact warnings
   const stockWarnings = useMemo(() => {
@@ -97,6 +179,8 @@ export default function CreateInvoicePage() {
           warnings.push(
             `${item.name}: Will have ${willBeNegative} remaining stock`
           );
+        } else if (item.remaining - item.reserved < item.quantity) {
+          warnings.push(t("reserved_warning")(item.name, item.reserved));
         }
       });
       return warnings;
@@ -104,20 +188,34 @@ export default function CreateInvoicePage() {
       console.error("Error calculating stock warnings:", error);
       return [];
     }
-  }, [items]);
+  }, [items, t]);
+
+  // The customer's own state decides the GST split; it can still be changed per invoice
+  function onSelectCustomer(selected) {
+    setCustomer(selected);
+    setCustomerState(selected?.state || BUSINESS_STATE || "");
+  }
 
   async function onCreate() {
     try {
-      if (!customerName.trim()) return toast.error(t("enter_customer"));
+      if (!customer) return toast.error(t("enter_customer"));
+      const discount = parseDiscount(invoiceDiscount.type, invoiceDiscount.value);
+      const lines = items.map((i) => ({ item: i, discount: parseDiscount(i.discount_type, i.discount_value) }));
+      const invalid = [discount, ...lines.map((l) => l.discount)].find((d) => d.error);
+      if (invalid) return toast.error(invalid.error);
       setSaving(true);
 
       const result = await createInvoice(
-        customerName.trim(),
-        items.map((i) => ({ 
+        customer.name,
+        lines.map(({ item: i, discount: lineDiscount }) => ({ 
           product_id: i.product_id, 
           quantity: i.quantity,
-          custom_price: i.custom_price // Pass custom price to service
-        }))
+          custom_price: i.custom_price, // Pass custom price to service
+          tax_rate: i.tax_rate,
+          hsn_code: i.hsn_code,
+          ...lineDiscount
+        })),
+        { clientId: draftId, customerId: customer.id, customerState: customerState || null, discount }
       );
 
       setSaving(false);
@@ -134,10 +232,19 @@ export default function CreateInvoicePage() {
         });
       }
 
-      setCustomerName("");
+      setCustomer(null);
+      setCustomerState(BUSINESS_STATE || "");
       setQuantities({});
       setCustomPrices({}); // Reset custom prices
+      setLineDiscounts({});
+      setInvoiceDiscount({ type: DISCOUNT_TYPES.PERCENT, value: "" });
+      // The saved invoice now holds (or, offline, keeps holding) this draft's
+      // stock, so start a new draft without releasing it
+      heldLinesRef.current = [];
+      setDraftId(createDraftId());
       toast.success("Invoice created successfully!");
+      // Refresh remaining stock so the next invoice sees this one
+      load();
     } catch (error) {
       console.error("Error creating invoice:", error);
       setSaving(false);
@@ -172,12 +279,19 @@ export default function CreateInvoicePage() {
           {t("invoice_preview")}
         </h2>
         <div className="stack">
-          <input
+          <CustomerPicker customer={customer} onSelect={onSelectCustomer} />
+          <select
             className="input"
-            placeholder={t("customer_name_placeholder")}
-            value={customerName}
-            onChange={(e) => setCustomerName(e.target.value)}
-          />
+            value={customerState}
+            onChange={(e) => setCustomerState(e.target.value)}
+          >
+            <option value="">{t("customer_state")}</option>
+            {INDIAN_STATES.map((state) => (
+              <option key={state.code} value={state.code}>
+                {state.code} - {state.name}
+              </option>
+            ))}
+          </select>
           <div className="card" style={{ overflow: "hidden" }}>
             <table className="table">
               <thead className="thead">
@@ -185,11 +299,13 @@ export default function CreateInvoicePage() {
                   <th className="th">{t("name")}</th>
                   <th className="th">{t("price")}</th>
                   <th className="th">{t("qty")}</th>
+                  <th className="th">{t("discount")}</th>
                   <th className="th">{t("subtotal")}</th>
+                  <th className="th">{t("gst")}</th>
                 </tr>
               </thead>
               <tbody>
-                {items.map((it) => (
+                {tax.lines.map((it) => (
                   <tr key={it.product_id} className="tr">
                     <td className="td">
                       {it.name}
@@ -223,16 +339,38 @@ export default function CreateInvoicePage() {
                     </td>
                     <td className="td">{it.quantity}</td>
                     <td className="td">
-                      ₹{(it.price * it.quantity).toFixed(2)}
+                      <DiscountInput
+                        type={it.discount_type}
+                        value={it.discount_value}
+                        onChange={(d) => setLineDiscounts((prev) => ({ ...prev, [it.product_id]: d }))}
+                      />
+                      {it.gst.discount > 0 && (
+                        <div style={{ color: "var(--success)", fontSize: "0.75rem" }}>
+                          −₹{it.gst.discount.toFixed(2)}
+                        </div>
+                      )}
+                    </td>
+                    <td className="td">
+                      ₹{(it.gst.gross - it.gst.discount).toFixed(2)}
+                    </td>
+                    <td className="td">
+                      <div>₹{it.gst.tax.toFixed(2)}</div>
+                      <div className="muted" style={{ fontSize: "0.75rem" }}>{it.gst.rate}%</div>
                     </td>
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
-          <div className="text-right font-semibold">
-            {t("total")}: ₹{total.toFixed(2)}
+          <div className="cluster" style={{ justifyContent: "flex-end" }}>
+            <span className="muted">{t("invoice_discount")}</span>
+            <DiscountInput
+              type={invoiceDiscount.type}
+              value={invoiceDiscount.value}
+              onChange={setInvoiceDiscount}
+            />
           </div>
+          <TaxSummary totals={tax.totals} interState={interState} discount={invoiceDiscountFields} />
 
           {/* Stock Impact Warnings */}
           {stockWarnings.length > 0 && (
@@ -345,6 +483,11 @@ export default function CreateInvoicePage() {
                       )}
                     </div>
                     {t("stock")}: {p.stock} • {t("remaining")}: {p.realTimeRemaining}
+                    {p.reserved > 0 && (
+                      <>
+                        {" "}• {t("reserved")}: {p.reserved} • {t("available")}: {p.available}
+                      </>
+                    )}
                     {p.stockStatus === "out-of-stock" && (
                       <span
                         style={{ color: "var(--danger)", marginLeft: "0.5rem" }}
@@ -0,0 +1,224 @@
+import { useCallback, useEffect, useState } from 'react'
+import { Link, useParams, useNavigate } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import { getCustomerLedger, exportStatementToPDF, LEDGER_ENTRY_TYPES } from '../services/ledgerService.js'
+import { subscribeInvoices } from '../services/invoicesService.js'
+import { subscribePayments, localDate } from '../services/paymentsService.js'
+import { issueCreditNote, deleteCreditNote, subscribeCreditNotes } from '../services/creditNotesService.js'
+import { resolveId } from '../offline/idMap.js'
+import { useI18n } from '../hooks/useI18n.js'
+
+function formatAmount(amount) {
+  return amount < 0 ? `-₹${(-amount).toFixed(2)}` : `₹${amount.toFixed(2)}`
+}
+
+const emptyCreditNote = () => ({ amount: '', issuedOn: localDate(), reason: '' })
+
+export default function CustomerLedgerPage() {
+  const { t } = useI18n()
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const [ledger, setLedger] = useState(null)
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [creditNote, setCreditNote] = useState(emptyCreditNote)
+  const [saving, setSaving] = useState(false)
+
+  const load = useCallback(async () => {
+    // Customers added offline get a temporary ID; follow it to the server ID once synced
+    const serverId = await resolveId('customers', Number(id))
+    if (serverId !== Number(id)) {
+      navigate(`/customers/${serverId}`, { replace: true })
+      return
+    }
+    const { data, error } = await getCustomerLedger(Number(id), { from: from || null, to: to || null })
+    setLoading(false)
+    if (error) return toast.error(error.message)
+    setLedger(data)
+  }, [id, from, to, navigate])
+
+  useEffect(() => {
+    load()
+    const invoicesSub = subscribeInvoices(() => load())
+    const paymentsSub = subscribePayments(() => load())
+    const creditNotesSub = subscribeCreditNotes(() => load())
+    // Offline changes replayed by the sync queue (in this or another tab)
+    window.addEventListener('cacheChanged', load)
+    return () => {
+      invoicesSub.unsubscribe()
+      paymentsSub.unsubscribe()
+      creditNotesSub.unsubscribe()
+      window.removeEventListener('cacheChanged', load)
+    }
+  }, [load])
+
+  async function onIssueCreditNote(e) {
+    e.preventDefault()
+    setSaving(true)
+    const { data, error } = await issueCreditNote(Number(id), creditNote)
+    setSaving(false)
+    if (error) return toast.error(error.message)
+    toast.success(data._offline ? t('credit_note_issued_offline') : t('credit_note_issued'))
+    setCreditNote(emptyCreditNote())
+    load()
+  }
+
+  async function onDeleteCreditNote(entry) {
+    if (!confirm(t('confirm_delete_credit_note'))) return
+    const { error } = await deleteCreditNote(entry)
+    if (error) return toast.error(error.message)
+    load()
+  }
+
+  if (loading) return <p>Loading .....</p>
+  if (!ledger) return <p className="muted">{t('customer_not_found')}</p>
+
+  const { customer } = ledger
+
+  return (
+    <div className="stack">
+      <div className="cluster wrap between">
+        <div>
+          <h2 className="font-semibold">{customer.name}</h2>
+          <div className="muted">
+            {[customer.phone, customer.address, customer.gstin && `${t('gstin')}: ${customer.gstin}`].filter(Boolean).join(' · ')}
+          </div>
+        </div>
+        <button className="button button--primary" onClick={() => exportStatementToPDF(ledger)}>
+          📄 {t('export_statement')}
+        </button>
+      </div>
+
+      <section className="card card--pad cluster wrap">
+        <label className="cluster">
+          {t('from_date')}
+          <input
+            type="date"
+            className="input input--sm"
+            style={{ width: 'auto' }}
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+          />
+        </label>
+        <label className="cluster">
+          {t('to_date')}
+          <input
+            type="date"
+            className="input input--sm"
+            style={{ width: 'auto' }}
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+          />
+        </label>
+        {(from || to) && (
+          <button className="button button--sm" onClick={() => { setFrom(''); setTo('') }}>
+            {t('clear')}
+          </button>
+        )}
+      </section>
+
+      <form className="card card--pad cluster wrap" onSubmit={onIssueCreditNote}>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          className="input input--sm"
+          style={{ width: '8rem' }}
+          placeholder={t('amount')}
+          aria-label={t('amount')}
+          value={creditNote.amount}
+          onChange={(e) => setCreditNote({ ...creditNote, amount: e.target.value })}
+          required
+        />
+        <input
+          type="date"
+          className="input input--sm"
+          style={{ width: 'auto' }}
+          aria-label={t('date')}
+          value={creditNote.issuedOn}
+          onChange={(e) => setCreditNote({ ...creditNote, issuedOn: e.target.value })}
+          required
+        />
+        <input
+          className="input input--sm"
+          style={{ flex: 1 }}
+          placeholder={t('credit_note_reason')}
+          value={creditNote.reason}
+          onChange={(e) => setCreditNote({ ...creditNote, reason: e.target.value })}
+        />
+        <button disabled={saving} className="button button--sm button--primary">
+          {saving ? '...' : t('issue_credit_note')}
+        </button>
+      </form>
+
+      <section className="card">
+        <table className="table">
+          <thead className="thead">
+            <tr>
+              <th className="th">{t('date')}</th>
+              <th className="th">{t('particulars')}</th>
+              <th className="th text-right">{t('debit')}</th>
+              <th className="th text-right">{t('credit')}</th>
+              <th className="th text-right">{t('balance')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="tr">
+              <td className="td">{from ? new Date(from).toLocaleDateString() : '—'}</td>
+              <td className="td muted">{t('opening_balance')}</td>
+              <td className="td"></td>
+              <td className="td"></td>
+              <td className="td text-right">{formatAmount(ledger.opening_balance)}</td>
+            </tr>
+            {ledger.entries.map((entry) => (
+              <tr key={`${entry.type}-${entry.id}`} className="tr">
+                <td className="td">{new Date(entry.date).toLocaleDateString()}</td>
+                <td className="td">
+                  {entry.type === LEDGER_ENTRY_TYPES.INVOICE ? (
+                    <Link className="button button--link" to={`/invoices/${entry.invoice_id}`}>
+                      {t('invoice')} #{entry.invoice_id}
+                    </Link>
+                  ) : entry.type === LEDGER_ENTRY_TYPES.CREDIT_NOTE ? (
+                    <>
+                      {t('credit_note')} #{entry.id}
+                      {entry.reason && <span className="muted"> · {entry.reason}</span>}
+                      <button
+                        className="button button--link"
+                        style={{ color: 'var(--danger)', marginLeft: '0.5rem' }}
+                        onClick={() => onDeleteCreditNote(entry)}
+                      >
+                        {t('delete')}
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      {t('payment')} ({t(`payment_mode_${entry.mode}`)}) – {t('invoice')} #{entry.invoice_id}
+                      {entry.reference && <span className="muted"> · {entry.reference}</span>}
+                    </>
+                  )}
+                  {entry._offline && <span className="offline-indicator">Offline</span>}
+                </td>
+                <td className="td text-right">{entry.debit ? formatAmount(entry.debit) : ''}</td>
+                <td className="td text-right">{entry.credit ? formatAmount(entry.credit) : ''}</td>
+                <td className="td text-right">{formatAmount(entry.balance)}</td>
+              </tr>
+            ))}
+            <tr className="tr font-semibold">
+              <td className="td"></td>
+              <td className="td">{t('total')}</td>
+              <td className="td text-right">{formatAmount(ledger.totals.debit)}</td>
+              <td className="td text-right">{formatAmount(ledger.totals.credit)}</td>
+              <td className="td text-right" style={{ color: ledger.closing_balance > 0 ? 'var(--danger)' : 'var(--success)' }}>
+                {formatAmount(ledger.closing_balance)}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+        {ledger.entries.length === 0 && (
+          <p className="muted" style={{ padding: '0.75rem' }}>{t('no_ledger_entries')}</p>
+        )}
+      </section>
+    </div>
+  )
+}
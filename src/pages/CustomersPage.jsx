@@ -0,0 +1,291 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import {
+  listCustomers,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  subscribeCustomers,
+  searchCustomers,
+  findCustomerByName
+} from '../services/customersService.js'
+import { INDIAN_STATES, stateName } from '../services/taxService.js'
+import { useI18n } from '../hooks/useI18n.js'
+
+export default function CustomersPage() {
+  const { t } = useI18n()
+  const [loading, setLoading] = useState(false)
+  const [customers, setCustomers] = useState([])
+  const emptyForm = { name: '', phone: '', email: '', address: '', gstin: '', state: '' }
+  const [form, setForm] = useState(emptyForm)
+  const [editingId, setEditingId] = useState(null)
+  const [editForm, setEditForm] = useState(emptyForm)
+  const [saving, setSaving] = useState(false)
+  const [query, setQuery] = useState('')
+
+  useEffect(() => {
+    load()
+    const sub = subscribeCustomers(() => load())
+    // Offline changes replayed by the sync queue (in this or another tab)
+    window.addEventListener('cacheChanged', load)
+    return () => {
+      sub.unsubscribe()
+      window.removeEventListener('cacheChanged', load)
+    }
+  }, [])
+
+  async function load() {
+    setLoading(true)
+    const { data, error } = await listCustomers()
+    setLoading(false)
+    if (error) return toast.error(error.message)
+    setCustomers(data || [])
+  }
+
+  async function onCreate(e) {
+    e.preventDefault()
+    if (findCustomerByName(customers, form.name) && !confirm(t('confirm_duplicate_customer'))) return
+    setSaving(true)
+    const { data, error } = await createCustomer(form)
+    setSaving(false)
+    if (error) return toast.error(error.message)
+    setForm(emptyForm)
+    toast.success(data._offline ? t('customer_added_offline') : t('customer_added'))
+    load()
+  }
+
+  function startEdit(c) {
+    setEditingId(c.id)
+    setEditForm({
+      name: c.name,
+      phone: c.phone ?? '',
+      email: c.email ?? '',
+      address: c.address ?? '',
+      gstin: c.gstin ?? '',
+      state: c.state ?? ''
+    })
+  }
+
+  async function saveEdit(e) {
+    e.preventDefault()
+    const { error } = await updateCustomer(editingId, editForm)
+    if (error) return toast.error(error.message)
+    toast.success(t('customer_updated'))
+    setEditingId(null)
+    load()
+  }
+
+  async function onDelete(customerId) {
+    if (!confirm(t('confirm_delete_customer'))) return
+    const { error } = await deleteCustomer(customerId)
+    if (error) return toast.error(error.message)
+    toast.success(t('customer_deleted'))
+    load()
+  }
+
+  function stateOptions() {
+    return INDIAN_STATES.map((state) => (
+      <option key={state.code} value={state.code}>
+        {state.code} - {state.name}
+      </option>
+    ))
+  }
+
+  return (
+    <div className="stack">
+      <section className="card card--pad">
+        <h2 className="font-semibold" style={{ marginBottom: '0.75rem' }}>
+          {t('add_customer')}
+        </h2>
+        <form
+          className="grid"
+          style={{ gridTemplateColumns: '1fr', gap: '0.75rem' }}
+          onSubmit={onCreate}
+        >
+          <input
+            className="input"
+            placeholder={t('name')}
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            required
+          />
+          <div className="grid" style={{ gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+            <input
+              className="input"
+              placeholder={t('phone')}
+              value={form.phone}
+              onChange={(e) => setForm({ ...form, phone: e.target.value })}
+            />
+            <input
+              type="email"
+              className="input"
+              placeholder={t('email')}
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+            />
+          </div>
+          <input
+            className="input"
+            placeholder={t('address')}
+            value={form.address}
+            onChange={(e) => setForm({ ...form, address: e.target.value })}
+          />
+          <div className="grid" style={{ gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+            <input
+              className="input"
+              placeholder={t('gstin')}
+              value={form.gstin}
+              onChange={(e) => setForm({ ...form, gstin: e.target.value })}
+            />
+            <select
+              className="input"
+              value={form.state}
+              aria-label={t('customer_state')}
+              onChange={(e) => setForm({ ...form, state: e.target.value })}
+            >
+              <option value="">{t('customer_state')}</option>
+              {stateOptions()}
+            </select>
+          </div>
+          <button disabled={saving} className="button button--primary">
+            {saving ? '...' : t('add')}
+          </button>
+        </form>
+      </section>
+
+      <section className="card">
+        <div className="cluster wrap between" style={{ padding: '0.75rem' }}>
+          <input
+            className="input"
+            style={{ maxWidth: '20rem' }}
+            placeholder={t('search_customer')}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <span className="muted">{customers.length} {t('nav_customers').toLowerCase()}</span>
+        </div>
+        {loading ? (
+          <p>Loading .....</p>
+        ) : (
+          <table className="table">
+            <thead className="thead">
+              <tr>
+                <th className="th">{t('name')}</th>
+                <th className="th">{t('phone')} / {t('email')}</th>
+                <th className="th">{t('gstin')} / {t('customer_state')}</th>
+                <th className="th">{t('address')}</th>
+                <th className="th w-48">{t('actions')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {searchCustomers(customers, query).map((c) => (
+                <tr key={c.id} className="tr">
+                  {editingId === c.id ? (
+                    <>
+                      <td className="td">
+                        <input
+                          className="input"
+                          value={editForm.name}
+                          onChange={(e) => setEditForm({ ...editForm, name: e.target.value })}
+                        />
+                      </td>
+                      <td className="td">
+                        <div className="stack" style={{ gap: '0.25rem' }}>
+                          <input
+                            className="input input--sm"
+                            placeholder={t('phone')}
+                            value={editForm.phone}
+                            onChange={(e) => setEditForm({ ...editForm, phone: e.target.value })}
+                          />
+                          <input
+                            className="input input--sm"
+                            placeholder={t('email')}
+                            value={editForm.email}
+                            onChange={(e) => setEditForm({ ...editForm, email: e.target.value })}
+                          />
+                        </div>
+                      </td>
+                      <td className="td">
+                        <div className="stack" style={{ gap: '0.25rem' }}>
+                          <input
+                            className="input input--sm"
+                            placeholder={t('gstin')}
+                            value={editForm.gstin}
+                            onChange={(e) => setEditForm({ ...editForm, gstin: e.target.value })}
+                          />
+                          <select
+                            className="input input--sm"
+                            value={editForm.state}
+                            aria-label={t('customer_state')}
+                            onChange={(e) => setEditForm({ ...editForm, state: e.target.value })}
+                          >
+                            <option value="">{t('customer_state')}</option>
+                            {stateOptions()}
+                          </select>
+                        </div>
+                      </td>
+                      <td className="td">
+                        <input
+                          className="input input--sm"
+                          value={editForm.address}
+                          onChange={(e) => setEditForm({ ...editForm, address: e.target.value })}
+                        />
+                      </td>
+                    </>
+                  ) : (
+                    <>
+                      <td className="td">
+                        {c.name}
+                        {c._offline && <span className="offline-indicator">Offline</span>}
+                      </td>
+                      <td className="td">
+                        <div>{c.phone || '—'}</div>
+                        {c.email && <div className="muted">{c.email}</div>}
+                      </td>
+                      <td className="td">
+                        <div>{c.gstin || '—'}</div>
+                        {c.state && <div className="muted">{stateName(c.state)}</div>}
+                      </td>
+                      <td className="td">{c.address || '—'}</td>
+                    </>
+                  )}
+                  <td className="td">
+                    <div className="actions">
+                      {editingId === c.id ? (
+                        <>
+                          <button className="button button--link" onClick={saveEdit}>
+                            {t('save')}
+                          </button>
+                          <button className="button button--link" onClick={() => setEditingId(null)}>
+                            {t('cancel')}
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <Link className="button button--link" to={`/customers/${c.id}`}>
+                            {t('ledger')}
+                          </Link>
+                          <button className="button button--link" onClick={() => startEdit(c)}>
+                            {t('edit')}
+                          </button>
+                          <button
+                            className="button button--link"
+                            style={{ color: 'var(--danger)' }}
+                            onClick={() => onDelete(c.id)}
+                          >
+                            {t('delete')}
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  )
+}
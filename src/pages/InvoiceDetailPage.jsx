@@ -1,24 +1,58 @@
 import { useEffect, useState, useCallback } from 'react'
-import { useParams } from 'react-router-dom'
+import { useParams, useNavigate } from 'react-router-dom'
 import { toast } from 'react-toastify'
 import { getInvoiceWithItems, exportInvoiceToPDF, updateInvoice, updateInvoiceItemPrice } from '../services/invoicesService.js'
+import { resolveId } from '../offline/idMap.js'
 import { useI18n } from '../hooks/useI18n.js'
+import { INDIAN_STATES, stateName, isInterState, calculateInvoiceTax } from '../services/taxService.js'
+import { DISCOUNT_TYPES, parseDiscount, hasDiscount, formatDiscount } from '../services/discountService.js'
+import TaxSummary from '../components/TaxSummary.jsx'
+import DiscountInput from '../components/DiscountInput.jsx'
+import PaymentsPanel from '../components/PaymentsPanel.jsx'
+import CustomerPicker from '../components/CustomerPicker.jsx'
+import { defaultDueDate } from '../services/paymentsService.js'
+
+// Discount columns as the edit form holds them: a type and the value as typed
+function discountForm(discount) {
+  return {
+    discount_type: discount.discount_type || DISCOUNT_TYPES.PERCENT,
+    discount_value: hasDiscount(discount) ? String(Number(discount.discount_value)) : ''
+  }
+}
 
 export default function InvoiceDetailPage() {
   const { t } = useI18n()
   const { id } = useParams()
+  const navigate = useNavigate()
   const [invoice, setInvoice] = useState(null)
   const [editing, setEditing] = useState(false)
-  const [form, setForm] = useState({ customer_name: '', items: [] })
+  const [form, setForm] = useState({ customer: null, customer_name: '', customer_state: '', due_date: '', ...discountForm({}), items: [] })
   const [showInstallPrompt, setShowInstallPrompt] = useState(false)
   const [deferredPrompt, setDeferredPrompt] = useState(null)
   
   const load = useCallback(async () => {
+    // Offline invoices get a temporary ID; follow it to the server ID once synced
+    const serverId = await resolveId('invoices', Number(id))
+    if (serverId !== Number(id)) {
+      navigate(`/invoices/${serverId}`, { replace: true })
+      return
+    }
     const { data, error } = await getInvoiceWithItems(Number(id))
     if (error) return toast.error(error.message)
     setInvoice(data)
-    setForm({ customer_name: data.customer_name, items: data.items.map(it => ({ id: it.id, product_id: it.product_id, quantity: it.quantity, product_name: it.product_name, price: it.price, original_price: it.original_price, has_custom_price: it.has_custom_price })) })
-  }, [id])
+    setForm({ customer: data.customer, customer_name: data.customer_name, customer_state: data.customer_state || '', due_date: data.due_date || defaultDueDate(data.created_at), ...discountForm(data), items: data.items.map(it => ({ id: it.id, product_id: it.product_id, quantity: it.quantity, product_name: it.product_name, price: it.price, original_price: it.original_price, has_custom_price: it.has_custom_price, tax_rate: it.tax_rate, hsn_code: it.hsn_code, ...discountForm(it) })) })
+  }, [id, navigate])
+  
+  useEffect(() => {
+    const handleIdRemapped = (e) => {
+      const { entity, tempId, serverId } = e.detail
+      if (entity === 'invoices' && tempId === Number(id)) {
+        navigate(`/invoices/${serverId}`, { replace: true })
+      }
+    }
+    window.addEventListener('idRemapped', handleIdRemapped)
+    return () => window.removeEventListener('idRemapped', handleIdRemapped)
+  }, [id, navigate])
   
   useEffect(() => {
     load()
@@ -48,7 +82,12 @@ export default function InvoiceDetailPage() {
 
   if (!invoice) return <div>Loading...</div>
 
-  const total = (editing ? form.items : invoice.items).reduce((sum, it) => sum + Number(it.price) * it.quantity, 0)
+  const interState = editing ? isInterState(form.customer_state) : Boolean(invoice.is_interstate)
+  const tax = editing
+    ? calculateInvoiceTax(form.items, interState, form)
+    : calculateInvoiceTax(invoice.items, interState, invoice)
+  // Payments are against the saved invoice, not the edit in progress
+  const savedTotal = calculateInvoiceTax(invoice.items, Boolean(invoice.is_interstate), invoice).totals.total
 
   return (
     <div className="stack">
@@ -70,15 +109,51 @@ export default function InvoiceDetailPage() {
           <div>
             <div className="muted">{t('customer')}</div>
             {editing ? (
-              <input className="input" value={form.customer_name} onChange={e => setForm({ ...form, customer_name: e.target.value })} />
+              <CustomerPicker
+                customer={form.customer}
+                onSelect={customer => setForm({
+                  ...form,
+                  customer,
+                  // Picking another customer reprints the invoice under their name and state
+                  ...(customer && { customer_name: customer.name, customer_state: customer.state || form.customer_state })
+                })}
+              />
             ) : (
-              <div className="font-semibold">{invoice.customer_name}</div>
+              <>
+                <div className="font-semibold">{invoice.customer_name}</div>
+                {invoice.customer && (
+                  <div className="muted">
+                    {[invoice.customer.phone, invoice.customer.address, invoice.customer.gstin && `${t('gstin')}: ${invoice.customer.gstin}`].filter(Boolean).join(' · ')}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+          <div>
+            <div className="muted">{t('customer_state')}</div>
+            {editing ? (
+              <select className="input" value={form.customer_state} onChange={e => setForm({ ...form, customer_state: e.target.value })}>
+                <option value="">{t('select_state')}</option>
+                {INDIAN_STATES.map(state => (
+                  <option key={state.code} value={state.code}>{state.code} - {state.name}</option>
+                ))}
+              </select>
+            ) : (
+              <div className="font-semibold">{invoice.customer_state ? `${invoice.customer_state} - ${stateName(invoice.customer_state)}` : '-'}</div>
             )}
           </div>
           <div>
             <div className="muted">{t('date')}</div>
             <div className="font-semibold">{new Date(invoice.created_at).toLocaleString()}</div>
           </div>
+          <div>
+            <div className="muted">{t('due_date')}</div>
+            {editing ? (
+              <input type="date" className="input" value={form.due_date} onChange={e => setForm({ ...form, due_date: e.target.value })} />
+            ) : (
+              <div className="font-semibold">{new Date(invoice.due_date || defaultDueDate(invoice.created_at)).toLocaleDateString()}</div>
+            )}
+          </div>
         </div>
         <div className="card" style={{ marginTop: '1rem', overflow: 'hidden' }}>
           <table className="table">
@@ -87,13 +162,18 @@ export default function InvoiceDetailPage() {
                 <th className="th">{t('name')}</th>
                 <th className="th">{t('price')}</th>
                 <th className="th">{t('qty')}</th>
+                <th className="th">{t('discount')}</th>
                 <th className="th">{t('subtotal')}</th>
+                <th className="th">{t('gst')}</th>
               </tr>
             </thead>
             <tbody>
-              {(editing ? form.items : invoice.items).map((item, idx) => (
+              {tax.lines.map((item, idx) => (
                 <tr key={item.id ?? idx} className="tr">
-                  <td className="td">{item.product_name}</td>
+                  <td className="td">
+                    <div>{item.product_name}</div>
+                    {item.hsn_code && <div className="muted" style={{ fontSize: '0.75rem' }}>{t('hsn_code')}: {item.hsn_code}</div>}
+                  </td>
                   <td className="td">
                     {editing ? (
                       <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
@@ -159,17 +239,53 @@ export default function InvoiceDetailPage() {
                       item.quantity
                     )}
                   </td>
-                  <td className="td">₹{(Number(item.price) * item.quantity).toFixed(2)}</td>
+                  <td className="td">
+                    {editing && (
+                      <DiscountInput type={item.discount_type} value={item.discount_value} onChange={d => {
+                        const items = [...form.items]
+                        items[idx] = { ...items[idx], discount_type: d.type, discount_value: d.value }
+                        setForm({ ...form, items })
+                      }} />
+                    )}
+                    {!editing && hasDiscount(item) && (
+                      <span style={{ color: 'var(--success)' }} title="Discount">−{formatDiscount(item)}</span>
+                    )}
+                    {item.gst.discount > 0 ? (
+                      <div style={{ color: 'var(--success)', fontSize: '0.75rem' }}>−₹{item.gst.discount.toFixed(2)}</div>
+                    ) : !editing && '-'}
+                  </td>
+                  <td className="td">₹{(item.gst.gross - item.gst.discount).toFixed(2)}</td>
+                  <td className="td">
+                    <div>₹{item.gst.tax.toFixed(2)}</div>
+                    <div className="muted" style={{ fontSize: '0.75rem' }}>{item.gst.rate}%</div>
+                  </td>
                 </tr>
               ))}
             </tbody>
           </table>
         </div>
-        <div className="text-right font-semibold" style={{ marginTop: '0.75rem' }}>{t('total')}: ₹{total.toFixed(2)}</div>
+        {editing && (
+          <div className="cluster" style={{ justifyContent: 'flex-end', marginTop: '0.75rem' }}>
+            <span className="muted">{t('invoice_discount')}</span>
+            <DiscountInput
+              type={form.discount_type}
+              value={form.discount_value}
+              onChange={d => setForm({ ...form, discount_type: d.type, discount_value: d.value })}
+            />
+          </div>
+        )}
+        <div style={{ marginTop: '0.75rem' }}>
+          <TaxSummary totals={tax.totals} interState={interState} discount={editing ? form : invoice} />
+        </div>
         <div className="actions" style={{ marginTop: '0.75rem' }}>
           {editing ? (
             <>
               <button className="button button--primary" onClick={async () => {
+                const discount = parseDiscount(form.discount_type, form.discount_value)
+                const lineDiscounts = form.items.map(it => parseDiscount(it.discount_type, it.discount_value))
+                const invalid = [discount, ...lineDiscounts].find(d => d.error)
+                if (invalid) return toast.error(invalid.error)
+                
                 // First, update any custom prices that have changed
                 for (const item of form.items) {
                   const shouldSetCustomPrice = item.price !== item.original_price
@@ -192,11 +308,18 @@ export default function InvoiceDetailPage() {
                 
                 // Then update the invoice with other changes
                 const payload = { 
+                  customer_id: form.customer?.id ?? null,
                   customer_name: form.customer_name, 
-                  items: form.items.map(it => ({ 
+                  customer_state: form.customer_state || null,
+                  due_date: form.due_date || null,
+                  ...discount,
+                  items: form.items.map((it, idx) => ({ 
                     product_id: it.product_id, 
                     quantity: it.quantity,
-                    custom_price: (it.price !== it.original_price) ? it.price : null
+                    custom_price: (it.price !== it.original_price) ? it.price : null,
+                    tax_rate: it.tax_rate,
+                    hsn_code: it.hsn_code,
+                    ...lineDiscounts[idx]
                   })) 
                 }
                 const { error } = await updateInvoice(Number(id), payload)
@@ -212,6 +335,7 @@ export default function InvoiceDetailPage() {
           )}
         </div>
       </div>
+      <PaymentsPanel invoice={invoice} total={savedTotal} />
     </div>
   )
 }
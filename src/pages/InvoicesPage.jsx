@@ -1,20 +1,37 @@
 import { useEffect, useMemo, useState } from 'react'
-import { Link } from 'react-router-dom'
+import { Link, useSearchParams } from 'react-router-dom'
 import { toast } from 'react-toastify'
 import { listInvoices, deleteInvoice, subscribeInvoices } from '../services/invoicesService.js'
+import { getInvoiceBalances, subscribePayments, localDate, PAYMENT_STATUS } from '../services/paymentsService.js'
+import { agingBucket, customerKey, AGING_BUCKETS } from '../services/receivablesService.js'
+import PaymentStatusBadge from '../components/PaymentStatusBadge.jsx'
 import { useI18n } from '../hooks/useI18n.js'
 
 export default function InvoicesPage() {
   const { t } = useI18n()
   const [invoices, setInvoices] = useState([])
+  const [balances, setBalances] = useState(new Map())
   const [q, setQ] = useState('')
+  const [statusFilter, setStatusFilter] = useState('')
+  // Drill-down from the receivables aging report
+  const [searchParams, setSearchParams] = useSearchParams()
+  const unpaidOnly = searchParams.get('unpaid') === '1'
+  const customerFilter = searchParams.get('customer')
+  const agingFilter = searchParams.get('aging')
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
 
   useEffect(() => {
     load()
     const sub = subscribeInvoices(() => load())
-    return () => sub.unsubscribe()
+    const paymentsSub = subscribePayments(() => load())
+    // Offline changes replayed by the sync queue (in this or another tab)
+    window.addEventListener('cacheChanged', load)
+    return () => {
+      sub.unsubscribe()
+      paymentsSub.unsubscribe()
+      window.removeEventListener('cacheChanged', load)
+    }
   }, [])
 
   async function load() {
@@ -28,6 +45,9 @@ export default function InvoicesPage() {
         return
       }
       setInvoices(data || [])
+      const { data: invoiceBalances, error: balancesError } = await getInvoiceBalances(data || [])
+      if (balancesError) console.warn('Failed to work out invoice balances:', balancesError)
+      setBalances(invoiceBalances)
     } catch (err) {
       const errorMsg = err.message || 'Failed to load invoices'
       setError(errorMsg)
@@ -39,12 +59,23 @@ export default function InvoicesPage() {
 
   const filtered = useMemo(() => {
     const s = q.trim().toLowerCase()
-    if (!s) return invoices
+    const today = localDate()
     return invoices.filter(inv => 
-      inv.customer_name?.toLowerCase().includes(s) || 
-      String(inv.id).includes(s)
+      (!statusFilter || balances.get(inv.id)?.status === statusFilter) &&
+      (!unpaidOnly || (balances.get(inv.id)?.balance ?? 0) > 0) &&
+      (!customerFilter || customerKey(inv) === customerFilter) &&
+      (!agingFilter || agingBucket(inv, today) === agingFilter) &&
+      (!s ||
+        inv.customer_name?.toLowerCase().includes(s) || 
+        String(inv.id).includes(s))
     )
-  }, [q, invoices])
+  }, [q, statusFilter, unpaidOnly, customerFilter, agingFilter, invoices, balances])
+
+  const drillDownLabel = [
+    unpaidOnly && t('unpaid_invoices'),
+    customerFilter && invoices.find(inv => customerKey(inv) === customerFilter)?.customer_name,
+    agingFilter && `${AGING_BUCKETS.find(bucket => bucket.key === agingFilter)?.label} ${t('days')}`
+  ].filter(Boolean).join(' · ')
 
   async function onDelete(id) {
     if (!confirm(t('confirm_delete_invoice'))) return
@@ -99,6 +130,18 @@ export default function InvoicesPage() {
           value={q} 
           onChange={e => setQ(e.target.value)} 
         />
+        <select
+          className="input"
+          style={{ width: 'auto' }}
+          aria-label={t('payment_status')}
+          value={statusFilter}
+          onChange={e => setStatusFilter(e.target.value)}
+        >
+          <option value="">{t('all_statuses')}</option>
+          {Object.values(PAYMENT_STATUS).map(status => (
+            <option key={status} value={status}>{t(`status_${status}`)}</option>
+          ))}
+        </select>
         <Link 
           to="/invoices/new" 
           className="button button--primary" 
@@ -107,10 +150,19 @@ export default function InvoicesPage() {
           {t('new_invoice')}
         </Link>
       </div>
+      {drillDownLabel && (
+        <div className="card card--pad cluster wrap between">
+          <span>{drillDownLabel}</span>
+          <div className="cluster">
+            <Link className="button button--link" to="/receivables">{t('receivables_aging')}</Link>
+            <button className="button button--sm" onClick={() => setSearchParams({})}>{t('clear')}</button>
+          </div>
+        </div>
+      )}
       <div className="card">
         {filtered.length === 0 ? (
           <div className="card--pad" style={{ textAlign: 'center', padding: '2rem' }}>
-            {q.trim() ? 'No invoices found matching your search.' : 'No invoices yet.'}
+            {q.trim() || statusFilter || drillDownLabel ? 'No invoices found matching your search.' : 'No invoices yet.'}
           </div>
         ) : (
           <table className="table">
@@ -119,6 +171,9 @@ export default function InvoicesPage() {
                 <th className="th">{t('id')}</th>
                 <th className="th">{t('customer')}</th>
                 <th className="th">{t('date')}</th>
+                <th className="th text-right">{t('total')}</th>
+                <th className="th text-right">{t('balance')}</th>
+                <th className="th">{t('payment_status')}</th>
                 <th className="th w-48">{t('actions')}</th>
               </tr>
             </thead>
@@ -133,6 +188,15 @@ export default function InvoicesPage() {
                   <td className="td">
                     {inv.created_at ? new Date(inv.created_at).toLocaleString() : 'Unknown'}
                   </td>
+                  <td className="td text-right">
+                    {balances.has(inv.id) ? `₹${balances.get(inv.id).total.toFixed(2)}` : '—'}
+                  </td>
+                  <td className="td text-right">
+                    {balances.has(inv.id) ? `₹${balances.get(inv.id).balance.toFixed(2)}` : '—'}
+                  </td>
+                  <td className="td">
+                    {balances.has(inv.id) && <PaymentStatusBadge status={balances.get(inv.id).status} />}
+                  </td>
                   <td className="td">
                     <div className="actions">
                       <Link className="button button--link" to={`/invoices/${inv.id}`}>
@@ -1,21 +1,33 @@
-import { useEffect, useState } from 'react'
+import { Fragment, useEffect, useState } from 'react'
 import { toast } from 'react-toastify'
 import { listProducts, createProduct, updateProduct, deleteProduct, subscribeProducts } from '../services/productsService.js'
+import { adjustStock, MOVEMENT_TYPES } from '../services/stockMovementsService.js'
+import { isLowStock, exportReorderListToCSV } from '../services/stockService.js'
+import { GST_RATES } from '../services/taxService.js'
+import StockMovementsPanel from '../components/StockMovementsPanel.jsx'
 import { useI18n } from '../hooks/useI18n.js'
 
 export default function ProductsPage() {
   const { t } = useI18n()
   const [loading, setLoading] = useState(false)
   const [products, setProducts] = useState([])
-  const [form, setForm] = useState({ name: '', price: '', stock: '' })
+  const emptyForm = { name: '', price: '', stock: '', reorder_level: '', reorder_quantity: '', tax_rate: '0', hsn_code: '' }
+  const [form, setForm] = useState(emptyForm)
   const [editingId, setEditingId] = useState(null)
-  const [editForm, setEditForm] = useState({ name: '', price: '', stock: '' })
+  const [editForm, setEditForm] = useState(emptyForm)
   const [saving, setSaving] = useState(false)
+  const [historyId, setHistoryId] = useState(null)
+  const [lowStockOnly, setLowStockOnly] = useState(false)
 
   useEffect(() => {
     load()
     const sub = subscribeProducts(() => load())
-    return () => sub.unsubscribe()
+    // Offline changes replayed by the sync queue (in this or another tab)
+    window.addEventListener('cacheChanged', load)
+    return () => {
+      sub.unsubscribe()
+      window.removeEventListener('cacheChanged', load)
+    }
   }, [])
 
   async function load() {
@@ -36,36 +48,87 @@ export default function ProductsPage() {
       setSaving(false)
       return
     }
-    const { error } = await createProduct({ name: form.name, price, stock })
+    const reorder = parseReorderFields(form)
+    if (!reorder) {
+      toast.error(t('reorder_must_be_whole'))
+      setSaving(false)
+      return
+    }
+    const { error } = await createProduct({
+      name: form.name,
+      price,
+      stock,
+      ...reorder,
+      tax_rate: Number(form.tax_rate),
+      hsn_code: form.hsn_code.trim() || null
+    })
     setSaving(false)
     if (error) return toast.error(error.message)
-    setForm({ name: '', price: '', stock: '' })
+    setForm(emptyForm)
     toast.success(t('product_added'))
   }
 
-  async function onUpdate(productId, updates) {
-    const { error } = await updateProduct(productId, updates)
+  async function onRestock(productId, quantity) {
+    const { error } = await adjustStock(productId, quantity, { type: MOVEMENT_TYPES.RESTOCK })
     if (error) return toast.error(error.message)
-    toast.success(t('product_updated'))
+    toast.success(t('stock_adjusted'))
+    load()
   }
 
   function startEdit(p) {
     setEditingId(p.id)
-    setEditForm({ name: p.name, price: String(p.price), stock: String(p.stock) })
+    setEditForm({
+      name: p.name,
+      price: String(p.price),
+      stock: String(p.stock),
+      reorder_level: String(p.reorder_level ?? 0),
+      reorder_quantity: String(p.reorder_quantity ?? 0),
+      tax_rate: String(Number(p.tax_rate ?? 0)),
+      hsn_code: p.hsn_code ?? ''
+    })
+  }
+
+  // Reorder fields are optional whole numbers; blank means 0 (no alert)
+  function parseReorderFields(values) {
+    const reorderLevel = Number(values.reorder_level || 0)
+    const reorderQuantity = Number(values.reorder_quantity || 0)
+    if (![reorderLevel, reorderQuantity].every(n => Number.isInteger(n) && n >= 0)) return null
+    return { reorder_level: reorderLevel, reorder_quantity: reorderQuantity }
+  }
+
+  function onExportReorderList() {
+    const count = exportReorderListToCSV(products)
+    if (count === 0) toast.info(t('reorder_list_empty'))
   }
 
   async function saveEdit(e) {
     e.preventDefault()
     const id = editingId
+    const product = products.find(p => p.id === id)
+    const reorder = parseReorderFields(editForm)
+    if (!reorder) return toast.error(t('reorder_must_be_whole'))
     const updates = {
       name: editForm.name,
       price: Number(editForm.price),
-      stock: Number(editForm.stock),
+      ...reorder,
+      tax_rate: Number(editForm.tax_rate),
+      hsn_code: editForm.hsn_code.trim() || null
     }
     const { error } = await updateProduct(id, updates)
     if (error) return toast.error(error.message)
+    
+    // Stock changes go through the movement ledger so they're recorded with a reason
+    const stockChange = Number(editForm.stock) - Number(product?.stock ?? 0)
+    if (stockChange !== 0) {
+      const { error: adjustError } = await adjustStock(id, stockChange, {
+        type: MOVEMENT_TYPES.ADJUSTMENT,
+        reason: t('reason_product_edit')
+      })
+      if (adjustError) return toast.error(adjustError.message)
+    }
     toast.success(t('product_updated'))
     setEditingId(null)
+    load()
   }
 
   async function onDelete(productId) {
@@ -107,6 +170,38 @@ export default function ProductsPage() {
             onChange={(e) => setForm({ ...form, stock: e.target.value })}
             required
           />
+          <div className="grid" style={{ gridTemplateColumns: "1fr 1fr", gap: "0.75rem" }}>
+            <input
+              className="input"
+              placeholder={t("reorder_level")}
+              value={form.reorder_level}
+              onChange={(e) => setForm({ ...form, reorder_level: e.target.value })}
+            />
+            <input
+              className="input"
+              placeholder={t("reorder_quantity")}
+              value={form.reorder_quantity}
+              onChange={(e) => setForm({ ...form, reorder_quantity: e.target.value })}
+            />
+          </div>
+          <div className="grid" style={{ gridTemplateColumns: "1fr 1fr", gap: "0.75rem" }}>
+            <input
+              className="input"
+              placeholder={t("hsn_code")}
+              value={form.hsn_code}
+              onChange={(e) => setForm({ ...form, hsn_code: e.target.value })}
+            />
+            <select
+              className="input"
+              value={form.tax_rate}
+              aria-label={t("gst_rate")}
+              onChange={(e) => setForm({ ...form, tax_rate: e.target.value })}
+            >
+              {GST_RATES.map((rate) => (
+                <option key={rate} value={rate}>{t("gst")} {rate}%</option>
+              ))}
+            </select>
+          </div>
           <button disabled={saving} className="button button--primary">
             {saving ? "..." : t("add")}
           </button>
@@ -114,6 +209,19 @@ export default function ProductsPage() {
       </section>
 
       <section className="card">
+        <div className="cluster wrap between" style={{ padding: "0.75rem" }}>
+          <label className="cluster">
+            <input
+              type="checkbox"
+              checked={lowStockOnly}
+              onChange={(e) => setLowStockOnly(e.target.checked)}
+            />
+            {t("low_stock_only")} ({products.filter(isLowStock).length})
+          </label>
+          <button className="button button--sm" onClick={onExportReorderList}>
+            {t("export_reorder_list")}
+          </button>
+        </div>
         {loading ? (
           <p>Loading .....</p>
         ) : (
@@ -122,127 +230,212 @@ export default function ProductsPage() {
               <tr>
                 <th className="th">{t("name")}</th>
                 <th className="th">{t("price")}</th>
+                <th className="th">{t("gst")} / {t("hsn_code")}</th>
                 <th className="th">{t("stock")}</th>
                 <th className="th">{t("remaining")}</th>
+                <th className="th">{t("reorder_level")} / {t("reorder_quantity")}</th>
                 <th className="th w-48">{t("actions")}</th>
               </tr>
             </thead>
             <tbody>
-              {products.map((p) => (
-                <tr key={p.id} className="tr">
-                  <td className="td">
-                    {editingId === p.id ? (
-                      <input
-                        className="input"
-                        value={editForm.name}
-                        onChange={(e) =>
-                          setEditForm({ ...editForm, name: e.target.value })
-                        }
-                      />
-                    ) : (
-                      p.name
-                    )}
-                  </td>
-                  <td className="td">
-                    {editingId === p.id ? (
-                      <input
-                        className="input"
-                        value={editForm.price}
-                        onChange={(e) =>
-                          setEditForm({ ...editForm, price: e.target.value })
-                        }
-                      />
-                    ) : (
-                      `₹${Number(p.price).toFixed(2)}`
-                    )}
-                  </td>
-                  <td className="td">
-                    {editingId === p.id ? (
-                      <input
-                        className="input"
-                        value={editForm.stock}
-                        onChange={(e) =>
-                          setEditForm({ ...editForm, stock: e.target.value })
-                        }
-                      />
-                    ) : (
-                      <div>
-                        {p.stock}
-                        {p._offline && <span className="offline-indicator">Offline</span>}
-                      </div>
-                    )}
-                  </td>
-                  <td className="td" style={{ color: Number(p.remaining ?? p.stock) < 0 ? 'var(--danger)' : undefined }}>
-                    <div>
-                      {Number(p.remaining ?? p.stock)}
-                      {p._offline && <span className="offline-indicator">Offline</span>}
-                      {Number(p.remaining ?? p.stock) < 0 && (
-                        <span style={{ 
-                          color: 'var(--danger)', 
-                          marginLeft: '0.5rem',
-                          fontSize: '0.75rem',
-                          fontWeight: 'bold'
-                        }}>
-                          ⚠️ Negative Stock
-                        </span>
+              {(lowStockOnly ? products.filter(isLowStock) : products).map((p) => (
+                <Fragment key={p.id}>
+                  <tr className="tr">
+                    <td className="td">
+                      {editingId === p.id ? (
+                        <input
+                          className="input"
+                          value={editForm.name}
+                          onChange={(e) =>
+                            setEditForm({ ...editForm, name: e.target.value })
+                          }
+                        />
+                      ) : (
+                        p.name
                       )}
-                      {Number(p.remaining ?? p.stock) === 0 && (
-                        <span style={{ 
-                          color: 'var(--warning)', 
-                          marginLeft: '0.5rem',
-                          fontSize: '0.75rem',
-                          fontWeight: 'bold'
-                        }}>
-                          ⚠️ Out of Stock
-                        </span>
+                    </td>
+                    <td className="td">
+                      {editingId === p.id ? (
+                        <input
+                          className="input"
+                          value={editForm.price}
+                          onChange={(e) =>
+                            setEditForm({ ...editForm, price: e.target.value })
+                          }
+                        />
+                      ) : (
+                        `₹${Number(p.price).toFixed(2)}`
                       )}
-                    </div>
-                  </td>
-                  <td className="td">
-                    <div className="actions">
+                    </td>
+                    <td className="td">
                       {editingId === p.id ? (
-                        <>
-                          <button
-                            className="button button--link"
-                            onClick={saveEdit}
-                          >
-                            {t("save")}
-                          </button>
-                          <button
-                            className="button button--link"
-                            onClick={() => setEditingId(null)}
+                        <div className="cluster">
+                          <select
+                            className="input input--sm"
+                            value={editForm.tax_rate}
+                            aria-label={t("gst_rate")}
+                            onChange={(e) =>
+                              setEditForm({ ...editForm, tax_rate: e.target.value })
+                            }
                           >
-                            {t("cancel")}
-                          </button>
-                        </>
+                            {GST_RATES.map((rate) => (
+                              <option key={rate} value={rate}>{rate}%</option>
+                            ))}
+                          </select>
+                          <input
+                            className="input input--sm"
+                            style={{ width: "6rem" }}
+                            placeholder={t("hsn_code")}
+                            value={editForm.hsn_code}
+                            onChange={(e) =>
+                              setEditForm({ ...editForm, hsn_code: e.target.value })
+                            }
+                          />
+                        </div>
                       ) : (
-                        <>
-                          <button
-                            className="button button--link"
-                            onClick={() =>
-                              onUpdate(p.id, { stock: p.stock + 1 })
+                        <div>
+                          {Number(p.tax_rate ?? 0)}%
+                          {p.hsn_code && <div className="muted">{p.hsn_code}</div>}
+                        </div>
+                      )}
+                    </td>
+                    <td className="td">
+                      {editingId === p.id ? (
+                        <input
+                          className="input"
+                          value={editForm.stock}
+                          onChange={(e) =>
+                            setEditForm({ ...editForm, stock: e.target.value })
+                          }
+                        />
+                      ) : (
+                        <div>
+                          {p.stock}
+                          {p._offline && <span className="offline-indicator">Offline</span>}
+                        </div>
+                      )}
+                    </td>
+                    <td className="td" style={{ color: Number(p.remaining ?? p.stock) < 0 ? 'var(--danger)' : undefined }}>
+                      <div>
+                        {Number(p.remaining ?? p.stock)}
+                        {p._offline && <span className="offline-indicator">Offline</span>}
+                        {Number(p.remaining ?? p.stock) < 0 && (
+                          <span style={{ 
+                            color: 'var(--danger)', 
+                            marginLeft: '0.5rem',
+                            fontSize: '0.75rem',
+                            fontWeight: 'bold'
+                          }}>
+                            ⚠️ Negative Stock
+                          </span>
+                        )}
+                        {Number(p.remaining ?? p.stock) === 0 && (
+                          <span style={{ 
+                            color: 'var(--warning)', 
+                            marginLeft: '0.5rem',
+                            fontSize: '0.75rem',
+                            fontWeight: 'bold'
+                          }}>
+                            ⚠️ Out of Stock
+                          </span>
+                        )}
+                        {Number(p.remaining ?? p.stock) > 0 && isLowStock(p) && (
+                          <span style={{ 
+                            color: 'var(--warning)', 
+                            marginLeft: '0.5rem',
+                            fontSize: '0.75rem',
+                            fontWeight: 'bold'
+                          }}>
+                            🔔 {t("low_stock")}
+                          </span>
+                        )}
+                      </div>
+                    </td>
+                    <td className="td">
+                      {editingId === p.id ? (
+                        <div className="cluster">
+                          <input
+                            className="input input--sm"
+                            style={{ width: "5rem" }}
+                            value={editForm.reorder_level}
+                            onChange={(e) =>
+                              setEditForm({ ...editForm, reorder_level: e.target.value })
                             }
-                          >
-                            +1 {t("stock")}
-                          </button>
-                          <button
-                            className="button button--link"
-                            onClick={() => startEdit(p)}
-                          >
-                            {t("edit")}
-                          </button>
-                          <button
-                            className="button button--link"
-                            style={{ color: "var(--danger)" }}
-                            onClick={() => onDelete(p.id)}
-                          >
-                            {t("delete")}
-                          </button>
-                        </>
+                          />
+                          <input
+                            className="input input--sm"
+                            style={{ width: "5rem" }}
+                            value={editForm.reorder_quantity}
+                            onChange={(e) =>
+                              setEditForm({ ...editForm, reorder_quantity: e.target.value })
+                            }
+                          />
+                        </div>
+                      ) : Number(p.reorder_level || 0) > 0 ? (
+                        `${p.reorder_level} / ${p.reorder_quantity ?? 0}`
+                      ) : (
+                        <span className="muted">—</span>
                       )}
-                    </div>
-                  </td>
-                </tr>
+                    </td>
+                    <td className="td">
+                      <div className="actions">
+                        {editingId === p.id ? (
+                          <>
+                            <button
+                              className="button button--link"
+                              onClick={saveEdit}
+                            >
+                              {t("save")}
+                            </button>
+                            <button
+                              className="button button--link"
+                              onClick={() => setEditingId(null)}
+                            >
+                              {t("cancel")}
+                            </button>
+                          </>
+                        ) : (
+                          <>
+                            <button
+                              className="button button--link"
+                              onClick={() => onRestock(p.id, 1)}
+                            >
+                              +1 {t("stock")}
+                            </button>
+                            <button
+                              className="button button--link"
+                              onClick={() =>
+                                setHistoryId(historyId === p.id ? null : p.id)
+                              }
+                            >
+                              {t("stock_history")}
+                            </button>
+                            <button
+                              className="button button--link"
+                              onClick={() => startEdit(p)}
+                            >
+                              {t("edit")}
+                            </button>
+                            <button
+                              className="button button--link"
+                              style={{ color: "var(--danger)" }}
+                              onClick={() => onDelete(p.id)}
+                            >
+                              {t("delete")}
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                  {historyId === p.id && (
+                    <tr className="tr">
+                      <td className="td" colSpan={7}>
+                        <StockMovementsPanel product={p} onAdjusted={load} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
               ))}
             </tbody>
           </table>
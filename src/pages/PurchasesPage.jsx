@@ -0,0 +1,254 @@
+import { Fragment, useCallback, useEffect, useMemo, useState } from 'react'
+import { toast } from 'react-toastify'
+import { listProducts } from '../services/productsService.js'
+import { listPurchases, createPurchase, subscribePurchases, purchaseTotal } from '../services/purchasesService.js'
+import { localDate } from '../services/paymentsService.js'
+import { useI18n } from '../hooks/useI18n.js'
+
+const emptyLine = () => ({ product_id: '', quantity: '', unit_cost: '' })
+
+export default function PurchasesPage() {
+  const { t } = useI18n()
+  const [products, setProducts] = useState([])
+  const [purchases, setPurchases] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [expandedId, setExpandedId] = useState(null)
+  const [form, setForm] = useState({ supplierName: '', purchaseDate: localDate(), notes: '' })
+  const [lines, setLines] = useState([emptyLine()])
+
+  const loadPurchases = useCallback(async () => {
+    setLoading(true)
+    const { data, error } = await listPurchases()
+    setLoading(false)
+    if (error) return toast.error(error.message)
+    setPurchases(data || [])
+  }, [])
+
+  const load = useCallback(async () => {
+    const { data, error } = await listProducts()
+    if (error) toast.error(error.message)
+    else setProducts(data || [])
+    await loadPurchases()
+  }, [loadPurchases])
+
+  useEffect(() => {
+    load()
+    const sub = subscribePurchases(() => loadPurchases())
+    // Offline purchases replayed by the sync queue (in this or another tab)
+    window.addEventListener('cacheChanged', load)
+    return () => {
+      sub.unsubscribe()
+      window.removeEventListener('cacheChanged', load)
+    }
+  }, [load, loadPurchases])
+
+  const total = useMemo(
+    () => lines.reduce((sum, line) => sum + Number(line.quantity || 0) * Number(line.unit_cost || 0), 0),
+    [lines]
+  )
+
+  function updateLine(index, changes) {
+    setLines(prev => prev.map((line, i) => (i === index ? { ...line, ...changes } : line)))
+  }
+
+  function selectProduct(index, productId) {
+    const product = products.find(p => p.id === Number(productId))
+    // Suggest the last cost paid for this product
+    const lastCost = purchases
+      .flatMap(purchase => purchase.items)
+      .find(line => line.product_id === product?.id)?.unit_cost
+    updateLine(index, {
+      product_id: productId,
+      unit_cost: lines[index].unit_cost || (lastCost !== undefined ? String(lastCost) : '')
+    })
+  }
+
+  async function onSave(e) {
+    e.preventDefault()
+    setSaving(true)
+    const { data, error } = await createPurchase({
+      ...form,
+      items: lines
+        .filter(line => line.product_id)
+        .map(line => ({ product_id: Number(line.product_id), quantity: line.quantity, unit_cost: line.unit_cost || 0 }))
+    })
+    setSaving(false)
+    if (error) return toast.error(error.message)
+    toast.success(data?._offline ? t('purchase_saved_offline') : t('purchase_saved'))
+    setForm({ supplierName: form.supplierName, purchaseDate: localDate(), notes: '' })
+    setLines([emptyLine()])
+    load()
+  }
+
+  return (
+    <div className="stack">
+      <section className="card card--pad">
+        <h2 className="font-semibold" style={{ marginBottom: '0.75rem' }}>
+          {t('new_purchase')}
+        </h2>
+        <form className="stack" onSubmit={onSave}>
+          <div className="grid" style={{ gridTemplateColumns: '2fr 1fr', gap: '0.75rem' }}>
+            <input
+              className="input"
+              placeholder={t('supplier')}
+              value={form.supplierName}
+              onChange={(e) => setForm({ ...form, supplierName: e.target.value })}
+              required
+            />
+            <input
+              className="input"
+              type="date"
+              value={form.purchaseDate}
+              onChange={(e) => setForm({ ...form, purchaseDate: e.target.value })}
+              required
+            />
+          </div>
+
+          <table className="table">
+            <thead className="thead">
+              <tr>
+                <th className="th">{t('product')}</th>
+                <th className="th">{t('qty')}</th>
+                <th className="th">{t('unit_cost')}</th>
+                <th className="th text-right">{t('subtotal')}</th>
+                <th className="th"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map((line, index) => (
+                <tr key={index} className="tr">
+                  <td className="td">
+                    <select
+                      className="input input--sm"
+                      value={line.product_id}
+                      onChange={(e) => selectProduct(index, e.target.value)}
+                    >
+                      <option value="">{t('select_product')}</option>
+                      {products.map(p => (
+                        <option key={p.id} value={p.id}>{p.name}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="td">
+                    <input
+                      className="input input--sm"
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={line.quantity}
+                      onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                    />
+                  </td>
+                  <td className="td">
+                    <input
+                      className="input input--sm"
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={line.unit_cost}
+                      onChange={(e) => updateLine(index, { unit_cost: e.target.value })}
+                    />
+                  </td>
+                  <td className="td text-right">
+                    ₹{(Number(line.quantity || 0) * Number(line.unit_cost || 0)).toFixed(2)}
+                  </td>
+                  <td className="td">
+                    {lines.length > 1 && (
+                      <button
+                        type="button"
+                        className="button button--link"
+                        style={{ color: 'var(--danger)' }}
+                        onClick={() => setLines(prev => prev.filter((_, i) => i !== index))}
+                      >
+                        {t('remove')}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="cluster wrap between">
+            <button type="button" className="button button--sm" onClick={() => setLines(prev => [...prev, emptyLine()])}>
+              + {t('add_line')}
+            </button>
+            <div className="font-semibold">{t('total')}: ₹{total.toFixed(2)}</div>
+          </div>
+
+          <input
+            className="input"
+            placeholder={t('notes')}
+            value={form.notes}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          />
+          <button disabled={saving} className="button button--primary">
+            {saving ? '...' : t('save_purchase')}
+          </button>
+        </form>
+      </section>
+
+      <section className="card">
+        {loading && purchases.length === 0 ? (
+          <p>Loading .....</p>
+        ) : purchases.length === 0 ? (
+          <p className="muted" style={{ padding: '1rem' }}>{t('no_purchases')}</p>
+        ) : (
+          <table className="table">
+            <thead className="thead">
+              <tr>
+                <th className="th">{t('date')}</th>
+                <th className="th">{t('supplier')}</th>
+                <th className="th">{t('items')}</th>
+                <th className="th text-right">{t('total')}</th>
+                <th className="th">{t('actions')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {purchases.map(purchase => (
+                <Fragment key={purchase.id}>
+                  <tr className="tr">
+                    <td className="td">{new Date(purchase.purchase_date).toLocaleDateString()}</td>
+                    <td className="td">
+                      {purchase.supplier_name}
+                      {purchase._offline && <span className="offline-indicator">Offline</span>}
+                    </td>
+                    <td className="td">{purchase.items.length}</td>
+                    <td className="td text-right">₹{purchaseTotal(purchase).toFixed(2)}</td>
+                    <td className="td">
+                      <button
+                        className="button button--link"
+                        onClick={() => setExpandedId(expandedId === purchase.id ? null : purchase.id)}
+                      >
+                        {expandedId === purchase.id ? t('hide') : t('view')}
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedId === purchase.id && (
+                    <tr className="tr">
+                      <td className="td" colSpan={5}>
+                        {purchase.notes && <p className="muted">{purchase.notes}</p>}
+                        <table className="table">
+                          <tbody>
+                            {purchase.items.map((line, index) => (
+                              <tr key={line.id ?? index} className="tr">
+                                <td className="td">{line.product_name}</td>
+                                <td className="td">{line.quantity} × ₹{Number(line.unit_cost).toFixed(2)}</td>
+                                <td className="td text-right">₹{(line.quantity * line.unit_cost).toFixed(2)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  )
+}
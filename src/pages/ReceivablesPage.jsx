@@ -0,0 +1,122 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { toast } from 'react-toastify'
+import { getAgingReport, exportAgingToCSV, exportAgingToPDF, AGING_BUCKETS } from '../services/receivablesService.js'
+import { subscribeInvoices } from '../services/invoicesService.js'
+import { subscribePayments } from '../services/paymentsService.js'
+import { useI18n } from '../hooks/useI18n.js'
+
+// InvoicesPage link showing the unpaid invoices behind an amount
+function drillDownLink(customer, bucket) {
+  const params = new URLSearchParams({ unpaid: '1' })
+  if (customer) params.set('customer', customer)
+  if (bucket) params.set('aging', bucket)
+  return `/invoices?${params}`
+}
+
+export default function ReceivablesPage() {
+  const { t } = useI18n()
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    load()
+    const invoicesSub = subscribeInvoices(() => load())
+    const paymentsSub = subscribePayments(() => load())
+    // Offline changes replayed by the sync queue (in this or another tab)
+    window.addEventListener('cacheChanged', load)
+    return () => {
+      invoicesSub.unsubscribe()
+      paymentsSub.unsubscribe()
+      window.removeEventListener('cacheChanged', load)
+    }
+  }, [])
+
+  async function load() {
+    const { data, error } = await getAgingReport()
+    setLoading(false)
+    if (error) return toast.error(error.message)
+    setReport(data)
+  }
+
+  if (loading) return <p>Loading .....</p>
+  if (!report) return null
+
+  const amountCell = (amount, customer, bucket) => (
+    amount > 0 ? (
+      <Link className="button button--link" to={drillDownLink(customer, bucket)}>
+        ₹{amount.toFixed(2)}
+      </Link>
+    ) : (
+      <span className="muted">—</span>
+    )
+  )
+
+  return (
+    <div className="stack">
+      <div className="cluster wrap between">
+        <div>
+          <h2 className="font-semibold">{t('receivables_aging')}</h2>
+          <div className="muted">{t('aging_note')}</div>
+        </div>
+        <div className="cluster">
+          <button className="button button--sm" onClick={() => exportAgingToCSV(report)} disabled={report.rows.length === 0}>
+            {t('export_csv')}
+          </button>
+          <button className="button button--sm button--primary" onClick={() => exportAgingToPDF(report)} disabled={report.rows.length === 0}>
+            📄 {t('export_pdf')}
+          </button>
+        </div>
+      </div>
+
+      <section className="card">
+        {report.rows.length === 0 ? (
+          <p className="muted" style={{ padding: '2rem', textAlign: 'center' }}>{t('no_receivables')}</p>
+        ) : (
+          <table className="table">
+            <thead className="thead">
+              <tr>
+                <th className="th">{t('customer')}</th>
+                {AGING_BUCKETS.map((bucket) => (
+                  <th key={bucket.key} className="th text-right">{bucket.label} {t('days')}</th>
+                ))}
+                <th className="th text-right">{t('total')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map((row) => (
+                <tr key={row.key} className="tr">
+                  <td className="td">
+                    {row.customer_id !== null ? (
+                      <Link className="button button--link" to={`/customers/${row.customer_id}`}>
+                        {row.customer_name}
+                      </Link>
+                    ) : (
+                      row.customer_name
+                    )}
+                    <div className="muted">{row.invoice_count} {t('nav_invoices').toLowerCase()}</div>
+                  </td>
+                  {AGING_BUCKETS.map((bucket) => (
+                    <td key={bucket.key} className="td text-right">
+                      {amountCell(row.buckets[bucket.key], row.key, bucket.key)}
+                    </td>
+                  ))}
+                  <td className="td text-right font-semibold">{amountCell(row.total, row.key, null)}</td>
+                </tr>
+              ))}
+              <tr className="tr font-semibold">
+                <td className="td">{t('total')}</td>
+                {AGING_BUCKETS.map((bucket) => (
+                  <td key={bucket.key} className="td text-right">
+                    {amountCell(report.totals.buckets[bucket.key], null, bucket.key)}
+                  </td>
+                ))}
+                <td className="td text-right">{amountCell(report.totals.total, null, null)}</td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  )
+}
@@ -0,0 +1,205 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { toast } from 'react-toastify'
+import { listProducts } from '../services/productsService.js'
+import { adjustStock, MOVEMENT_TYPES } from '../services/stockMovementsService.js'
+import { useI18n } from '../hooks/useI18n.js'
+
+const VARIANCE_REASONS = ['damage', 'theft', 'counting_error', 'other']
+
+// Counts in progress survive a reload, so a half-finished stock-take isn't lost
+const DRAFT_KEY = 'stockTakeDraft'
+
+function loadDraft() {
+  try {
+    return JSON.parse(localStorage.getItem(DRAFT_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+export default function StockTakePage() {
+  const { t } = useI18n()
+  const [products, setProducts] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [posting, setPosting] = useState(false)
+  const [search, setSearch] = useState('')
+  const [counts, setCounts] = useState(loadDraft)
+
+  const load = useCallback(async () => {
+    setLoading(true)
+    const { data, error } = await listProducts()
+    setLoading(false)
+    if (error) return toast.error(error.message)
+    setProducts(data || [])
+  }, [])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  useEffect(() => {
+    localStorage.setItem(DRAFT_KEY, JSON.stringify(counts))
+  }, [counts])
+
+  function updateCount(productId, changes) {
+    setCounts(prev => ({
+      ...prev,
+      [productId]: { counted: '', reason: 'counting_error', note: '', ...prev[productId], ...changes }
+    }))
+  }
+
+  const rows = useMemo(() => products.map(p => {
+    const remaining = Number(p.remaining ?? p.stock)
+    const entry = counts[p.id]
+    const counted = entry?.counted === '' || entry?.counted === undefined ? null : Number(entry.counted)
+    const valid = counted !== null && Number.isInteger(counted) && counted >= 0
+    return {
+      product: p,
+      remaining,
+      entry,
+      counted,
+      valid,
+      variance: valid ? counted - remaining : null
+    }
+  }), [products, counts])
+
+  const visibleRows = rows.filter(row => row.product.name.toLowerCase().includes(search.toLowerCase()))
+  const variances = rows.filter(row => row.variance)
+  const countedTotal = rows.filter(row => row.valid).length
+  const invalidTotal = rows.filter(row => row.counted !== null && !row.valid).length
+
+  async function onPost() {
+    if (invalidTotal > 0) return toast.error(t('stock_take_invalid'))
+    if (variances.length === 0) return toast.info(t('stock_take_no_variance'))
+    if (!confirm(t('confirm_post_variances')(variances.length))) return
+
+    setPosting(true)
+    const failed = []
+    for (const row of variances) {
+      const { reason, note } = row.entry
+      const { error } = await adjustStock(row.product.id, row.variance, {
+        type: MOVEMENT_TYPES.ADJUSTMENT,
+        reason: [`${t('stock_take')}: ${t(`variance_${reason}`)}`, note?.trim()].filter(Boolean).join(' - ')
+      })
+      if (error) {
+        failed.push(row.product.id)
+        console.error(`Stock-take adjustment failed for product ${row.product.id}:`, error)
+      }
+    }
+    setPosting(false)
+
+    // Keep counts that didn't post so they can be retried
+    setCounts(prev => Object.fromEntries(
+      Object.entries(prev).filter(([id]) => failed.includes(Number(id)))
+    ))
+    const postedTotal = variances.length - failed.length
+    if (failed.length > 0) toast.error(t('stock_take_partial')(postedTotal, failed.length))
+    else toast.success(t('stock_take_posted')(postedTotal))
+    load()
+  }
+
+  function onReset() {
+    if (!confirm(t('confirm_clear_counts'))) return
+    setCounts({})
+  }
+
+  return (
+    <div className="stack">
+      <section className="card card--pad">
+        <div className="cluster wrap between">
+          <h2 className="font-semibold">{t('stock_take')}</h2>
+          <input
+            className="input input--sm"
+            placeholder={t('search_products')}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+        <p className="muted">
+          {t('stock_take_progress')(countedTotal, products.length, variances.length)}
+        </p>
+        <div className="actions">
+          <button
+            className="button button--primary"
+            disabled={posting || variances.length === 0}
+            onClick={onPost}
+          >
+            {posting ? '...' : t('post_adjustments')}
+          </button>
+          <button className="button" disabled={posting} onClick={onReset}>
+            {t('clear_counts')}
+          </button>
+        </div>
+      </section>
+
+      <section className="card">
+        {loading && products.length === 0 ? (
+          <p>Loading .....</p>
+        ) : (
+          <table className="table">
+            <thead className="thead">
+              <tr>
+                <th className="th">{t('name')}</th>
+                <th className="th text-right">{t('remaining')}</th>
+                <th className="th">{t('counted')}</th>
+                <th className="th text-right">{t('variance')}</th>
+                <th className="th">{t('reason')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map(({ product, remaining, entry, counted, valid, variance }) => (
+                <tr key={product.id} className="tr">
+                  <td className="td">
+                    {product.name}
+                    {product._offline && <span className="offline-indicator">Offline</span>}
+                  </td>
+                  <td className="td text-right">{remaining}</td>
+                  <td className="td">
+                    <input
+                      className="input input--sm"
+                      type="number"
+                      min="0"
+                      step="1"
+                      style={{ width: '6rem', borderColor: counted !== null && !valid ? 'var(--danger)' : undefined }}
+                      value={entry?.counted ?? ''}
+                      onChange={(e) => updateCount(product.id, { counted: e.target.value })}
+                    />
+                  </td>
+                  <td
+                    className="td text-right"
+                    style={{ color: variance < 0 ? 'var(--danger)' : variance > 0 ? 'var(--success)' : undefined }}
+                  >
+                    {variance === null ? '—' : variance > 0 ? `+${variance}` : variance}
+                  </td>
+                  <td className="td">
+                    {variance ? (
+                      <div className="cluster">
+                        <select
+                          className="input input--sm"
+                          value={entry.reason}
+                          onChange={(e) => updateCount(product.id, { reason: e.target.value })}
+                        >
+                          {VARIANCE_REASONS.map(reason => (
+                            <option key={reason} value={reason}>{t(`variance_${reason}`)}</option>
+                          ))}
+                        </select>
+                        <input
+                          className="input input--sm"
+                          placeholder={t('note')}
+                          value={entry.note}
+                          onChange={(e) => updateCount(product.id, { note: e.target.value })}
+                        />
+                      </div>
+                    ) : (
+                      <span className="muted">—</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  )
+}
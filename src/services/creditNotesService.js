@@ -0,0 +1,134 @@
+import { supabase } from './supabaseClient.js'
+import { addCreditNoteToCache, deleteCreditNoteFromCache } from '../offline/cache.js'
+import { get, enqueueSync } from '../offline/idb.js'
+import { generateClientId } from '../offline/idMap.js'
+import { connectivity, isNetworkError } from '../offline/connectivity.js'
+import { getCurrentUserLabel } from './stockMovementsService.js'
+import { localDate } from './paymentsService.js'
+
+// Credit notes issued to customers (credit_notes_migration.sql), e.g. for goods
+// returned. Each one is a credit on the customer's ledger.
+
+function round2(n) {
+  return Math.round((n + Number.EPSILON) * 100) / 100
+}
+
+async function queueCreditNoteCreate(customerId, creditNote, clientId, createdBy) {
+  const tempId = Date.now() // Temporary ID for offline
+  const offlineCreditNote = {
+    id: tempId,
+    customer_id: customerId,
+    customer_name: creditNote.customerName,
+    amount: creditNote.amount,
+    issued_on: creditNote.issuedOn,
+    reason: creditNote.reason,
+    created_by: createdBy,
+    client_id: clientId,
+    created_at: new Date().toISOString(),
+    _offline: true
+  }
+  await addCreditNoteToCache(offlineCreditNote)
+
+  await enqueueSync({
+    kind: 'credit_note:create',
+    payload: { clientId, customerId, createdBy, ...creditNote },
+    tempId
+  })
+  return { data: offlineCreditNote, error: null }
+}
+
+/**
+ * Issue a credit note to a customer
+ * @param {number} customerId - Customer ID
+ * @param {{amount: number|string, issuedOn?: string, reason?: string}} creditNote
+ * @returns {Promise<{data: object|null, error: any}>}
+ */
+export async function issueCreditNote(customerId, creditNote) {
+  const amount = round2(Number(creditNote.amount))
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { data: null, error: { message: 'Credit note amount must be more than 0' } }
+  }
+
+  const customer = await get('customers', customerId)
+  if (!customer) {
+    return { data: null, error: { message: 'Customer not found' } }
+  }
+
+  const normalized = {
+    amount,
+    issuedOn: creditNote.issuedOn || localDate(),
+    reason: creditNote.reason?.trim() || null,
+    // Kept on the credit note in case the customer is deleted later
+    customerName: customer.name
+  }
+  // Lets a replayed credit note detect it was already issued
+  const clientId = generateClientId()
+  const createdBy = await getCurrentUserLabel()
+
+  // A customer added offline doesn't exist on the server yet, so its credit
+  // notes wait in the queue behind it
+  if (connectivity.isOffline() || customer._offline) {
+    return queueCreditNoteCreate(customerId, normalized, clientId, createdBy)
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('credit_notes')
+      .insert({
+        customer_id: customerId,
+        customer_name: normalized.customerName,
+        amount: normalized.amount,
+        issued_on: normalized.issuedOn,
+        reason: normalized.reason,
+        created_by: createdBy,
+        client_id: clientId
+      })
+      .select('*')
+      .single()
+    if (isNetworkError(error)) {
+      return queueCreditNoteCreate(customerId, normalized, clientId, createdBy)
+    }
+    if (error) return { data: null, error }
+
+    await addCreditNoteToCache(data)
+    return { data, error: null }
+  } catch {
+    return { data: null, error: { message: 'Failed to issue credit note' } }
+  }
+}
+
+async function queueCreditNoteDelete(creditNoteId) {
+  await deleteCreditNoteFromCache(creditNoteId)
+  await enqueueSync({ kind: 'credit_note:delete', payload: { creditNoteId } })
+  return { data: true, error: null }
+}
+
+/**
+ * Remove a credit note issued by mistake
+ * @param {object} creditNote - Credit note row
+ * @returns {Promise<{data: boolean|null, error: any}>}
+ */
+export async function deleteCreditNote(creditNote) {
+  if (connectivity.isOffline() || creditNote._offline) {
+    return queueCreditNoteDelete(creditNote.id)
+  }
+
+  try {
+    const { error } = await supabase.from('credit_notes').delete().eq('id', creditNote.id)
+    if (isNetworkError(error)) return queueCreditNoteDelete(creditNote.id)
+    if (error) return { data: null, error }
+
+    await deleteCreditNoteFromCache(creditNote.id)
+    return { data: true, error: null }
+  } catch {
+    return { data: null, error: { message: 'Failed to delete credit note' } }
+  }
+}
+
+export function subscribeCreditNotes(onChange) {
+  const channel = supabase
+    .channel('credit-notes-changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'credit_notes' }, onChange)
+    .subscribe()
+  return channel
+}
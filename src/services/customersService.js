@@ -0,0 +1,215 @@
+import { supabase } from './supabaseClient.js'
+import {
+  syncDownCustomers,
+  addCustomerToCache,
+  updateCustomerInCache,
+  deleteCustomerFromCache
+} from '../offline/cache.js'
+import { get, enqueueSync } from '../offline/idb.js'
+import { generateClientId } from '../offline/idMap.js'
+import { connectivity, isNetworkError } from '../offline/connectivity.js'
+import { INDIAN_STATES } from './taxService.js'
+
+// Customer master (customers_migration.sql). Invoices link to a customer by
+// customer_id and keep customer_name as the name printed on them.
+
+const CUSTOMER_FIELDS = ['name', 'phone', 'email', 'address', 'gstin', 'state']
+
+// 2 digit state code, PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/
+
+/**
+ * Key for comparing customer names, so "Ramesh" and " ramesh " are the same customer
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeCustomerName(name) {
+  return String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase()
+}
+
+/**
+ * Customer with the same name, if there is one
+ * @param {Array} customers - Customer rows
+ * @param {string} name - Name to look for
+ * @returns {object|undefined}
+ */
+export function findCustomerByName(customers, name) {
+  const key = normalizeCustomerName(name)
+  return key ? customers.find(c => normalizeCustomerName(c.name) === key) : undefined
+}
+
+/**
+ * Customers whose name, phone or GSTIN contains the query
+ * @param {Array} customers - Customer rows
+ * @param {string} query - Search text
+ * @returns {Array}
+ */
+export function searchCustomers(customers, query) {
+  const key = normalizeCustomerName(query)
+  if (!key) return customers
+  return customers.filter(c =>
+    normalizeCustomerName(c.name).includes(key) ||
+    String(c.phone ?? '').replace(/\s+/g, '').includes(key.replace(/\s+/g, '')) ||
+    String(c.gstin ?? '').toLowerCase().includes(key)
+  )
+}
+
+/**
+ * Clean up a customer from form input
+ * @param {object} customer - Form values
+ * @returns {{data: object|null, error: any}} Customer columns, or a validation error
+ */
+export function parseCustomer(customer) {
+  const fields = {}
+  for (const key of CUSTOMER_FIELDS) {
+    if (customer[key] === undefined) continue
+    const value = String(customer[key] ?? '').trim()
+    fields[key] = value === '' ? null : value
+  }
+  if (fields.name !== undefined) {
+    fields.name = fields.name?.replace(/\s+/g, ' ') ?? null
+    if (!fields.name) return { data: null, error: { message: 'Customer name is required' } }
+  }
+  if (fields.gstin) {
+    fields.gstin = fields.gstin.toUpperCase()
+    if (!GSTIN_PATTERN.test(fields.gstin)) {
+      return { data: null, error: { message: 'GSTIN must be 15 characters, e.g. 27ABCDE1234F1Z5' } }
+    }
+    // The GSTIN starts with the customer's state code
+    const gstinState = fields.gstin.slice(0, 2)
+    if (!fields.state && INDIAN_STATES.some(state => state.code === gstinState)) {
+      fields.state = gstinState
+    }
+  }
+  return { data: fields, error: null }
+}
+
+export async function listCustomers() {
+  // Served from the cache; when online only rows changed since the last sync are pulled
+  return syncDownCustomers()
+}
+
+// Offline paths: apply the change to the local cache and queue it for sync.
+// Also used when an online write fails because Supabase can't be reached.
+
+async function queueCustomerCreate(customer, clientId) {
+  const tempId = Date.now() // Temporary ID for offline
+  const offlineCustomer = { ...customer, id: tempId, client_id: clientId, created_at: new Date().toISOString(), _offline: true }
+  await addCustomerToCache(offlineCustomer)
+
+  await enqueueSync({ kind: 'customer:create', payload: { ...customer, client_id: clientId }, tempId })
+  return { data: offlineCustomer, error: null }
+}
+
+async function queueCustomerUpdate(id, updates) {
+  await updateCustomerInCache(id, updates)
+  await enqueueSync({ kind: 'customer:update', payload: { id, updates } })
+  return { error: null }
+}
+
+async function queueCustomerDelete(id) {
+  await deleteCustomerFromCache(id)
+  await enqueueSync({ kind: 'customer:delete', payload: { id } })
+  return { error: null }
+}
+
+// A customer added offline only exists in the queue until its create syncs,
+// so later changes to it wait behind that create
+async function isOfflineCustomer(id) {
+  const customer = await get('customers', id)
+  return Boolean(customer?._offline)
+}
+
+/**
+ * Add a customer
+ * @param {{name: string, phone?: string, email?: string, address?: string, gstin?: string, state?: string}} customer
+ * @returns {Promise<{data: object|null, error: any}>}
+ */
+export async function createCustomer(customer) {
+  const { data: fields, error: validationError } = parseCustomer({ ...customer, name: customer.name ?? '' })
+  if (validationError) return { data: null, error: validationError }
+
+  // Lets a replayed create detect it already ran
+  const clientId = generateClientId()
+
+  if (connectivity.isOffline()) {
+    return queueCustomerCreate(fields, clientId)
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('customers')
+      .insert({ ...fields, client_id: clientId })
+      .select('*')
+      .single()
+    if (isNetworkError(error)) {
+      return queueCustomerCreate(fields, clientId)
+    }
+    if (error) return { data: null, error }
+
+    await addCustomerToCache(data)
+    return { data, error: null }
+  } catch {
+    return { data: null, error: { message: 'Failed to create customer' } }
+  }
+}
+
+/**
+ * Change a customer's details. Invoices already raised keep the name printed on them.
+ * @param {number} id - Customer ID
+ * @param {object} updates - Changed fields
+ * @returns {Promise<{error: any}>}
+ */
+export async function updateCustomer(id, updates) {
+  const { data: fields, error: validationError } = parseCustomer(updates)
+  if (validationError) return { error: validationError }
+
+  if (connectivity.isOffline() || await isOfflineCustomer(id)) {
+    return queueCustomerUpdate(id, fields)
+  }
+
+  try {
+    const { error } = await supabase.from('customers').update(fields).eq('id', id)
+    if (isNetworkError(error)) {
+      return queueCustomerUpdate(id, fields)
+    }
+    if (!error) {
+      await updateCustomerInCache(id, fields)
+    }
+    return { error }
+  } catch {
+    return { error: { message: 'Failed to update customer' } }
+  }
+}
+
+/**
+ * Remove a customer. Their invoices and credit notes stay, no longer linked to a customer.
+ * @param {number} id - Customer ID
+ * @returns {Promise<{error: any}>}
+ */
+export async function deleteCustomer(id) {
+  if (connectivity.isOffline() || await isOfflineCustomer(id)) {
+    return queueCustomerDelete(id)
+  }
+
+  try {
+    const { error } = await supabase.from('customers').delete().eq('id', id)
+    if (isNetworkError(error)) {
+      return queueCustomerDelete(id)
+    }
+    if (!error) {
+      await deleteCustomerFromCache(id)
+    }
+    return { error }
+  } catch {
+    return { error: { message: 'Failed to delete customer' } }
+  }
+}
+
+export function subscribeCustomers(onChange) {
+  const channel = supabase
+    .channel('customers-changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'customers' }, onChange)
+    .subscribe()
+  return channel
+}
@@ -0,0 +1,67 @@
+// Discounts (discounts_migration.sql). A discount is a percentage or a flat
+// amount, on one invoice line or on the whole invoice. Line discounts come off
+// price * quantity, then the invoice discount comes off what's left, all before
+// GST. Unlike a custom price, the unit price stays as it was and the discount
+// is stored next to it, so the invoice shows what was taken off.
+
+export const DISCOUNT_TYPES = {
+  PERCENT: 'percent',
+  FLAT: 'flat'
+}
+
+function round2(n) {
+  return Math.round((n + Number.EPSILON) * 100) / 100
+}
+
+/**
+ * Whether a discount actually takes anything off
+ * @param {{discount_type?: string|null, discount_value?: number}|null} discount
+ * @returns {boolean}
+ */
+export function hasDiscount(discount) {
+  return Boolean(discount?.discount_type) && Number(discount.discount_value) > 0
+}
+
+/**
+ * Amount a discount takes off, never more than the amount itself
+ * @param {number} amount - Amount before the discount
+ * @param {{discount_type?: string|null, discount_value?: number}|null} discount
+ * @returns {number}
+ */
+export function discountAmount(amount, discount) {
+  if (!hasDiscount(discount) || amount <= 0) return 0
+  const value = Number(discount.discount_value)
+  const off = discount.discount_type === DISCOUNT_TYPES.PERCENT ? amount * value / 100 : value
+  return round2(Math.min(off, amount))
+}
+
+/**
+ * Discount columns from form input; an empty or zero value means no discount
+ * @param {string|null} type - DISCOUNT_TYPES value
+ * @param {string|number} value - Entered value
+ * @returns {{discount_type: string|null, discount_value: number}|{error: string}}
+ */
+export function parseDiscount(type, value) {
+  if (value === '' || value === null || value === undefined || Number(value) === 0) {
+    return { discount_type: null, discount_value: 0 }
+  }
+  const number = Number(value)
+  if (!Object.values(DISCOUNT_TYPES).includes(type) || !Number.isFinite(number) || number < 0) {
+    return { error: 'Discount must be a positive number' }
+  }
+  if (type === DISCOUNT_TYPES.PERCENT && number > 100) {
+    return { error: 'A percentage discount cannot be more than 100%' }
+  }
+  return { discount_type: type, discount_value: round2(number) }
+}
+
+/**
+ * Short label for a discount, e.g. "10%" or "₹50.00"
+ * @param {{discount_type?: string|null, discount_value?: number}|null} discount
+ * @returns {string}
+ */
+export function formatDiscount(discount) {
+  if (!hasDiscount(discount)) return ''
+  const value = Number(discount.discount_value)
+  return discount.discount_type === DISCOUNT_TYPES.PERCENT ? `${value}%` : `₹${value.toFixed(2)}`
+}
@@ -3,38 +3,37 @@ import {
   syncDownInvoices, 
   syncDownInvoiceItems, 
   syncDownProducts,
+  syncDownCustomers,
   addInvoiceToCache, 
   addInvoiceItemToCache, 
   updateInvoiceInCache, 
   deleteInvoiceFromCache, 
   deleteInvoiceItemsFromCache,
-  putInvoiceItemToCache
+  putInvoiceItemToCache,
+  replaceCachedInvoiceItems,
+  getCachedInvoice
 } from '../offline/cache.js'
-import { enqueueSync } from '../offline/idb.js'
+import { get, getAll, enqueueSync } from '../offline/idb.js'
+import { generateClientId } from '../offline/idMap.js'
+import { validateStockLocally } from '../offline/localStock.js'
+import { connectivity, isNetworkError } from '../offline/connectivity.js'
 import { jsPDF } from 'jspdf'
 import { validateStockForInvoice, updateStockForInvoice, restoreStockForDeletedInvoice } from './stockService.js'
+import { isInterState, calculateInvoiceTax, stateName } from './taxService.js'
+import { hasDiscount, formatDiscount } from './discountService.js'
+import { defaultDueDate } from './paymentsService.js'
 import Papa from 'papaparse'
 
 export async function listInvoices() {
-  // Always try to get from cache first for fast loading
-  const { data: cachedData } = await syncDownInvoices()
-  
-  if (!navigator.onLine) {
-    return { data: cachedData, error: null }
-  }
-  
-  // When online, fetch fresh data and update cache
-  try {
-    const { data, error } = await supabase.from('invoices').select('*').order('id', { ascending: false })
-    if (!error && data) {
-      // Update cache with fresh data
-      await syncDownInvoices()
-      return { data, error: null }
-    }
-    return { data: cachedData, error }
-  } catch {
-    return { data: cachedData, error: null }
-  }
+  // Served from the cache; when online only rows changed since the last sync are pulled
+  return syncDownInvoices()
+}
+
+// Customer record an invoice is linked to, for its contact details and GSTIN
+async function findCustomer(customerId) {
+  if (customerId === null || customerId === undefined) return null
+  const { data: customers } = await syncDownCustomers()
+  return customers?.find(c => c.id === customerId) ?? null
 }
 
 export async function getInvoiceWithItems(invoiceId) {
@@ -46,39 +45,49 @@ export async function getInvoiceWithItems(invoiceId) {
     const cachedInvoice = cachedInvoices?.find(inv => inv.id === invoiceId)
     const cachedInvoiceItems = cachedItems?.filter(item => item.invoice_id === invoiceId)
     
-    if (!navigator.onLine || !cachedInvoice) {
+    // For offline data, we need to get product info from cache
+    const fromCache = async () => {
+      const { data: cachedProducts } = await syncDownProducts()
+      const normalized = cachedInvoiceItems.map((it) => {
+        const product = cachedProducts?.find(p => p.id === it.product_id)
+        const productPrice = Number(product?.price ?? 0)
+        const customPrice = it.custom_price
+        const finalPrice = customPrice ?? productPrice
+        return {
+          id: it.id,
+          product_id: it.product_id,
+          quantity: it.quantity,
+          product_name: product?.name || 'Unknown Product',
+          price: Number(finalPrice),
+          original_price: productPrice,
+          has_custom_price: customPrice !== null && customPrice !== undefined,
+          tax_rate: Number(it.tax_rate ?? product?.tax_rate ?? 0),
+          hsn_code: it.hsn_code ?? product?.hsn_code ?? null,
+          discount_type: it.discount_type ?? null,
+          discount_value: Number(it.discount_value ?? 0),
+        }
+      })
+      return { data: { ...cachedInvoice, customer: await findCustomer(cachedInvoice.customer_id), items: normalized } }
+    }
+    
+    if (connectivity.isOffline() || !cachedInvoice) {
       // Use cached data or return error
       if (cachedInvoice && cachedInvoiceItems) {
-        // For offline data, we need to get product info from cache
-        const { data: cachedProducts } = await syncDownProducts()
-        const normalized = cachedInvoiceItems.map((it) => {
-          const product = cachedProducts?.find(p => p.id === it.product_id)
-          const productPrice = Number(product?.price ?? 0)
-          const customPrice = it.custom_price
-          const finalPrice = customPrice ?? productPrice
-          return {
-            id: it.id,
-            product_id: it.product_id,
-            quantity: it.quantity,
-            product_name: product?.name || 'Unknown Product',
-            price: Number(finalPrice),
-            original_price: productPrice,
-            has_custom_price: customPrice !== null && customPrice !== undefined,
-          }
-        })
-        return { data: { ...cachedInvoice, items: normalized } }
+        return fromCache()
       }
       return { error: { message: 'Invoice not found' } }
     }
     
     // When online, fetch from server
     const { data: invoice, error: invErr } = await supabase.from('invoices').select('*').eq('id', invoiceId).single()
+    if (isNetworkError(invErr)) return fromCache()
     if (invErr) return { error: invErr }
     
     const { data: items, error: itemsErr } = await supabase
       .from('invoice_items')
-      .select('id, product_id, quantity, custom_price, products(name, price)')
+      .select('id, product_id, quantity, custom_price, tax_rate, hsn_code, discount_type, discount_value, products(name, price, tax_rate, hsn_code)')
       .eq('invoice_id', invoiceId)
+    if (isNetworkError(itemsErr)) return fromCache()
     if (itemsErr) return { error: itemsErr }
     
     const normalized = items.map((it) => {
@@ -93,55 +102,113 @@ export async function getInvoiceWithItems(invoiceId) {
         price: Number(finalPrice),
         original_price: productPrice,
         has_custom_price: customPrice !== null && customPrice !== undefined,
+        tax_rate: Number(it.tax_rate ?? it.products.tax_rate ?? 0),
+        hsn_code: it.hsn_code ?? it.products.hsn_code ?? null,
+        discount_type: it.discount_type ?? null,
+        discount_value: Number(it.discount_value ?? 0),
       }
     })
     
-    return { data: { ...invoice, items: normalized } }
+    return { data: { ...invoice, customer: await findCustomer(invoice.customer_id), items: normalized } }
   } catch {
     return { error: { message: 'Failed to fetch invoice' } }
   }
 }
 
-export async function createInvoice(customerName, items) {
+// Offline paths: apply the change to the local cache and queue it for sync.
+// Also used when an online write fails because Supabase can't be reached.
+
+// A customer added offline doesn't exist on the server yet, so invoices linked
+// to it wait in the queue behind its create
+async function isOfflineCustomer(customerId) {
+  if (customerId === null || customerId === undefined) return false
+  const customer = await get('customers', customerId)
+  return Boolean(customer?._offline)
+}
+
+async function queueInvoiceCreate(customerName, items, clientId, { customerId = null, customerState = null, discount = null } = {}) {
+  // Check stock before this invoice's own lines are cached, as the server would
+  const { warnings, stock } = await validateStockLocally(items)
   
+  // Create in local cache immediately
+  const tempId = Date.now()
+  const createdAt = new Date().toISOString()
+  const offlineInvoice = { 
+    id: tempId, 
+    client_id: clientId,
+    customer_id: customerId,
+    customer_name: customerName, 
+    customer_state: customerState,
+    is_interstate: isInterState(customerState),
+    discount_type: discount?.discount_type ?? null,
+    discount_value: Number(discount?.discount_value ?? 0),
+    due_date: defaultDueDate(createdAt),
+    created_at: createdAt,
+    _offline: true 
+  }
   
-  if (!navigator.onLine) {
-    // Create in local cache immediately
-    const tempId = Date.now()
-    const offlineInvoice = { 
-      id: tempId, 
-      customer_name: customerName, 
-      created_at: new Date().toISOString(),
-      _offline: true 
-    }
-    
-    await addInvoiceToCache(offlineInvoice)
-    
-    // Add items to cache with all necessary fields for sync
-    for (const item of items) {
-      const offlineItem = {
-        id: Date.now() + Math.random(),
-        invoice_id: tempId,
-        product_id: item.product_id,
-        quantity: item.quantity,
-        custom_price: item.custom_price ?? null,
-        _offline: true
-      }
-      await addInvoiceItemToCache(offlineItem)
-    }
-    
-    // Queue for sync when online - include all necessary data
-    const syncPayload = {
-      customerName,
-      items: items.map(item => ({
-        product_id: item.product_id,
-        quantity: item.quantity,
-        custom_price: item.custom_price ?? null
-      }))
+  await addInvoiceToCache(offlineInvoice)
+  
+  // Add items to cache with all necessary fields for sync
+  const offlineItems = []
+  for (const item of items) {
+    const offlineItem = {
+      id: Date.now() + Math.random(),
+      invoice_id: tempId,
+      product_id: item.product_id,
+      quantity: item.quantity,
+      custom_price: item.custom_price ?? null,
+      tax_rate: item.tax_rate ?? null,
+      hsn_code: item.hsn_code ?? null,
+      discount_type: item.discount_type ?? null,
+      discount_value: Number(item.discount_value ?? 0),
+      _offline: true
     }
-    
-    await enqueueSync({ kind: 'invoice:create', payload: syncPayload })
-    return { data: { id: tempId } }
+    await addInvoiceItemToCache(offlineItem)
+    offlineItems.push(offlineItem)
+  }
+  
+  // Queue for sync when online - include all necessary data
+  // temp IDs let the sync handler remap cached rows to the server IDs, and the
+  // remaining stock this device saw lets it spot sales made elsewhere meanwhile
+  const syncPayload = {
+    clientId,
+    customerId,
+    customerName,
+    customerState,
+    isInterstate: offlineInvoice.is_interstate,
+    discountType: offlineInvoice.discount_type,
+    discountValue: offlineInvoice.discount_value,
+    dueDate: offlineInvoice.due_date,
+    items: offlineItems.map(item => ({
+      temp_id: item.id,
+      product_id: item.product_id,
+      quantity: item.quantity,
+      custom_price: item.custom_price,
+      tax_rate: item.tax_rate,
+      hsn_code: item.hsn_code,
+      discount_type: item.discount_type,
+      discount_value: item.discount_value,
+      expected_remaining: stock[item.product_id]?.remaining ?? null
+    }))
+  }
+  
+  await enqueueSync({ kind: 'invoice:create', payload: syncPayload, tempId })
+  return { data: { id: tempId }, warnings }
+}
+
+// Drafts pass their own clientId: it's the holder of their stock reservation,
+// which the server releases once this invoice's items are saved. customerId
+// links the invoice to a customer record; customerName is still stored as the
+// name printed on it. customerState (a GST state code) decides between IGST and
+// CGST + SGST. discount is the invoice discount, {discount_type, discount_value};
+// line discounts go on items.
+export async function createInvoice(customerName, items, { clientId = generateClientId(), customerId = null, customerState = null, discount = null } = {}) {
+  const invoiceOptions = { customerId, customerState, discount }
+  // The clientId also lets a replayed create find the invoice if the online
+  // insert got through before the connection dropped
+  if (connectivity.isOffline() || await isOfflineCustomer(customerId)) {
+    return queueInvoiceCreate(customerName, items, clientId, invoiceOptions)
   }
   
   try {
@@ -161,8 +228,20 @@ export async function createInvoice(customerName, items) {
     // 2. Insert invoice
     console.log('Inserting invoice for customer:', customerName)
     let inv, invoiceId
+    const invoiceRow = {
+      customer_id: customerId,
+      customer_name: customerName,
+      customer_state: customerState,
+      is_interstate: isInterState(customerState),
+      discount_type: discount?.discount_type ?? null,
+      discount_value: Number(discount?.discount_value ?? 0),
+      client_id: clientId
+    }
     try {
-      const { data: invoiceData, error: invErr } = await supabase.from('invoices').insert({ customer_name: customerName }).select('id').single()
+      const { data: invoiceData, error: invErr } = await supabase.from('invoices').insert(invoiceRow).select('id').single()
+      if (isNetworkError(invErr)) {
+        return queueInvoiceCreate(customerName, items, clientId, invoiceOptions)
+      }
       if (invErr) {
         return { error: invErr }
       }
@@ -173,31 +252,39 @@ export async function createInvoice(customerName, items) {
     }
     
     // 3. Insert items
-    let itemsRows
+    let itemsRows, insertedItems
     try {
       itemsRows = items.map(i => ({ 
         invoice_id: invoiceId, 
         product_id: i.product_id, 
         quantity: i.quantity,
-        custom_price: i.custom_price ?? null
+        custom_price: i.custom_price ?? null,
+        tax_rate: i.tax_rate ?? null,
+        hsn_code: i.hsn_code ?? null,
+        discount_type: i.discount_type ?? null,
+        discount_value: Number(i.discount_value ?? 0)
       }))
-      const { error: itemsErr } = await supabase.from('invoice_items').insert(itemsRows)
+      const { data: newItems, error: itemsErr } = await supabase.from('invoice_items').insert(itemsRows).select('*')
+      if (isNetworkError(itemsErr)) {
+        // The replayed create finds this invoice by client_id and adds the items
+        return queueInvoiceCreate(customerName, items, clientId, invoiceOptions)
+      }
       if (itemsErr) {
         return { error: itemsErr }
       }
+      insertedItems = newItems
     } catch (dbError) {
       return { error: { message: `Database error during items insertion: ${dbError.message || dbError}` } }
     }
     
     // 4. Update stock tracking
-    await updateStockForInvoice([], items)
+    await updateStockForInvoice([], items, invoiceId)
     
     // 5. Update local cache
     try {
-      await addInvoiceToCache({ ...inv, customer_name: customerName })
-      for (const itemRow of itemsRows) {
-        await addInvoiceItemToCache(itemRow)
-      }
+      await addInvoiceToCache({ ...inv, ...invoiceRow })
+      // The server rows, so the next delta sync doesn't add them a second time
+      await replaceCachedInvoiceItems(invoiceId, insertedItems || [])
     } catch (cacheError) {
       // Don't fail the entire operation if cache fails
       // The invoice is already created in the database
@@ -210,160 +297,157 @@ export async function createInvoice(customerName, items) {
   }
 }
 
-export async function updateInvoice(invoiceId, updates) {
-  console.log('updateInvoice called with:', { invoiceId, updates, isOnline: navigator.onLine })
+async function getInvoiceBaseVersion(invoiceId) {
+  try {
+    const cached = await getCachedInvoice(invoiceId)
+    return cached?.updated_at ?? null
+  } catch {
+    return null
+  }
+}
+
+// Online writes move the invoice's updated_at on the server (line changes
+// through the touch_parent_invoice trigger). Keep the cached copy in step so
+// the next offline edit is queued against the version it was made on.
+async function refreshCachedInvoiceVersion(invoiceId) {
+  const { data, error } = await supabase.from('invoices').select('updated_at').eq('id', invoiceId).single()
+  if (!error && data) {
+    await updateInvoiceInCache(invoiceId, { updated_at: data.updated_at })
+  }
+}
+
+// Invoice-level fields an edit changes, as opposed to its items
+function pickInvoiceFields(updates) {
+  const fields = {}
+  for (const key of ['customer_id', 'customer_name', 'customer_state', 'is_interstate', 'discount_type', 'discount_value', 'due_date']) {
+    if (updates[key] !== undefined) fields[key] = updates[key]
+  }
+  return fields
+}
+
+async function queueInvoiceUpdate(invoiceId, updates) {
+  console.log('Offline mode - updating cache and queuing for sync')
+  // Remember which server version this edit was made against
+  const baseVersion = await getInvoiceBaseVersion(invoiceId)
   
-  if (!navigator.onLine) {
-    console.log('Offline mode - updating cache and queuing for sync')
-    // Update local cache immediately
-    try {
-      if (updates.customer_name !== undefined) {
-        await updateInvoiceInCache(invoiceId, { customer_name: updates.customer_name })
+  // Update local cache immediately
+  try {
+    const invoiceFields = pickInvoiceFields(updates)
+    if (Object.keys(invoiceFields).length > 0) {
+      await updateInvoiceInCache(invoiceId, invoiceFields)
+    }
+    if (Array.isArray(updates.items)) {
+      // Replace local invoice items for immediate UI consistency. Each product
+      // keeps its cached line ID, which an unsynced invoice's queued create
+      // remaps by; the queued lines carry it as temp_id.
+      const previousIds = new Map()
+      for (const line of (await getAll('invoice_items')).filter(l => l.invoice_id === invoiceId)) {
+        previousIds.set(line.product_id, [...(previousIds.get(line.product_id) ?? []), line.id])
       }
-      if (Array.isArray(updates.items)) {
-        // Replace local invoice items for immediate UI consistency
-        await deleteInvoiceItemsFromCache(invoiceId)
-        const rows = updates.items.map(i => ({ 
-          invoice_id: invoiceId,
-          product_id: i.product_id,
-          quantity: i.quantity,
-          custom_price: i.custom_price ?? null
-        }))
-        for (const row of rows) {
-          await addInvoiceItemToCache(row)
-        }
+      await deleteInvoiceItemsFromCache(invoiceId)
+      const rows = updates.items.map(i => ({ 
+        id: previousIds.get(i.product_id)?.shift() ?? Date.now() + Math.random(),
+        invoice_id: invoiceId,
+        product_id: i.product_id,
+        quantity: i.quantity,
+        custom_price: i.custom_price ?? null,
+        tax_rate: i.tax_rate ?? null,
+        hsn_code: i.hsn_code ?? null,
+        discount_type: i.discount_type ?? null,
+        discount_value: Number(i.discount_value ?? 0)
+      }))
+      for (const row of rows) {
+        await addInvoiceItemToCache(row)
       }
-    } catch (cacheError) {
-      console.warn('Offline cache update failed (will still queue sync):', cacheError)
+      updates = { ...updates, items: updates.items.map((i, index) => ({ ...i, temp_id: rows[index].id })) }
     }
-    
-    // Queue for sync when online
-    await enqueueSync({ kind: 'invoice:update', payload: { invoiceId, updates } })
-    return { data: true }
+  } catch (cacheError) {
+    console.warn('Offline cache update failed (will still queue sync):', cacheError)
+  }
+  
+  // Queue for sync when online
+  await enqueueSync({ kind: 'invoice:update', payload: { invoiceId, updates, baseVersion } })
+  return { data: true }
+}
+
+export async function updateInvoice(invoiceId, updates) {
+  console.log('updateInvoice called with:', { invoiceId, updates, connectivity: connectivity.getStatus() })
+  
+  // Settle IGST vs CGST + SGST now so a queued edit replays with the same answer
+  if (updates.customer_state !== undefined) {
+    updates = { ...updates, is_interstate: isInterState(updates.customer_state) }
+  }
+  
+  if (connectivity.isOffline() || await isOfflineCustomer(updates.customer_id)) {
+    return queueInvoiceUpdate(invoiceId, updates)
   }
   
   try {
     console.log('Online mode - updating database directly')
-    let hasErrors = false
-    let errorMessages = []
-    
-    if (updates.customer_name !== undefined) {
-      console.log('Updating customer name:', updates.customer_name)
-      const { error } = await supabase.from('invoices').update({ customer_name: updates.customer_name }).eq('id', invoiceId)
-      if (error) {
-        console.error('Customer name update error:', error)
-        hasErrors = true
-        errorMessages.push(`Customer name update failed: ${error.message}`)
-      } else {
-        console.log('Customer name updated successfully')
-        await updateInvoiceInCache(invoiceId, { customer_name: updates.customer_name })
-      }
-    }
+    const invoiceFields = pickInvoiceFields(updates)
+    const items = Array.isArray(updates.items) ? updates.items : null
     
-    if (Array.isArray(updates.items)) {
-      console.log('Updating invoice items:', updates.items)
-      
-      // Get current items to calculate stock changes
-      const { data: currentItems, error: fetchError } = await supabase
-        .from('invoice_items')
-        .select('product_id, quantity')
-        .eq('invoice_id', invoiceId)
-      
-      if (fetchError) {
-        console.error('Error fetching current items:', fetchError)
-        hasErrors = true
-        errorMessages.push(`Failed to fetch current items: ${fetchError.message}`)
-      } else {
-        console.log('Current items fetched:', currentItems)
-      }
-      
+    if (items) {
       // Validate new stock levels (now returns warnings)
-      const { valid, errors, warnings, error: validationError } = await validateStockForInvoice(updates.items)
+      const { valid, errors, warnings, error: validationError } = await validateStockForInvoice(items)
       if (validationError) {
         console.error('Stock validation error:', validationError)
-        hasErrors = true
-        errorMessages.push(`Stock validation error: ${validationError.message}`)
-      } else if (!valid) {
+        return { error: { message: `Stock validation error: ${validationError.message}` } }
+      }
+      if (!valid) {
         console.error('Stock validation failed:', errors)
-        hasErrors = true
-        errorMessages.push(`Stock validation failed: ${errors.join('. ')}`)
-      } else {
-        console.log('Stock validation passed, warnings:', warnings)
-        
-        // Delete existing items
-        console.log('Deleting existing items...')
-        const { error: delErr } = await supabase.from('invoice_items').delete().eq('invoice_id', invoiceId)
-        if (delErr) {
-          console.error('Error deleting existing items:', delErr)
-          hasErrors = true
-          errorMessages.push(`Failed to delete existing items: ${delErr.message}`)
-        } else {
-          console.log('Existing items deleted successfully')
-          
-          // Insert new items
-          const rows = updates.items.map(i => ({ 
-            invoice_id: invoiceId, 
-            product_id: i.product_id, 
-            quantity: i.quantity,
-            custom_price: i.custom_price ?? null
-          }))
-          
-          console.log('Inserting new items:', rows)
-          const { error: insErr } = await supabase.from('invoice_items').insert(rows)
-          if (insErr) {
-            console.error('Error inserting new items:', insErr)
-            hasErrors = true
-            errorMessages.push(`Failed to insert new items: ${insErr.message}`)
-          } else {
-            console.log('New items inserted successfully')
-            
-            // Update stock tracking
-            console.log('Updating stock tracking...')
-            try {
-              await updateStockForInvoice(currentItems || [], updates.items)
-              console.log('Stock tracking updated successfully')
-            } catch (stockError) {
-              console.error('Stock tracking update error:', stockError)
-              // Don't fail the entire operation for stock tracking errors
-            }
-            
-            // Update local cache
-            console.log('Updating local cache...')
-            try {
-              await deleteInvoiceItemsFromCache(invoiceId)
-              for (const row of rows) {
-                await addInvoiceItemToCache(row)
-              }
-              console.log('Local cache updated successfully')
-            } catch (cacheError) {
-              console.warn('Cache update failed, but database was updated:', cacheError)
-              // Don't fail the entire operation if cache fails
-            }
-          }
-        }
+        return { error: { message: `Stock validation failed: ${errors.join('. ')}` } }
       }
+      console.log('Stock validation passed, warnings:', warnings)
     }
     
-    if (hasErrors) {
-      console.error('Invoice update completed with errors:', errorMessages)
-      
-      // If we have errors, try to queue the update for sync as a fallback
-      console.log('Attempting to queue update for sync as fallback...')
+    // Details and lines are saved in one transaction (invoice_update_migration.sql),
+    // so a failure never leaves the invoice half edited
+    const { data: saved, error } = await supabase.rpc('update_invoice', {
+      p_invoice_id: invoiceId,
+      p_fields: invoiceFields,
+      p_items: items && items.map(i => ({
+        product_id: i.product_id,
+        quantity: i.quantity,
+        custom_price: i.custom_price ?? null,
+        tax_rate: i.tax_rate ?? null,
+        hsn_code: i.hsn_code ?? null,
+        discount_type: i.discount_type ?? null,
+        discount_value: Number(i.discount_value ?? 0)
+      }))
+    })
+    
+    // Supabase couldn't be reached: treat it like an offline edit. Replaying the
+    // whole update is safe since it sets the name and replaces the items.
+    if (isNetworkError(error)) {
+      return queueInvoiceUpdate(invoiceId, updates)
+    }
+    // Anything else (RLS, constraint) would fail again on replay, so hand it back
+    if (error) {
+      console.error('Invoice update error:', error)
+      return { error: { message: `Failed to update invoice: ${error.message}` } }
+    }
+    
+    if (items) {
+      // Update stock tracking
       try {
-        await updateInvoiceInCache(invoiceId, updates)
-        await enqueueSync({ kind: 'invoice:update', payload: { invoiceId, updates } })
-        console.log('Update queued for sync as fallback')
-        return { 
-          error: { 
-            message: `Database update failed, but changes have been saved locally and will sync when connection improves. Errors: ${errorMessages.join('. ')}` 
-          } 
-        }
-      } catch (fallbackError) {
-        console.error('Fallback sync queue also failed:', fallbackError)
-        return { error: { message: errorMessages.join('. ') } }
+        await updateStockForInvoice(saved.previous_items, items, invoiceId)
+      } catch (stockError) {
+        console.error('Stock tracking update error:', stockError)
+        // Don't fail the entire operation for stock tracking errors
       }
     }
     
+    // Update local cache
+    try {
+      await updateInvoiceInCache(invoiceId, { ...invoiceFields, updated_at: saved.updated_at })
+      if (items) {
+        await replaceCachedInvoiceItems(invoiceId, saved.items)
+      }
+    } catch (cacheError) {
+      console.warn('Cache update failed, but database was updated:', cacheError)
+    }
+    
     console.log('Invoice update completed successfully')
     return { data: true }
   } catch (error) {
@@ -372,27 +456,31 @@ export async function updateInvoice(invoiceId, updates) {
   }
 }
 
+async function queueInvoiceItemPriceUpdate(invoiceId, itemId, customPrice) {
+  console.log('Offline mode - updating cache and queuing for sync')
+  // Update local cache immediately
+  try {
+    // Store custom price in local cache
+    const { data: cachedItems } = await syncDownInvoiceItems()
+    const item = cachedItems?.find(i => i.id === itemId && i.invoice_id === invoiceId)
+    if (item) {
+      const updatedItem = { ...item, custom_price: customPrice }
+      await putInvoiceItemToCache(updatedItem)
+    }
+  } catch (cacheError) {
+    console.warn('Offline cache update failed (will still queue sync):', cacheError)
+  }
+  
+  // Queue for sync when online
+  await enqueueSync({ kind: 'invoice_item:update_price', payload: { invoiceId, itemId, customPrice } })
+  return { data: true }
+}
+
 export async function updateInvoiceItemPrice(invoiceId, itemId, customPrice) {
-  console.log('updateInvoiceItemPrice called with:', { invoiceId, itemId, customPrice, isOnline: navigator.onLine })
+  console.log('updateInvoiceItemPrice called with:', { invoiceId, itemId, customPrice, connectivity: connectivity.getStatus() })
   
-  if (!navigator.onLine) {
-    console.log('Offline mode - updating cache and queuing for sync')
-    // Update local cache immediately
-    try {
-      // Store custom price in local cache
-      const { data: cachedItems } = await syncDownInvoiceItems()
-      const item = cachedItems?.find(i => i.id === itemId && i.invoice_id === invoiceId)
-      if (item) {
-        const updatedItem = { ...item, custom_price: customPrice }
-        await putInvoiceItemToCache(updatedItem)
-      }
-    } catch (cacheError) {
-      console.warn('Offline cache update failed (will still queue sync):', cacheError)
-    }
-    
-    // Queue for sync when online
-    await enqueueSync({ kind: 'invoice_item:update_price', payload: { invoiceId, itemId, customPrice } })
-    return { data: true }
+  if (connectivity.isOffline()) {
+    return queueInvoiceItemPriceUpdate(invoiceId, itemId, customPrice)
   }
   
   try {
@@ -405,6 +493,9 @@ export async function updateInvoiceItemPrice(invoiceId, itemId, customPrice) {
       .eq('id', itemId)
       .eq('invoice_id', invoiceId)
     
+    if (isNetworkError(error)) {
+      return queueInvoiceItemPriceUpdate(invoiceId, itemId, customPrice)
+    }
     if (error) {
       console.error('Error updating custom price:', error)
       return { error }
@@ -420,6 +511,7 @@ export async function updateInvoiceItemPrice(invoiceId, itemId, customPrice) {
         const updatedItem = { ...item, custom_price: customPrice }
         await putInvoiceItemToCache(updatedItem)
       }
+      await refreshCachedInvoiceVersion(invoiceId)
     } catch (cacheError) {
       console.warn('Cache update failed, but database was updated:', cacheError)
     }
@@ -431,35 +523,42 @@ export async function updateInvoiceItemPrice(invoiceId, itemId, customPrice) {
   }
 }
 
+async function queueInvoiceDelete(invoiceId) {
+  // Remove from local cache immediately
+  await deleteInvoiceFromCache(invoiceId)
+  await deleteInvoiceItemsFromCache(invoiceId)
+  
+  // Queue for sync when online
+  await enqueueSync({ kind: 'invoice:delete', payload: { invoiceId } })
+  return { data: true }
+}
+
 export async function deleteInvoice(invoiceId) {
-  if (!navigator.onLine) {
-    // Remove from local cache immediately
-    await deleteInvoiceFromCache(invoiceId)
-    await deleteInvoiceItemsFromCache(invoiceId)
-    
-    // Queue for sync when online
-    await enqueueSync({ kind: 'invoice:delete', payload: { invoiceId } })
-    return { data: true }
+  if (connectivity.isOffline()) {
+    return queueInvoiceDelete(invoiceId)
   }
   
   try {
     // 1. Get items before deletion to restore stock
-    const { data: itemsToDelete } = await supabase
+    const { data: itemsToDelete, error: fetchError } = await supabase
       .from('invoice_items')
       .select('product_id, quantity')
       .eq('invoice_id', invoiceId)
+    if (isNetworkError(fetchError)) return queueInvoiceDelete(invoiceId)
     
     // 2. Delete invoice items
     const { error: delItemsErr } = await supabase.from('invoice_items').delete().eq('invoice_id', invoiceId)
+    if (isNetworkError(delItemsErr)) return queueInvoiceDelete(invoiceId)
     if (delItemsErr) return { error: delItemsErr }
     
     // 3. Delete invoice
     const { error: delInvErr } = await supabase.from('invoices').delete().eq('id', invoiceId)
+    if (isNetworkError(delInvErr)) return queueInvoiceDelete(invoiceId)
     if (delInvErr) return { error: delInvErr }
     
-    // 4. Restore stock (stock is automatically restored when items are deleted)
+    // 4. Record the returned stock (remaining stock is restored automatically when items are deleted)
     if (itemsToDelete && itemsToDelete.length > 0) {
-      await restoreStockForDeletedInvoice(itemsToDelete)
+      await restoreStockForDeletedInvoice(itemsToDelete, invoiceId)
     }
     
     // 5. Remove from local cache
@@ -505,14 +604,30 @@ export function exportInvoiceToPDF(invoice) {
   doc.text(`Invoice #${invoice.id}`, pageMargin + 20, pageMargin + 35)
   
   doc.setFontSize(14)
-  doc.text(`Customer: ${invoice.customer_name}`, pageMargin + 20, pageMargin + 55)
+  const customerState = invoice.customer_state ? ` (${invoice.customer_state} - ${stateName(invoice.customer_state)})` : ''
+  doc.text(`Customer: ${invoice.customer_name}${customerState}`, pageMargin + 20, pageMargin + 55)
   doc.text(`Date: ${new Date(invoice.created_at).toLocaleDateString('hi-IN')}`, pageMargin + 20, pageMargin + 75)
   
+  const interState = Boolean(invoice.is_interstate)
+  const tax = calculateInvoiceTax(invoice.items, interState, invoice)
+  
   // Reset text color
   doc.setTextColor(0, 0, 0)
   
   let y = pageMargin + 120
   
+  // Bill-to details from the customer record
+  const customer = invoice.customer
+  const billTo = customer ? [customer.address, customer.phone && `Phone: ${customer.phone}`, customer.gstin && `GSTIN: ${customer.gstin}`].filter(Boolean) : []
+  if (billTo.length > 0) {
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(10)
+    doc.setTextColor(75, 85, 99)
+    doc.text(billTo.join('   |   '), pageMargin, pageMargin + 100, { maxWidth: contentWidth })
+    doc.setTextColor(0, 0, 0)
+    y += 15
+  }
+  
   // Table header with styling
   doc.setFillColor(243, 244, 246)
   doc.rect(pageMargin, y - 20, contentWidth, 30, 'F')
@@ -521,22 +636,22 @@ export function exportInvoiceToPDF(invoice) {
   doc.setFontSize(12)
   doc.setTextColor(55, 65, 81)
   doc.text('Product', pageMargin + 15, y)
-  doc.text('Price', pageMargin + 320, y)
-  doc.text('Qty', pageMargin + 420, y)
-  doc.text('Subtotal', pageMargin + 480, y)
+  doc.text('HSN', pageMargin + 185, y)
+  doc.text('Price', pageMargin + 240, y)
+  doc.text('Qty', pageMargin + 305, y)
+  doc.text('Disc.', pageMargin + 340, y)
+  doc.text('GST', pageMargin + 400, y)
+  doc.text('Amount', pageMargin + 445, y)
   
   // Table content
   doc.setFont('helvetica', 'normal')
   doc.setFontSize(11)
   doc.setTextColor(0, 0, 0)
   
-  let total = 0
   y += 20
   
-  invoice.items.forEach((it, index) => {
+  tax.lines.forEach((it, index) => {
     const price = Number(it.price)
-    const subtotal = price * it.quantity
-    total += subtotal
     
     // Alternate row colors
     if (index % 2 === 0) {
@@ -553,23 +668,79 @@ export function exportInvoiceToPDF(invoice) {
     doc.text(String(it.product_name), pageMargin + 15, y)
     doc.setFont('helvetica', 'normal')
     
-    // Price and quantity
-    doc.text(`₹${price.toFixed(2)}`, pageMargin + 320, y)
-    doc.text(String(it.quantity), pageMargin + 420, y)
-    doc.text(`₹${subtotal.toFixed(2)}`, pageMargin + 480, y)
+    // HSN, price (starred when it's a custom price), quantity, line discount and GST rate
+    doc.text(it.hsn_code || '-', pageMargin + 185, y)
+    doc.text(`₹${price.toFixed(2)}${it.has_custom_price ? '*' : ''}`, pageMargin + 240, y)
+    doc.text(String(it.quantity), pageMargin + 305, y)
+    doc.text(hasDiscount(it) ? `-${formatDiscount(it)}` : '-', pageMargin + 340, y)
+    doc.text(`${it.gst.rate}%`, pageMargin + 400, y)
+    doc.text(`₹${(it.gst.gross - it.gst.discount).toFixed(2)}`, pageMargin + 445, y)
     
     y += 25
   })
   
+  if (tax.lines.some(it => it.has_custom_price)) {
+    doc.setFontSize(9)
+    doc.setTextColor(107, 114, 128)
+    doc.text('* Custom price', pageMargin + 15, y)
+    doc.setFontSize(11)
+    doc.setTextColor(0, 0, 0)
+    y += 10
+  }
+  
+  // Tax summary per HSN code and rate
+  y += 20
+  const taxColumns = interState ? ['IGST'] : ['CGST', 'SGST']
+  doc.setFillColor(243, 244, 246)
+  doc.rect(pageMargin, y - 20, contentWidth, 30, 'F')
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(12)
+  doc.setTextColor(55, 65, 81)
+  doc.text('HSN', pageMargin + 15, y)
+  doc.text('Rate', pageMargin + 120, y)
+  doc.text('Taxable', pageMargin + 200, y)
+  taxColumns.forEach((label, i) => doc.text(label, pageMargin + 300 + i * 100, y))
+  
+  doc.setFont('helvetica', 'normal')
+  doc.setFontSize(11)
+  doc.setTextColor(0, 0, 0)
+  y += 25
+  
+  for (const row of tax.summary) {
+    doc.text(row.hsn_code || '-', pageMargin + 15, y)
+    doc.text(`${row.rate}%`, pageMargin + 120, y)
+    doc.text(`₹${row.taxable.toFixed(2)}`, pageMargin + 200, y)
+    const amounts = interState ? [row.igst] : [row.cgst, row.sgst]
+    amounts.forEach((amount, i) => doc.text(`₹${amount.toFixed(2)}`, pageMargin + 300 + i * 100, y))
+    y += 20
+  }
+  
+  // Discounts, taxable value and tax totals
+  y += 10
+  const discounted = tax.totals.line_discount > 0 || tax.totals.invoice_discount > 0
+  const totalRows = [
+    ...(discounted ? [['Subtotal:', tax.totals.gross]] : []),
+    ...(tax.totals.line_discount > 0 ? [['Line discounts:', -tax.totals.line_discount]] : []),
+    ...(tax.totals.invoice_discount > 0 ? [[`Invoice discount (${formatDiscount(invoice)}):`, -tax.totals.invoice_discount]] : []),
+    ['Taxable value:', tax.totals.taxable],
+    ...(interState ? [['IGST:', tax.totals.igst]] : [['CGST:', tax.totals.cgst], ['SGST:', tax.totals.sgst]])
+  ]
+  for (const [label, amount] of totalRows) {
+    doc.text(label, pageMargin + 300, y)
+    doc.text(amount < 0 ? `-₹${(-amount).toFixed(2)}` : `₹${amount.toFixed(2)}`, pageMargin + 445, y)
+    y += 20
+  }
+  
   // Total row with accent color
+  y += 5
   doc.setFillColor(59, 130, 246)
   doc.rect(pageMargin, y - 15, contentWidth, 30, 'F')
   
   doc.setFont('helvetica', 'bold')
   doc.setFontSize(14)
   doc.setTextColor(255, 255, 255)
-  doc.text('Total:', pageMargin + 400, y)
-  doc.text(`₹${total.toFixed(2)}`, pageMargin + 480, y)
+  doc.text('Total:', pageMargin + 340, y)
+  doc.text(`₹${tax.totals.total.toFixed(2)}`, pageMargin + 445, y)
   
   // Footer with company info
   y += 50
@@ -0,0 +1,258 @@
+import { jsPDF } from 'jspdf'
+import { syncDownInvoices, syncDownPayments, syncDownCreditNotes, syncDownCustomers } from '../offline/cache.js'
+import { getInvoiceBalances, localDate } from './paymentsService.js'
+
+// Customer account ledger: invoices raised for a customer (debits), the
+// payments received against them and credit notes issued to the customer
+// (credits), with a running balance. Built from the cache like the invoice
+// balances, so it works offline.
+
+export const LEDGER_ENTRY_TYPES = {
+  INVOICE: 'invoice',
+  PAYMENT: 'payment',
+  CREDIT_NOTE: 'credit_note'
+}
+
+function round2(n) {
+  return Math.round((n + Number.EPSILON) * 100) / 100
+}
+
+// Same day: invoices first, then payments made against them, then credit notes
+const ENTRY_ORDER = [LEDGER_ENTRY_TYPES.INVOICE, LEDGER_ENTRY_TYPES.PAYMENT, LEDGER_ENTRY_TYPES.CREDIT_NOTE]
+
+function compareEntries(a, b) {
+  return a.date.localeCompare(b.date) ||
+    ENTRY_ORDER.indexOf(a.type) - ENTRY_ORDER.indexOf(b.type) ||
+    a.id - b.id
+}
+
+/**
+ * A customer's ledger over a date range
+ * @param {number} customerId - Customer ID
+ * @param {{from?: string, to?: string}} range - Inclusive YYYY-MM-DD dates; open-ended if left out
+ * @returns {Promise<{data: {customer: object, from: string|null, to: string|null, opening_balance: number, entries: Array, totals: {debit: number, credit: number}, closing_balance: number}|null, error: any}>}
+ */
+export async function getCustomerLedger(customerId, { from = null, to = null } = {}) {
+  try {
+    const [{ data: customers }, { data: allInvoices }, { data: allPayments }, { data: allCreditNotes }] = await Promise.all([
+      syncDownCustomers(),
+      syncDownInvoices(),
+      syncDownPayments(),
+      syncDownCreditNotes()
+    ])
+    const customer = (customers || []).find(c => c.id === customerId)
+    if (!customer) return { data: null, error: { message: 'Customer not found' } }
+
+    const invoices = (allInvoices || []).filter(inv => inv.customer_id === customerId)
+    const { data: balances, error: balancesError } = await getInvoiceBalances(invoices)
+    if (balancesError) return { data: null, error: balancesError }
+
+    const invoiceIds = new Set(invoices.map(inv => inv.id))
+    const entries = [
+      ...invoices.map(inv => ({
+        id: inv.id,
+        type: LEDGER_ENTRY_TYPES.INVOICE,
+        date: localDate(new Date(inv.created_at)),
+        invoice_id: inv.id,
+        due_date: balances.get(inv.id)?.due_date ?? null,
+        debit: balances.get(inv.id)?.total ?? 0,
+        credit: 0,
+        _offline: Boolean(inv._offline)
+      })),
+      ...(allPayments || []).filter(p => invoiceIds.has(p.invoice_id)).map(p => ({
+        id: p.id,
+        type: LEDGER_ENTRY_TYPES.PAYMENT,
+        date: String(p.paid_on).slice(0, 10),
+        invoice_id: p.invoice_id,
+        mode: p.mode,
+        reference: p.reference ?? null,
+        debit: 0,
+        credit: Number(p.amount),
+        _offline: Boolean(p._offline)
+      })),
+      ...(allCreditNotes || []).filter(c => c.customer_id === customerId).map(c => ({
+        id: c.id,
+        type: LEDGER_ENTRY_TYPES.CREDIT_NOTE,
+        date: String(c.issued_on).slice(0, 10),
+        reason: c.reason ?? null,
+        debit: 0,
+        credit: Number(c.amount),
+        _offline: Boolean(c._offline)
+      }))
+    ].sort(compareEntries)
+
+    // Everything before the range is carried in as the opening balance
+    let balance = 0
+    const inRange = []
+    for (const entry of entries) {
+      if (to && entry.date > to) continue
+      if (from && entry.date < from) {
+        balance += entry.debit - entry.credit
+        continue
+      }
+      inRange.push(entry)
+    }
+    const openingBalance = round2(balance)
+
+    const totals = { debit: 0, credit: 0 }
+    for (const entry of inRange) {
+      balance += entry.debit - entry.credit
+      entry.balance = round2(balance)
+      totals.debit += entry.debit
+      totals.credit += entry.credit
+    }
+
+    return {
+      data: {
+        customer,
+        from,
+        to,
+        opening_balance: openingBalance,
+        entries: inRange,
+        totals: { debit: round2(totals.debit), credit: round2(totals.credit) },
+        closing_balance: round2(balance)
+      },
+      error: null
+    }
+  } catch (error) {
+    return { data: null, error }
+  }
+}
+
+function formatAmount(amount) {
+  return amount < 0 ? `-₹${(-amount).toFixed(2)}` : `₹${amount.toFixed(2)}`
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('hi-IN')
+}
+
+/**
+ * Statement of account PDF for the customer, laid out like the invoice PDF
+ * @param {object} ledger - getCustomerLedger() result
+ */
+export function exportStatementToPDF(ledger) {
+  const doc = new jsPDF({
+    unit: 'pt',
+    format: 'a4',
+    putOnlyUsedFonts: true
+  })
+
+  const pageMargin = 40
+  const pageHeight = 841.89
+  const contentWidth = 595.28 - pageMargin * 2
+  const { customer } = ledger
+
+  // Header
+  doc.setFillColor(59, 130, 246)
+  doc.rect(pageMargin, pageMargin, contentWidth, 80, 'F')
+
+  doc.setTextColor(255, 255, 255)
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(24)
+  doc.text('Statement of Account', pageMargin + 20, pageMargin + 35)
+
+  doc.setFontSize(14)
+  doc.text(`Customer: ${customer.name}`, pageMargin + 20, pageMargin + 55)
+  const period = ledger.from || ledger.to
+    ? `${ledger.from ? formatDate(ledger.from) : 'Start'} - ${ledger.to ? formatDate(ledger.to) : formatDate(new Date())}`
+    : `Up to ${formatDate(new Date())}`
+  doc.text(`Period: ${period}`, pageMargin + 20, pageMargin + 75)
+
+  let y = pageMargin + 120
+
+  const billTo = [customer.address, customer.phone && `Phone: ${customer.phone}`, customer.gstin && `GSTIN: ${customer.gstin}`].filter(Boolean)
+  if (billTo.length > 0) {
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(10)
+    doc.setTextColor(75, 85, 99)
+    doc.text(billTo.join('   |   '), pageMargin, pageMargin + 100, { maxWidth: contentWidth })
+    y += 15
+  }
+
+  const drawTableHeader = () => {
+    doc.setFillColor(243, 244, 246)
+    doc.rect(pageMargin, y - 20, contentWidth, 30, 'F')
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(12)
+    doc.setTextColor(55, 65, 81)
+    doc.text('Date', pageMargin + 15, y)
+    doc.text('Particulars', pageMargin + 100, y)
+    doc.text('Debit', pageMargin + 290, y)
+    doc.text('Credit', pageMargin + 370, y)
+    doc.text('Balance', pageMargin + 445, y)
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(11)
+    doc.setTextColor(0, 0, 0)
+    y += 25
+  }
+
+  const drawRow = (cells, index) => {
+    // Long statements run onto more pages, each with the column headings
+    if (y > pageHeight - pageMargin - 40) {
+      doc.addPage()
+      y = pageMargin + 20
+      drawTableHeader()
+    }
+    if (index % 2 === 0) {
+      doc.setFillColor(249, 250, 251)
+      doc.rect(pageMargin, y - 15, contentWidth, 25, 'F')
+    }
+    const [date, particulars, debit, credit, balance] = cells
+    doc.text(date, pageMargin + 15, y)
+    doc.text(particulars, pageMargin + 100, y, { maxWidth: 180 })
+    doc.text(debit, pageMargin + 290, y)
+    doc.text(credit, pageMargin + 370, y)
+    doc.text(balance, pageMargin + 445, y)
+    y += 25
+  }
+
+  drawTableHeader()
+  drawRow([ledger.from ? formatDate(ledger.from) : '-', 'Opening balance', '', '', formatAmount(ledger.opening_balance)], 1)
+  ledger.entries.forEach((entry, index) => {
+    const particulars = entry.type === LEDGER_ENTRY_TYPES.INVOICE
+      ? `Invoice #${entry.invoice_id}`
+      : entry.type === LEDGER_ENTRY_TYPES.CREDIT_NOTE
+        ? `Credit note #${entry.id}${entry.reason ? ` - ${entry.reason}` : ''}`
+        : `Payment (${entry.mode}) - Invoice #${entry.invoice_id}${entry.reference ? `, ${entry.reference}` : ''}`
+    drawRow([
+      formatDate(entry.date),
+      particulars,
+      entry.debit ? formatAmount(entry.debit) : '',
+      entry.credit ? formatAmount(entry.credit) : '',
+      formatAmount(entry.balance)
+    ], index)
+  })
+
+  // Keep the totals and closing balance together
+  if (y > pageHeight - pageMargin - 100) {
+    doc.addPage()
+    y = pageMargin + 20
+  }
+
+  // Period totals
+  y += 5
+  doc.setFont('helvetica', 'bold')
+  doc.text('Total:', pageMargin + 100, y)
+  doc.text(formatAmount(ledger.totals.debit), pageMargin + 290, y)
+  doc.text(formatAmount(ledger.totals.credit), pageMargin + 370, y)
+
+  // Closing balance with accent color
+  y += 30
+  doc.setFillColor(59, 130, 246)
+  doc.rect(pageMargin, y - 15, contentWidth, 30, 'F')
+  doc.setFontSize(14)
+  doc.setTextColor(255, 255, 255)
+  doc.text(ledger.closing_balance < 0 ? 'Advance:' : 'Balance due:', pageMargin + 290, y)
+  doc.text(formatAmount(Math.abs(ledger.closing_balance)), pageMargin + 445, y)
+
+  // Footer
+  y += 50
+  doc.setTextColor(107, 114, 128)
+  doc.setFont('helvetica', 'normal')
+  doc.setFontSize(10)
+  doc.text('Please contact us if this statement does not match your records.', pageMargin + 15, y)
+
+  const filename = `statement_${customer.name.replace(/[^a-zA-Z0-9]/g, '_')}_${ledger.from || 'start'}_${ledger.to || localDate()}.pdf`
+  doc.save(filename)
+}
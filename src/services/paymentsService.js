@@ -0,0 +1,249 @@
+import { supabase } from './supabaseClient.js'
+import {
+  syncDownPayments,
+  syncDownInvoiceItems,
+  syncDownProducts,
+  addPaymentToCache,
+  deletePaymentFromCache
+} from '../offline/cache.js'
+import { get, enqueueSync } from '../offline/idb.js'
+import { generateClientId } from '../offline/idMap.js'
+import { connectivity, isNetworkError } from '../offline/connectivity.js'
+import { getCurrentUserLabel } from './stockMovementsService.js'
+import { calculateInvoiceTax } from './taxService.js'
+
+// Payments against invoices (payments_migration.sql). An invoice can be paid in
+// parts; its status comes from its total (discounts and GST included), what has
+// been paid so far and its due date.
+
+export const PAYMENT_MODES = ['cash', 'upi', 'card', 'bank']
+
+export const PAYMENT_STATUS = {
+  UNPAID: 'unpaid',
+  PARTIAL: 'partial',
+  PAID: 'paid',
+  OVERDUE: 'overdue'
+}
+
+// Matches the due_date default in payments_migration.sql
+export const PAYMENT_TERMS_DAYS = 30
+
+function round2(n) {
+  return Math.round((n + Number.EPSILON) * 100) / 100
+}
+
+/**
+ * Calendar date in the user's time zone. toISOString() gives the UTC date,
+ * which in India is still yesterday until 5:30 in the morning.
+ * @param {Date} [date] - Defaults to now
+ * @returns {string} YYYY-MM-DD
+ */
+export function localDate(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+function today() {
+  return localDate()
+}
+
+/**
+ * Due date for an invoice raised at the given time
+ * @param {string} createdAt - ISO timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+export function defaultDueDate(createdAt) {
+  const due = createdAt ? new Date(createdAt) : new Date()
+  due.setDate(due.getDate() + PAYMENT_TERMS_DAYS)
+  return localDate(due)
+}
+
+/**
+ * Payment position of an invoice
+ * @param {object} invoice - Invoice row (for its due date)
+ * @param {number} total - Invoice total
+ * @param {Array} payments - Payments recorded against it
+ * @returns {{total: number, paid: number, balance: number, due_date: string, status: string}}
+ */
+export function summarizePayments(invoice, total, payments) {
+  const paid = round2(payments.reduce((sum, payment) => sum + Number(payment.amount), 0))
+  const balance = round2(total - paid)
+  const dueDate = invoice.due_date || defaultDueDate(invoice.created_at)
+
+  let status
+  if (balance <= 0) status = PAYMENT_STATUS.PAID
+  else if (dueDate < today()) status = PAYMENT_STATUS.OVERDUE
+  else if (paid > 0) status = PAYMENT_STATUS.PARTIAL
+  else status = PAYMENT_STATUS.UNPAID
+
+  return { total, paid, balance, due_date: dueDate, status }
+}
+
+/**
+ * Totals, payments and status for a list of invoices, worked out from the cache
+ * @param {Array} invoices - Invoice rows
+ * @returns {Promise<{data: Map<number, object>, error: any}>} Map of invoice ID to summarizePayments() result
+ */
+export async function getInvoiceBalances(invoices) {
+  try {
+    const [{ data: items }, { data: products }, { data: payments }] = await Promise.all([
+      syncDownInvoiceItems(),
+      syncDownProducts(),
+      syncDownPayments()
+    ])
+    const productById = new Map((products || []).map(p => [p.id, p]))
+
+    const itemsByInvoice = new Map()
+    for (const item of items || []) {
+      const price = item.custom_price ?? productById.get(item.product_id)?.price ?? 0
+      const lines = itemsByInvoice.get(item.invoice_id) ?? []
+      lines.push({ ...item, price: Number(price) })
+      itemsByInvoice.set(item.invoice_id, lines)
+    }
+
+    const paymentsByInvoice = new Map()
+    for (const payment of payments || []) {
+      const list = paymentsByInvoice.get(payment.invoice_id) ?? []
+      list.push(payment)
+      paymentsByInvoice.set(payment.invoice_id, list)
+    }
+
+    const balances = new Map()
+    for (const invoice of invoices) {
+      const { totals } = calculateInvoiceTax(itemsByInvoice.get(invoice.id) ?? [], Boolean(invoice.is_interstate), invoice)
+      balances.set(invoice.id, summarizePayments(invoice, totals.total, paymentsByInvoice.get(invoice.id) ?? []))
+    }
+    return { data: balances, error: null }
+  } catch (error) {
+    return { data: new Map(), error }
+  }
+}
+
+/**
+ * Payments recorded against an invoice, newest first
+ * @param {number} invoiceId - Invoice ID
+ * @returns {Promise<{data: Array, error: any}>}
+ */
+export async function listPayments(invoiceId) {
+  const { data, error } = await syncDownPayments()
+  return { data: (data || []).filter(payment => payment.invoice_id === invoiceId), error }
+}
+
+async function queuePaymentCreate(invoiceId, payment, clientId, createdBy) {
+  const tempId = Date.now() // Temporary ID for offline
+  const offlinePayment = {
+    id: tempId,
+    invoice_id: invoiceId,
+    amount: payment.amount,
+    paid_on: payment.paidOn,
+    mode: payment.mode,
+    reference: payment.reference,
+    created_by: createdBy,
+    client_id: clientId,
+    created_at: new Date().toISOString(),
+    _offline: true
+  }
+  await addPaymentToCache(offlinePayment)
+
+  await enqueueSync({
+    kind: 'payment:create',
+    payload: { clientId, invoiceId, createdBy, ...payment },
+    tempId
+  })
+  return { data: offlinePayment, error: null }
+}
+
+/**
+ * Record a payment against an invoice
+ * @param {number} invoiceId - Invoice ID
+ * @param {{amount: number|string, paidOn?: string, mode: string, reference?: string}} payment
+ * @returns {Promise<{data: object|null, error: any}>}
+ */
+export async function recordPayment(invoiceId, payment) {
+  const amount = round2(Number(payment.amount))
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { data: null, error: { message: 'Payment amount must be more than 0' } }
+  }
+  if (!PAYMENT_MODES.includes(payment.mode)) {
+    return { data: null, error: { message: 'Choose how the payment was made' } }
+  }
+
+  const normalized = {
+    amount,
+    paidOn: payment.paidOn || today(),
+    mode: payment.mode,
+    reference: payment.reference?.trim() || null
+  }
+  // Lets a replayed payment detect it was already recorded
+  const clientId = generateClientId()
+  const createdBy = await getCurrentUserLabel()
+
+  // An invoice that hasn't synced yet doesn't exist on the server, so its
+  // payments wait in the queue behind it
+  const invoice = await get('invoices', invoiceId)
+  if (connectivity.isOffline() || invoice?._offline) {
+    return queuePaymentCreate(invoiceId, normalized, clientId, createdBy)
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('payments')
+      .insert({
+        invoice_id: invoiceId,
+        amount: normalized.amount,
+        paid_on: normalized.paidOn,
+        mode: normalized.mode,
+        reference: normalized.reference,
+        created_by: createdBy,
+        client_id: clientId
+      })
+      .select('*')
+      .single()
+    if (isNetworkError(error)) {
+      return queuePaymentCreate(invoiceId, normalized, clientId, createdBy)
+    }
+    if (error) return { data: null, error }
+
+    await addPaymentToCache(data)
+    return { data, error: null }
+  } catch {
+    return { data: null, error: { message: 'Failed to record payment' } }
+  }
+}
+
+async function queuePaymentDelete(paymentId) {
+  await deletePaymentFromCache(paymentId)
+  await enqueueSync({ kind: 'payment:delete', payload: { paymentId } })
+  return { data: true, error: null }
+}
+
+/**
+ * Remove a payment recorded by mistake
+ * @param {object} payment - Payment row
+ * @returns {Promise<{data: boolean|null, error: any}>}
+ */
+export async function deletePayment(payment) {
+  if (connectivity.isOffline() || payment._offline) {
+    return queuePaymentDelete(payment.id)
+  }
+
+  try {
+    const { error } = await supabase.from('payments').delete().eq('id', payment.id)
+    if (isNetworkError(error)) return queuePaymentDelete(payment.id)
+    if (error) return { data: null, error }
+
+    await deletePaymentFromCache(payment.id)
+    return { data: true, error: null }
+  } catch {
+    return { data: null, error: { message: 'Failed to delete payment' } }
+  }
+}
+
+export function subscribePayments(onChange) {
+  const channel = supabase
+    .channel('payments-changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'payments' }, onChange)
+    .subscribe()
+  return channel
+}
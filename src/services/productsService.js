@@ -1,61 +1,89 @@
 import { supabase } from './supabaseClient.js'
 import { 
   syncDownProducts, 
+  syncDownInvoiceItems,
   addProductToCache, 
   updateProductInCache, 
   deleteProductFromCache 
 } from '../offline/cache.js'
 import { enqueueSync } from '../offline/idb.js'
+import { generateClientId } from '../offline/idMap.js'
+import { connectivity, isNetworkError } from '../offline/connectivity.js'
 import { calculateAllRemainingStock } from './stockService.js'
+import { calculateAllRemainingStockLocally } from '../offline/localStock.js'
 
 export async function listProducts() {
   // Always try to get from cache first for fast loading
   const { data: cachedData } = await syncDownProducts()
+  // Keep invoice lines cached too: offline stock is calculated from them
+  await syncDownInvoiceItems()
   
-  if (!navigator.onLine) {
-    // Offline: return products with remaining equal to stock
-    const offline = (cachedData ?? []).map(p => ({ ...p, remaining: Number(p.stock) }))
-    return { data: offline, error: null }
+  if (connectivity.isOffline()) {
+    // Offline: derive remaining stock from cached invoices and queued changes
+    return calculateAllRemainingStockLocally()
   }
   
-  // When online, fetch fresh data and update cache
+  // The delta sync above already merged any server changes into the cache
   try {
-    const { data, error } = await supabase.from('products').select('*').order('id')
-    if (!error && data) {
-      // Update cache with fresh data
-      await syncDownProducts()
-      
-      // Calculate remaining stock using the stock service
-      const { data: withRemaining, error: stockError } = await calculateAllRemainingStock()
-      
-      if (stockError) {
-        // Fallback: return products with remaining = stock
-        const fallback = data.map(p => ({ ...p, remaining: Number(p.stock) }))
-        return { data: fallback, error: null }
-      }
-      
-      return { data: withRemaining, error: null }
+    // Calculate remaining stock using the stock service
+    const { data: withRemaining, error: stockError } = await calculateAllRemainingStock()
+    
+    if (stockError) {
+      // Fallback: calculate from the local cache
+      return calculateAllRemainingStockLocally()
     }
-    return { data: cachedData, error }
+    
+    return { data: withRemaining, error: null }
   } catch {
     return { data: cachedData, error: null }
   }
 }
 
+// Offline paths: apply the change to the local cache and queue it for sync.
+// Also used when an online write fails because Supabase can't be reached.
+
+async function queueProductCreate(product, clientId) {
+  const tempId = Date.now() // Temporary ID for offline
+  const offlineProduct = { ...product, id: tempId, client_id: clientId, _offline: true }
+  await addProductToCache(offlineProduct)
+  
+  // Queue for sync when online
+  await enqueueSync({ kind: 'product:create', payload: { ...product, client_id: clientId }, tempId })
+  return { data: offlineProduct, error: null }
+}
+
+async function queueProductUpdate(id, updates) {
+  // Update local cache immediately
+  await updateProductInCache(id, updates)
+  
+  // Queue for sync when online
+  await enqueueSync({ kind: 'product:update', payload: { id, updates } })
+  return { error: null }
+}
+
+async function queueProductDelete(id) {
+  // Remove from local cache immediately
+  await deleteProductFromCache(id)
+  
+  // Queue for sync when online
+  await enqueueSync({ kind: 'product:delete', payload: { id } })
+  return { error: null }
+}
+
 export async function createProduct(product) {
-  if (!navigator.onLine) {
-    // Add to local cache immediately
-    const tempId = Date.now() // Temporary ID for offline
-    const offlineProduct = { ...product, id: tempId, _offline: true }
-    await addProductToCache(offlineProduct)
-    
-    // Queue for sync when online
-    await enqueueSync({ kind: 'product:create', payload: product })
-    return { data: offlineProduct, error: null }
+  // Lets a replayed create detect it already ran, even if the online insert
+  // reached the server before the connection dropped
+  const clientId = generateClientId()
+  
+  if (connectivity.isOffline()) {
+    return queueProductCreate(product, clientId)
   }
   
   try {
-    const { data, error } = await supabase.from('products').insert(product).select('*').single()
+    const { data, error } = await supabase.from('products').insert({ ...product, client_id: clientId }).select('*').single()
+    if (isNetworkError(error)) {
+      return queueProductCreate(product, clientId)
+    }
     if (!error) {
       // Update local cache
       await addProductToCache(data)
@@ -67,17 +95,15 @@ export async function createProduct(product) {
 }
 
 export async function updateProduct(id, updates) {
-  if (!navigator.onLine) {
-    // Update local cache immediately
-    await updateProductInCache(id, updates)
-    
-    // Queue for sync when online
-    await enqueueSync({ kind: 'product:update', payload: { id, updates } })
-    return { error: null }
+  if (connectivity.isOffline()) {
+    return queueProductUpdate(id, updates)
   }
   
   try {
     const { error } = await supabase.from('products').update(updates).eq('id', id)
+    if (isNetworkError(error)) {
+      return queueProductUpdate(id, updates)
+    }
     if (!error) {
       // Update local cache
       await updateProductInCache(id, updates)
@@ -89,17 +115,15 @@ export async function updateProduct(id, updates) {
 }
 
 export async function deleteProduct(id) {
-  if (!navigator.onLine) {
-    // Remove from local cache immediately
-    await deleteProductFromCache(id)
-    
-    // Queue for sync when online
-    await enqueueSync({ kind: 'product:delete', payload: { id } })
-    return { error: null }
+  if (connectivity.isOffline()) {
+    return queueProductDelete(id)
   }
   
   try {
     const { error } = await supabase.from('products').delete().eq('id', id)
+    if (isNetworkError(error)) {
+      return queueProductDelete(id)
+    }
     if (!error) {
       // Remove from local cache
       await deleteProductFromCache(id)
@@ -0,0 +1,172 @@
+import { supabase } from './supabaseClient.js'
+import {
+  syncDownProducts,
+  cachePurchases,
+  getCachedPurchases,
+  adjustCachedProductStock
+} from '../offline/cache.js'
+import { enqueueSync } from '../offline/idb.js'
+import { generateClientId } from '../offline/idMap.js'
+import { connectivity, isNetworkError } from '../offline/connectivity.js'
+import { getCurrentUserLabel } from './stockMovementsService.js'
+import { localDate } from './paymentsService.js'
+
+// Purchases bring stock in from a supplier (purchases_migration.sql). The
+// create_purchase function saves the purchase, raises products.stock and
+// writes a 'purchase' stock movement per line in one transaction.
+
+function normalizePurchase(purchase) {
+  const { purchase_items: lines = [], ...rest } = purchase
+  return {
+    ...rest,
+    items: lines.map(line => ({
+      id: line.id,
+      product_id: line.product_id,
+      product_name: line.products?.name ?? `Product ${line.product_id}`,
+      quantity: line.quantity,
+      unit_cost: Number(line.unit_cost)
+    }))
+  }
+}
+
+/**
+ * Total cost of a purchase
+ * @param {{items: Array}} purchase - Purchase with its lines
+ * @returns {number}
+ */
+export function purchaseTotal(purchase) {
+  return purchase.items.reduce((sum, line) => sum + Number(line.quantity) * Number(line.unit_cost), 0)
+}
+
+export async function listPurchases() {
+  if (connectivity.isOffline()) {
+    return { data: await getCachedPurchases(), error: null }
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('purchases')
+      .select('*, purchase_items(id, product_id, quantity, unit_cost, products(name))')
+      .order('purchase_date', { ascending: false })
+      .order('id', { ascending: false })
+    if (isNetworkError(error)) {
+      return { data: await getCachedPurchases(), error: null }
+    }
+    if (error) return { data: [], error }
+
+    // Merge into the cache so purchases recorded offline stay listed until they sync
+    await cachePurchases(data.map(normalizePurchase))
+    return { data: await getCachedPurchases(), error: null }
+  } catch {
+    return { data: await getCachedPurchases(), error: null }
+  }
+}
+
+async function queuePurchaseCreate(purchase, clientId, createdBy) {
+  const tempId = Date.now() // Temporary ID for offline
+  const { data: cachedProducts } = await syncDownProducts()
+
+  const offlinePurchase = {
+    id: tempId,
+    client_id: clientId,
+    supplier_name: purchase.supplierName,
+    purchase_date: purchase.purchaseDate,
+    notes: purchase.notes,
+    created_by: createdBy,
+    created_at: new Date().toISOString(),
+    items: purchase.items.map(line => ({
+      product_id: line.product_id,
+      product_name: cachedProducts?.find(p => p.id === line.product_id)?.name ?? `Product ${line.product_id}`,
+      quantity: line.quantity,
+      unit_cost: line.unit_cost
+    })),
+    _offline: true
+  }
+  await cachePurchases([offlinePurchase])
+
+  // Show the new stock straight away; the server adds it when the purchase syncs
+  for (const line of purchase.items) {
+    await adjustCachedProductStock(line.product_id, line.quantity)
+  }
+
+  await enqueueSync({
+    kind: 'purchase:create',
+    payload: {
+      clientId,
+      supplierName: purchase.supplierName,
+      purchaseDate: purchase.purchaseDate,
+      notes: purchase.notes,
+      createdBy,
+      items: purchase.items
+    },
+    tempId
+  })
+  return { data: offlinePurchase, error: null }
+}
+
+/**
+ * Record a purchase and add its quantities to stock
+ * @param {{supplierName: string, purchaseDate: string, notes?: string, items: Array}} purchase - items are {product_id, quantity, unit_cost}
+ * @returns {Promise<{data: object|null, error: any}>}
+ */
+export async function createPurchase(purchase) {
+  const items = purchase.items.filter(line => Number(line.quantity) > 0)
+  if (!purchase.supplierName?.trim()) {
+    return { data: null, error: { message: 'Supplier is required' } }
+  }
+  if (items.length === 0) {
+    return { data: null, error: { message: 'Add at least one product with a quantity' } }
+  }
+  const invalid = items.find(line => !Number.isInteger(Number(line.quantity)) || Number(line.unit_cost) < 0 || Number.isNaN(Number(line.unit_cost)))
+  if (invalid) {
+    return { data: null, error: { message: 'Quantities must be whole numbers and costs must be 0 or more' } }
+  }
+
+  const normalized = {
+    supplierName: purchase.supplierName.trim(),
+    purchaseDate: purchase.purchaseDate || localDate(),
+    notes: purchase.notes?.trim() || null,
+    items: items.map(line => ({
+      product_id: line.product_id,
+      quantity: Number(line.quantity),
+      unit_cost: Number(line.unit_cost)
+    }))
+  }
+  // Lets a replayed purchase detect it already ran
+  const clientId = generateClientId()
+  const createdBy = await getCurrentUserLabel()
+
+  if (connectivity.isOffline()) {
+    return queuePurchaseCreate(normalized, clientId, createdBy)
+  }
+
+  try {
+    const { data, error } = await supabase.rpc('create_purchase', {
+      p_supplier_name: normalized.supplierName,
+      p_purchase_date: normalized.purchaseDate,
+      p_items: normalized.items,
+      p_notes: normalized.notes,
+      p_created_by: createdBy,
+      p_client_id: clientId
+    })
+    if (isNetworkError(error)) {
+      return queuePurchaseCreate(normalized, clientId, createdBy)
+    }
+    if (error) return { data: null, error }
+
+    for (const line of normalized.items) {
+      await adjustCachedProductStock(line.product_id, line.quantity)
+    }
+    return { data, error: null }
+  } catch {
+    return { data: null, error: { message: 'Failed to save purchase' } }
+  }
+}
+
+export function subscribePurchases(onChange) {
+  const channel = supabase
+    .channel('purchases-changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'purchases' }, onChange)
+    .subscribe()
+  return channel
+}
@@ -0,0 +1,246 @@
+import { jsPDF } from 'jspdf'
+import Papa from 'papaparse'
+import { syncDownInvoices } from '../offline/cache.js'
+import { getInvoiceBalances, localDate } from './paymentsService.js'
+import { normalizeCustomerName } from './customersService.js'
+
+// Receivables aging: what each customer still owes, split by how long ago the
+// invoices were raised. Balances come from getInvoiceBalances, so discounts,
+// GST and part payments are already taken into account.
+
+export const AGING_BUCKETS = [
+  { key: '0_30', label: '0-30', min: 0, max: 30 },
+  { key: '31_60', label: '31-60', min: 31, max: 60 },
+  { key: '61_90', label: '61-90', min: 61, max: 90 },
+  { key: '90_plus', label: '90+', min: 91, max: Infinity }
+]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function round2(n) {
+  return Math.round((n + Number.EPSILON) * 100) / 100
+}
+
+function emptyBuckets() {
+  return Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]))
+}
+
+/**
+ * Days since an invoice was raised
+ * @param {object} invoice - Invoice row
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {number}
+ */
+export function invoiceAgeDays(invoice, asOf) {
+  const raised = Date.parse(localDate(new Date(invoice.created_at)))
+  return Math.max(0, Math.floor((Date.parse(asOf) - raised) / DAY_MS))
+}
+
+/**
+ * Aging bucket an invoice falls in
+ * @param {object} invoice - Invoice row
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {string} AGING_BUCKETS key
+ */
+export function agingBucket(invoice, asOf) {
+  const age = invoiceAgeDays(invoice, asOf)
+  return AGING_BUCKETS.find(bucket => age >= bucket.min && age <= bucket.max).key
+}
+
+/**
+ * Key an invoice's customer is grouped under. Invoices not linked to a
+ * customer record are grouped by name.
+ * @param {object} invoice - Invoice row
+ * @returns {string}
+ */
+export function customerKey(invoice) {
+  return invoice.customer_id !== null && invoice.customer_id !== undefined
+    ? `id:${invoice.customer_id}`
+    : `name:${normalizeCustomerName(invoice.customer_name)}`
+}
+
+/**
+ * Unpaid invoice balances per customer, bucketed by age
+ * @param {string} [asOf] - YYYY-MM-DD, today if left out
+ * @returns {Promise<{data: {as_of: string, rows: Array, totals: {buckets: object, total: number, invoice_count: number}}|null, error: any}>}
+ */
+export async function getAgingReport(asOf = localDate()) {
+  try {
+    const { data: invoices, error } = await syncDownInvoices()
+    if (error && !invoices) return { data: null, error }
+
+    const { data: balances, error: balancesError } = await getInvoiceBalances(invoices || [])
+    if (balancesError) return { data: null, error: balancesError }
+
+    const rowsByCustomer = new Map()
+    const totals = { buckets: emptyBuckets(), total: 0, invoice_count: 0 }
+
+    for (const invoice of invoices || []) {
+      const balance = balances.get(invoice.id)?.balance ?? 0
+      if (balance <= 0) continue
+
+      const key = customerKey(invoice)
+      const row = rowsByCustomer.get(key) ?? {
+        key,
+        customer_id: invoice.customer_id ?? null,
+        customer_name: invoice.customer_name || 'Unknown',
+        buckets: emptyBuckets(),
+        total: 0,
+        invoice_count: 0
+      }
+      const bucket = agingBucket(invoice, asOf)
+      row.buckets[bucket] += balance
+      row.total += balance
+      row.invoice_count += 1
+      rowsByCustomer.set(key, row)
+
+      totals.buckets[bucket] += balance
+      totals.total += balance
+      totals.invoice_count += 1
+    }
+
+    // Largest amounts owed first
+    const rows = [...rowsByCustomer.values()]
+      .map(row => ({
+        ...row,
+        buckets: Object.fromEntries(Object.entries(row.buckets).map(([key, amount]) => [key, round2(amount)])),
+        total: round2(row.total)
+      }))
+      .sort((a, b) => b.total - a.total)
+
+    return {
+      data: {
+        as_of: asOf,
+        rows,
+        totals: {
+          buckets: Object.fromEntries(Object.entries(totals.buckets).map(([key, amount]) => [key, round2(amount)])),
+          total: round2(totals.total),
+          invoice_count: totals.invoice_count
+        }
+      },
+      error: null
+    }
+  } catch (error) {
+    return { data: null, error }
+  }
+}
+
+/**
+ * Download the aging report as a CSV file
+ * @param {object} report - getAgingReport() result
+ */
+export function exportAgingToCSV(report) {
+  const toRow = (name, invoiceCount, buckets, total) => ({
+    Customer: name,
+    Invoices: invoiceCount,
+    ...Object.fromEntries(AGING_BUCKETS.map(bucket => [`${bucket.label} days`, buckets[bucket.key].toFixed(2)])),
+    Total: total.toFixed(2)
+  })
+  const rows = [
+    ...report.rows.map(row => toRow(row.customer_name, row.invoice_count, row.buckets, row.total)),
+    toRow('Total', report.totals.invoice_count, report.totals.buckets, report.totals.total)
+  ]
+
+  const blob = new Blob([Papa.unparse(rows)], { type: 'text/csv;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `receivables_aging_${report.as_of}.csv`
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Download the aging report as a PDF, laid out like the invoice PDF
+ * @param {object} report - getAgingReport() result
+ */
+export function exportAgingToPDF(report) {
+  const doc = new jsPDF({
+    unit: 'pt',
+    format: 'a4',
+    putOnlyUsedFonts: true
+  })
+
+  const pageMargin = 40
+  const pageHeight = 841.89
+  const contentWidth = 595.28 - pageMargin * 2
+  const amountColumns = [...AGING_BUCKETS.map(bucket => bucket.key), 'total']
+  const columnX = (index) => pageMargin + 200 + index * 58
+
+  // Header
+  doc.setFillColor(59, 130, 246)
+  doc.rect(pageMargin, pageMargin, contentWidth, 80, 'F')
+
+  doc.setTextColor(255, 255, 255)
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(24)
+  doc.text('Receivables Aging', pageMargin + 20, pageMargin + 35)
+
+  doc.setFontSize(14)
+  doc.text(`As of: ${new Date(report.as_of).toLocaleDateString('hi-IN')}`, pageMargin + 20, pageMargin + 55)
+  doc.text(`Outstanding: ₹${report.totals.total.toFixed(2)} (${report.totals.invoice_count} invoices)`, pageMargin + 20, pageMargin + 75)
+
+  let y = pageMargin + 120
+
+  const drawTableHeader = () => {
+    doc.setFillColor(243, 244, 246)
+    doc.rect(pageMargin, y - 20, contentWidth, 30, 'F')
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(11)
+    doc.setTextColor(55, 65, 81)
+    doc.text('Customer', pageMargin + 15, y)
+    AGING_BUCKETS.forEach((bucket, i) => doc.text(bucket.label, columnX(i), y))
+    doc.text('Total', columnX(AGING_BUCKETS.length), y)
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(10)
+    doc.setTextColor(0, 0, 0)
+    y += 25
+  }
+
+  const amounts = (buckets, total) => amountColumns.map(key => (key === 'total' ? total : buckets[key]))
+
+  drawTableHeader()
+  report.rows.forEach((row, index) => {
+    // Long reports run onto more pages, each with the column headings
+    if (y > pageHeight - pageMargin - 60) {
+      doc.addPage()
+      y = pageMargin + 20
+      drawTableHeader()
+    }
+    if (index % 2 === 0) {
+      doc.setFillColor(249, 250, 251)
+      doc.rect(pageMargin, y - 15, contentWidth, 25, 'F')
+    }
+    doc.text(row.customer_name, pageMargin + 15, y, { maxWidth: 175 })
+    amounts(row.buckets, row.total).forEach((amount, i) => {
+      doc.text(amount ? amount.toFixed(2) : '-', columnX(i), y)
+    })
+    y += 25
+  })
+
+  // Keep the total row and footer on the same page
+  if (y > pageHeight - pageMargin - 70) {
+    doc.addPage()
+    y = pageMargin + 20
+  }
+
+  // Total row with accent color
+  y += 5
+  doc.setFillColor(59, 130, 246)
+  doc.rect(pageMargin, y - 15, contentWidth, 30, 'F')
+  doc.setFont('helvetica', 'bold')
+  doc.setTextColor(255, 255, 255)
+  doc.text('Total', pageMargin + 15, y)
+  amounts(report.totals.buckets, report.totals.total).forEach((amount, i) => {
+    doc.text(amount.toFixed(2), columnX(i), y)
+  })
+
+  // Footer
+  y += 40
+  doc.setTextColor(107, 114, 128)
+  doc.setFont('helvetica', 'normal')
+  doc.setFontSize(9)
+  doc.text('Amounts in ₹. Ages are days since the invoice date.', pageMargin + 15, y)
+
+  doc.save(`receivables_aging_${report.as_of}.pdf`)
+}
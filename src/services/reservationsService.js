@@ -0,0 +1,110 @@
+import { supabase } from './supabaseClient.js'
+import { cacheReservations, getCachedReservations } from '../offline/cache.js'
+import { generateClientId } from '../offline/idMap.js'
+import { connectivity, isNetworkError } from '../offline/connectivity.js'
+import { getCurrentUserLabel } from './stockMovementsService.js'
+
+// Stock held by draft invoices and invoices saved offline that haven't synced
+// (stock_reservations_migration.sql). A draft's holder ID is the client_id its
+// invoice is created with, so the server releases the hold when the invoice's
+// items arrive, whether that's straight away or when the offline queue syncs.
+
+// How long a hold lasts without being refreshed. Open drafts refresh it; an
+// invoice queued offline keeps it for this long while it waits to sync.
+export const RESERVATION_TTL_MINUTES = 120
+export const RESERVATION_REFRESH_MS = 5 * 60 * 1000
+
+/**
+ * New holder ID for a draft invoice
+ * @returns {string}
+ */
+export function createDraftId() {
+  return generateClientId()
+}
+
+/**
+ * Active reservations from every holder
+ * @returns {Promise<{data: Array, error: any}>}
+ */
+export async function listReservations() {
+  const fromCache = async () => ({ data: await getCachedReservations(), error: null })
+
+  if (connectivity.isOffline()) return fromCache()
+
+  try {
+    const { data, error } = await supabase
+      .from('stock_reservations')
+      .select('id, holder_id, product_id, quantity, expires_at')
+      .gt('expires_at', new Date().toISOString())
+    if (isNetworkError(error)) return fromCache()
+    if (error) return { data: [], error }
+
+    // Last known holds stay visible if the connection drops
+    await cacheReservations(data)
+    return { data, error: null }
+  } catch {
+    return fromCache()
+  }
+}
+
+/**
+ * Replace a draft's reservations with its current lines
+ * Best effort: offline, the draft's invoice is held locally by the sync queue instead.
+ * @param {string} holderId - Draft holder ID
+ * @param {Array} items - Array of {product_id, quantity}
+ * @returns {Promise<{error: any}>}
+ */
+export async function reserveStock(holderId, items) {
+  if (connectivity.isOffline()) return { error: null }
+
+  try {
+    const { error } = await supabase.rpc('reserve_stock', {
+      p_holder_id: holderId,
+      p_items: items.map(item => ({ product_id: item.product_id, quantity: Number(item.quantity) })),
+      p_ttl_minutes: RESERVATION_TTL_MINUTES,
+      p_created_by: await getCurrentUserLabel()
+    })
+    return { error: isNetworkError(error) ? null : error }
+  } catch {
+    return { error: null }
+  }
+}
+
+/**
+ * Drop every reservation a draft holds
+ * @param {string} holderId - Draft holder ID
+ * @returns {Promise<{error: any}>}
+ */
+export async function releaseReservation(holderId) {
+  if (connectivity.isOffline()) return { error: null }
+
+  try {
+    const { error } = await supabase.rpc('release_stock', { p_holder_id: holderId })
+    return { error: isNetworkError(error) ? null : error }
+  } catch {
+    return { error: null }
+  }
+}
+
+/**
+ * Quantity held per product by everyone except the given holder
+ * @param {Array} reservations - Active reservations
+ * @param {string} holderId - Holder to leave out (the current draft)
+ * @returns {Map<number, number>}
+ */
+export function reservedByOthers(reservations, holderId) {
+  const totals = new Map()
+  for (const reservation of reservations) {
+    if (reservation.holder_id === holderId) continue
+    totals.set(reservation.product_id, (totals.get(reservation.product_id) || 0) + reservation.quantity)
+  }
+  return totals
+}
+
+export function subscribeReservations(onChange) {
+  const channel = supabase
+    .channel('stock-reservations-changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'stock_reservations' }, onChange)
+    .subscribe()
+  return channel
+}
@@ -0,0 +1,150 @@
+import { supabase } from './supabaseClient.js'
+import { enqueueSync } from '../offline/idb.js'
+import { adjustCachedProductStock, cacheStockMovements, getCachedStockMovements } from '../offline/cache.js'
+import { generateClientId } from '../offline/idMap.js'
+import { connectivity, isNetworkError } from '../offline/connectivity.js'
+
+// Ledger of every stock change (stock_movements_migration.sql). Quantities are
+// signed: positive adds stock, negative removes it.
+
+export const MOVEMENT_TYPES = {
+  SALE: 'sale',
+  SALE_EDIT: 'sale_edit',
+  SALE_REVERSAL: 'sale_reversal',
+  ADJUSTMENT: 'adjustment',
+  RESTOCK: 'restock',
+  PURCHASE: 'purchase'
+}
+
+/**
+ * Who is making the change, if someone is signed in
+ * @returns {Promise<string|null>}
+ */
+export async function getCurrentUserLabel() {
+  try {
+    const { data } = await supabase.auth.getSession()
+    const user = data?.session?.user
+    return user ? (user.email ?? user.id) : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Record movements that don't change products.stock themselves (sales and their reversals)
+ * @param {Array} movements - Array of {product_id, quantity, type, reason?, reference_type?, reference_id?}
+ * @returns {Promise<{error: any}>}
+ */
+export async function recordStockMovements(movements) {
+  if (movements.length === 0) return { error: null }
+  try {
+    const createdBy = await getCurrentUserLabel()
+    const { error } = await supabase
+      .from('stock_movements')
+      .insert(movements.map(m => ({ created_by: createdBy, ...m })))
+    return { error }
+  } catch (error) {
+    return { error }
+  }
+}
+
+/**
+ * Movement history for one product, newest first
+ * @param {number} productId - The product ID
+ * @param {{limit?: number}} options
+ * @returns {Promise<{data: Array, error: any}>}
+ */
+export async function listStockMovements(productId, { limit = 100 } = {}) {
+  const fromCache = async () => {
+    const cached = await getCachedStockMovements(productId)
+    return { data: cached.slice(0, limit), error: null }
+  }
+
+  if (connectivity.isOffline()) return fromCache()
+
+  try {
+    const { data, error } = await supabase
+      .from('stock_movements')
+      .select('*')
+      .eq('product_id', productId)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+    if (isNetworkError(error)) return fromCache()
+    if (error) return { data: [], error }
+
+    await cacheStockMovements(data)
+    return { data, error: null }
+  } catch {
+    return fromCache()
+  }
+}
+
+async function queueStockAdjustment(movement) {
+  const offlineMovement = {
+    ...movement,
+    id: `offline-${movement.client_id}`,
+    created_at: new Date().toISOString(),
+    _offline: true
+  }
+  await cacheStockMovements([offlineMovement])
+  await adjustCachedProductStock(movement.product_id, movement.quantity)
+
+  await enqueueSync({ kind: 'stock:adjust', payload: movement })
+  return { data: offlineMovement, error: null }
+}
+
+/**
+ * Change a product's stock and record why (manual adjustment or restock)
+ * @param {number} productId - The product ID
+ * @param {number} quantity - Signed change in stock
+ * @param {{type?: string, reason?: string}} options
+ * @returns {Promise<{data: object|null, error: any}>}
+ */
+export async function adjustStock(productId, quantity, { type = MOVEMENT_TYPES.ADJUSTMENT, reason = null } = {}) {
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    return { data: null, error: { message: 'Quantity must be a whole number other than 0' } }
+  }
+
+  const movement = {
+    product_id: productId,
+    quantity,
+    type,
+    reason,
+    created_by: await getCurrentUserLabel(),
+    // Lets a replayed adjustment detect it already ran
+    client_id: generateClientId()
+  }
+
+  if (connectivity.isOffline()) {
+    return queueStockAdjustment(movement)
+  }
+
+  try {
+    const { data, error } = await supabase.rpc('apply_stock_movement', {
+      p_product_id: movement.product_id,
+      p_quantity: movement.quantity,
+      p_type: movement.type,
+      p_reason: movement.reason,
+      p_created_by: movement.created_by,
+      p_client_id: movement.client_id
+    })
+    if (isNetworkError(error)) {
+      return queueStockAdjustment(movement)
+    }
+    if (error) return { data: null, error }
+
+    await cacheStockMovements([data])
+    await adjustCachedProductStock(productId, quantity)
+    return { data, error: null }
+  } catch {
+    return { data: null, error: { message: 'Failed to adjust stock' } }
+  }
+}
+
+export function subscribeStockMovements(onChange) {
+  const channel = supabase
+    .channel('stock-movements-changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'stock_movements' }, onChange)
+    .subscribe()
+  return channel
+}
@@ -1,4 +1,10 @@
 import { supabase } from './supabaseClient.js'
+import Papa from 'papaparse'
+import { recordStockMovements, MOVEMENT_TYPES } from './stockMovementsService.js'
+import { tabCoordinator } from '../offline/tabCoordinator.js'
+
+// Remaining stock comes from the product_stock view (product_stock_migration.sql),
+// which sums invoice items in the database instead of in the browser.
 
 /**
  * Calculate remaining stock for a product
@@ -7,28 +13,16 @@ import { supabase } from './supabaseClient.js'
  */
 export async function calculateRemainingStock(productId) {
   try {
-    // Get current stock
-    const { data: product, error: productError } = await supabase
-      .from('products')
-      .select('stock')
-      .eq('id', productId)
-      .single()
-    
-    if (productError) return { remaining: 0, error: productError }
-    
-    // Get total quantity used in invoices
-    const { data: items, error: itemsError } = await supabase
-      .from('invoice_items')
-      .select('quantity')
+    const { data, error } = await supabase
+      .from('product_stock')
+      .select('remaining')
       .eq('product_id', productId)
+      .single()
     
-    if (itemsError) return { remaining: product.stock, error: null }
-    
-    const totalUsed = items.reduce((sum, item) => sum + Number(item.quantity || 0), 0)
-    const remaining = Number(product.stock) - totalUsed
+    if (error) return { remaining: 0, error }
     
     // Allow negative stock - don't use Math.max(0, remaining)
-    return { remaining, error: null }
+    return { remaining: Number(data.remaining), error: null }
   } catch (error) {
     return { remaining: 0, error }
   }
@@ -40,39 +34,29 @@ export async function calculateRemainingStock(productId) {
  */
 export async function calculateAllRemainingStock() {
   try {
-    // Get all products
-    const { data: products, error: productsError } = await supabase
-      .from('products')
-      .select('*')
+    const [
+      { data: products, error: productsError },
+      { data: stock, error: stockError }
+    ] = await Promise.all([
+      supabase.from('products').select('*').order('id'),
+      supabase.from('product_stock').select('product_id, remaining')
+    ])
     
     if (productsError) return { data: [], error: productsError }
     
-    // Get all invoice items
-    const { data: items, error: itemsError } = await supabase
-      .from('invoice_items')
-      .select('product_id, quantity')
-    
-    if (itemsError) {
+    if (stockError) {
       // Fallback: return products with remaining = stock
       const fallback = products.map(p => ({ ...p, remaining: Number(p.stock) }))
       return { data: fallback, error: null }
     }
     
-    // Calculate used quantities per product
-    const usedByProduct = new Map()
-    for (const item of items) {
-      const pid = item.product_id
-      const used = usedByProduct.get(pid) || 0
-      usedByProduct.set(pid, used + Number(item.quantity || 0))
-    }
+    const remainingByProduct = new Map(stock.map(row => [row.product_id, Number(row.remaining)]))
     
-    // Calculate remaining stock for each product (allow negative)
-    const withRemaining = products.map(p => {
-      const stock = Number(p.stock || 0)
-      const used = usedByProduct.get(p.id) || 0
-      const remaining = stock - used // Remove Math.max to allow negative stock
-      return { ...p, remaining }
-    })
+    // Negative remaining stock is allowed
+    const withRemaining = products.map(p => ({
+      ...p,
+      remaining: remainingByProduct.get(p.id) ?? Number(p.stock || 0)
+    }))
     
     return { data: withRemaining, error: null }
   } catch (error) {
@@ -82,30 +66,42 @@ export async function calculateAllRemainingStock() {
 
 /**
  * Validate if there's enough stock for an invoice (now allows negative stock)
+ * Checks every line in a single query.
  * @param {Array} items - Array of {product_id, quantity}
- * @returns {Promise<{valid: boolean, errors: Array, warnings: Array, error: any}>}
+ * @returns {Promise<{valid: boolean, errors: Array, warnings: Array, stock: object, error: any}>} stock maps product_id to {name, remaining} before this invoice
  */
 export async function validateStockForInvoice(items) {
   try {
     const errors = []
     const warnings = []
+    const stockSnapshot = {}
+    
+    const productIds = [...new Set(items.map(item => item.product_id))]
+    if (productIds.length === 0) {
+      return { valid: true, errors, warnings, stock: stockSnapshot, error: null }
+    }
+    
+    const { data: stock, error } = await supabase
+      .from('product_stock')
+      .select('product_id, name, remaining')
+      .in('product_id', productIds)
+    
+    if (error) {
+      return { valid: true, errors: items.map(item => `Error checking stock for product ${item.product_id}: ${error.message}`), warnings, stock: stockSnapshot, error: null }
+    }
+    
+    const stockByProduct = new Map(stock.map(row => [row.product_id, row]))
     
     for (const item of items) {
-      const { remaining, error } = await calculateRemainingStock(item.product_id)
-      
-      if (error) {
-        errors.push(`Error checking stock for product ${item.product_id}: ${error.message}`)
+      const row = stockByProduct.get(item.product_id)
+      if (!row) {
+        errors.push(`Error checking stock for product ${item.product_id}: Product not found`)
         continue
       }
       
-      // Get product name for better messages
-      const { data: product } = await supabase
-        .from('products')
-        .select('name')
-        .eq('id', item.product_id)
-        .single()
-      
-      const productName = product?.name || `Product ${item.product_id}`
+      const remaining = Number(row.remaining)
+      const productName = row.name || `Product ${item.product_id}`
+      stockSnapshot[item.product_id] = { name: productName, remaining }
       
       if (remaining < item.quantity) {
         // Instead of error, now it's a warning about negative stock
@@ -115,60 +111,169 @@ export async function validateStockForInvoice(items) {
     }
     
     // Always valid now since we allow negative stock
-    return { valid: true, errors, warnings, error: null }
+    return { valid: true, errors, warnings, stock: stockSnapshot, error: null }
   } catch (error) {
-    return { valid: false, errors: [], warnings: [], error }
+    return { valid: false, errors: [], warnings: [], stock: {}, error }
   }
 }
 
+function sumByProduct(items) {
+  const totals = new Map()
+  for (const item of items) {
+    totals.set(item.product_id, (totals.get(item.product_id) || 0) + Number(item.quantity || 0))
+  }
+  return totals
+}
+
 /**
- * Update stock when invoice is created/updated
+ * Record stock movements when an invoice is created/updated
+ * Remaining stock is derived from invoice_items, so this only writes the ledger.
  * @param {Array} oldItems - Previous items (for updates)
  * @param {Array} newItems - New items
+ * @param {number} invoiceId - Invoice the items belong to
  * @returns {Promise<{success: boolean, error: any}>}
  */
-export async function updateStockForInvoice(oldItems = [], newItems = []) {
+export async function updateStockForInvoice(oldItems = [], newItems = [], invoiceId = null) {
   try {
-    // Create maps for easy comparison
-    const oldItemsMap = new Map(oldItems.map(item => [item.product_id, Number(item.quantity)]))
-    const newItemsMap = new Map(newItems.map(item => [item.product_id, Number(item.quantity)]))
+    const oldTotals = sumByProduct(oldItems)
+    const newTotals = sumByProduct(newItems)
+    const isNewInvoice = oldItems.length === 0
     
     // Get all affected product IDs
-    const allProductIds = new Set([...oldItemsMap.keys(), ...newItemsMap.keys()])
+    const allProductIds = new Set([...oldTotals.keys(), ...newTotals.keys()])
     
+    const movements = []
     for (const productId of allProductIds) {
-      const oldQty = oldItemsMap.get(productId) || 0
-      const newQty = newItemsMap.get(productId) || 0
-      const difference = newQty - oldQty
-      
+      const difference = (newTotals.get(productId) || 0) - (oldTotals.get(productId) || 0)
       if (difference !== 0) {
-        // Update the product's stock (this is just for tracking, actual stock remains the same)
-        // The remaining stock is calculated dynamically from invoice_items
+        movements.push({
+          product_id: productId,
+          // Selling more takes stock out
+          quantity: -difference,
+          type: isNewInvoice ? MOVEMENT_TYPES.SALE : MOVEMENT_TYPES.SALE_EDIT,
+          reference_type: 'invoice',
+          reference_id: invoiceId
+        })
       }
     }
     
-    return { success: true, error: null }
+    const { error } = await recordStockMovements(movements)
+    
+    // Alert about products this invoice took to their reorder level
+    const sold = new Map(movements.filter(m => m.quantity < 0).map(m => [m.product_id, -m.quantity]))
+    await checkReorderLevels(sold)
+    
+    return { success: !error, error: error ?? null }
   } catch (error) {
     return { success: false, error }
   }
 }
 
 /**
- * Restore stock when invoice is deleted
+ * Record stock returned when an invoice is deleted
  * @param {Array} items - Items from deleted invoice
+ * @param {number} invoiceId - The deleted invoice
  * @returns {Promise<{success: boolean, error: any}>}
  */
-export async function restoreStockForDeletedInvoice(items) {
+export async function restoreStockForDeletedInvoice(items, invoiceId = null) {
   try {
-    // When an invoice is deleted, the stock is automatically restored
-    // because the remaining stock is calculated from invoice_items
-    // So we just need to log the restoration
-    for (const item of items) {
-      console.log(`Stock restored for product ${item.product_id}: ${item.quantity}`)
-    }
+    const movements = [...sumByProduct(items)].map(([productId, quantity]) => ({
+      product_id: productId,
+      quantity,
+      type: MOVEMENT_TYPES.SALE_REVERSAL,
+      reason: 'Invoice deleted',
+      reference_type: 'invoice',
+      reference_id: invoiceId
+    }))
     
-    return { success: true, error: null }
+    const { error } = await recordStockMovements(movements)
+    return { success: !error, error: error ?? null }
   } catch (error) {
     return { success: false, error }
   }
 }
+
+/**
+ * Whether a product's remaining stock is at or below its reorder level
+ * @param {object} product - Product with remaining stock and reorder_level
+ * @returns {boolean}
+ */
+export function isLowStock(product) {
+  const level = Number(product.reorder_level || 0)
+  return level > 0 && Number(product.remaining ?? product.stock) <= level
+}
+
+/**
+ * How much to order for a low-stock product: its reorder quantity, or more if
+ * that wouldn't bring it back above the reorder level
+ * @param {object} product - Product with remaining stock and reorder levels
+ * @returns {number}
+ */
+export function suggestedReorderQuantity(product) {
+  const shortfall = Number(product.reorder_level || 0) - Number(product.remaining ?? product.stock) + 1
+  return Math.max(Number(product.reorder_quantity || 0), shortfall)
+}
+
+/**
+ * Relay a lowStock event for products whose sale took remaining stock from
+ * above their reorder level to at or below it
+ * @param {Map<number, number>} soldByProduct - Quantity just sold per product
+ * @returns {Promise<Array>} Products that crossed their reorder level
+ */
+async function checkReorderLevels(soldByProduct) {
+  const productIds = [...soldByProduct.keys()]
+  if (productIds.length === 0) return []
+  
+  try {
+    const { data, error } = await supabase
+      .from('product_stock')
+      .select('product_id, name, remaining, reorder_level, reorder_quantity')
+      .in('product_id', productIds)
+    // The alert is best effort; the sale itself already went through
+    if (error) return []
+    
+    const crossed = data.filter(row => {
+      const remaining = Number(row.remaining)
+      const before = remaining + soldByProduct.get(row.product_id)
+      return isLowStock(row) && before > row.reorder_level
+    })
+    
+    if (crossed.length > 0) {
+      tabCoordinator.relay('lowStock', {
+        products: crossed.map(row => ({
+          id: row.product_id,
+          name: row.name,
+          remaining: Number(row.remaining),
+          reorder_level: row.reorder_level
+        }))
+      })
+    }
+    return crossed
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Download the products that need reordering as a CSV file
+ * @param {Array} products - Products with remaining stock and reorder levels
+ * @returns {number} Number of products in the list
+ */
+export function exportReorderListToCSV(products) {
+  const rows = products.filter(isLowStock).map(p => ({
+    'Product ID': p.id,
+    Product: p.name,
+    Remaining: Number(p.remaining ?? p.stock),
+    'Reorder level': p.reorder_level,
+    'Reorder quantity': suggestedReorderQuantity(p)
+  }))
+  
+  const blob = new Blob([Papa.unparse(rows)], { type: 'text/csv;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `reorder_list_${new Date().toISOString().slice(0, 10)}.csv`
+  link.click()
+  URL.revokeObjectURL(url)
+  return rows.length
+}
@@ -1,8 +1,14 @@
 import { createClient } from '@supabase/supabase-js'
+import { connectivity } from '../offline/connectivity.js'
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
 const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY
 
-export const supabase = createClient(supabaseUrl, supabaseKey)
+connectivity.setEndpoint(supabaseUrl, supabaseKey)
+
+// Requests go through the connectivity monitor so network failures are noticed
+export const supabase = createClient(supabaseUrl, supabaseKey, {
+  global: { fetch: connectivity.fetch }
+})
 
 
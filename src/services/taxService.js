@@ -0,0 +1,148 @@
+import { discountAmount } from './discountService.js'
+
+// GST (gst_migration.sql) on prices before tax, after discounts. Sales within
+// the business's state (VITE_BUSINESS_STATE, e.g. 27) pay CGST + SGST split
+// equally; sales to another state pay IGST.
+
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28]
+
+export const BUSINESS_STATE = import.meta.env.VITE_BUSINESS_STATE || null
+
+// GST state codes
+export const INDIAN_STATES = [
+  { code: '01', name: 'Jammu and Kashmir' },
+  { code: '02', name: 'Himachal Pradesh' },
+  { code: '03', name: 'Punjab' },
+  { code: '04', name: 'Chandigarh' },
+  { code: '05', name: 'Uttarakhand' },
+  { code: '06', name: 'Haryana' },
+  { code: '07', name: 'Delhi' },
+  { code: '08', name: 'Rajasthan' },
+  { code: '09', name: 'Uttar Pradesh' },
+  { code: '10', name: 'Bihar' },
+  { code: '11', name: 'Sikkim' },
+  { code: '12', name: 'Arunachal Pradesh' },
+  { code: '13', name: 'Nagaland' },
+  { code: '14', name: 'Manipur' },
+  { code: '15', name: 'Mizoram' },
+  { code: '16', name: 'Tripura' },
+  { code: '17', name: 'Meghalaya' },
+  { code: '18', name: 'Assam' },
+  { code: '19', name: 'West Bengal' },
+  { code: '20', name: 'Jharkhand' },
+  { code: '21', name: 'Odisha' },
+  { code: '22', name: 'Chhattisgarh' },
+  { code: '23', name: 'Madhya Pradesh' },
+  { code: '24', name: 'Gujarat' },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+  { code: '27', name: 'Maharashtra' },
+  { code: '29', name: 'Karnataka' },
+  { code: '30', name: 'Goa' },
+  { code: '31', name: 'Lakshadweep' },
+  { code: '32', name: 'Kerala' },
+  { code: '33', name: 'Tamil Nadu' },
+  { code: '34', name: 'Puducherry' },
+  { code: '35', name: 'Andaman and Nicobar Islands' },
+  { code: '36', name: 'Telangana' },
+  { code: '37', name: 'Andhra Pradesh' },
+  { code: '38', name: 'Ladakh' }
+]
+
+/**
+ * Display name for a GST state code
+ * @param {string|null} code - State code
+ * @returns {string}
+ */
+export function stateName(code) {
+  if (!code) return ''
+  return INDIAN_STATES.find(state => state.code === code)?.name ?? code
+}
+
+/**
+ * Whether a sale to this state is inter-state (IGST) rather than intra-state (CGST + SGST)
+ * A customer without a state is treated as local.
+ * @param {string|null} customerState - Customer's state code
+ * @returns {boolean}
+ */
+export function isInterState(customerState) {
+  return Boolean(customerState && BUSINESS_STATE && customerState !== BUSINESS_STATE)
+}
+
+function round2(n) {
+  return Math.round((n + Number.EPSILON) * 100) / 100
+}
+
+function lineAmount(item) {
+  return round2(Number(item.price) * Number(item.quantity))
+}
+
+/**
+ * GST on one invoice line
+ * @param {{price: number, quantity: number, tax_rate?: number, discount_type?: string, discount_value?: number}} item - Line with its pre-tax unit price
+ * @param {boolean} interState - Whether the sale is inter-state
+ * @param {number} [invoiceDiscount=0] - This line's share of the invoice discount
+ * @returns {{gross: number, discount: number, invoice_discount: number, taxable: number, rate: number, cgst: number, sgst: number, igst: number, tax: number, total: number}}
+ */
+export function calculateLineTax(item, interState, invoiceDiscount = 0) {
+  const gross = lineAmount(item)
+  const discount = discountAmount(gross, item)
+  const taxable = round2(gross - discount - invoiceDiscount)
+  const rate = Number(item.tax_rate || 0)
+  const tax = round2(taxable * rate / 100)
+  const cgst = interState ? 0 : round2(tax / 2)
+  const sgst = interState ? 0 : round2(tax - cgst)
+  const igst = interState ? tax : 0
+  return { gross, discount, invoice_discount: invoiceDiscount, taxable, rate, cgst, sgst, igst, tax, total: round2(taxable + tax) }
+}
+
+// Split the invoice discount across lines in proportion to their discounted
+// amounts, so each line's GST is on what was actually charged for it
+function shareInvoiceDiscount(items, discount) {
+  const nets = items.map(item => {
+    const gross = lineAmount(item)
+    return round2(gross - discountAmount(gross, item))
+  })
+  const netTotal = round2(nets.reduce((sum, net) => sum + net, 0))
+  const invoiceDiscount = discountAmount(netTotal, discount)
+  if (invoiceDiscount === 0) return nets.map(() => 0)
+
+  let left = invoiceDiscount
+  return nets.map((net, i) => {
+    // The last line takes what rounding left over
+    const share = i === nets.length - 1
+      ? Math.min(left, net)
+      : round2(invoiceDiscount * net / netTotal)
+    left = round2(left - share)
+    return share
+  })
+}
+
+/**
+ * GST for a whole invoice: each line's breakup, a summary per HSN code and rate, and totals
+ * @param {Array} items - Lines with price, quantity, tax_rate, hsn_code and line discount
+ * @param {boolean} interState - Whether the sale is inter-state
+ * @param {{discount_type?: string|null, discount_value?: number}|null} [discount=null] - Invoice discount
+ * @returns {{lines: Array, summary: Array, totals: object}}
+ */
+export function calculateInvoiceTax(items, interState, discount = null) {
+  const shares = shareInvoiceDiscount(items, discount)
+  const lines = items.map((item, i) => ({ ...item, gst: calculateLineTax(item, interState, shares[i]) }))
+  const totals = { gross: 0, line_discount: 0, invoice_discount: 0, taxable: 0, cgst: 0, sgst: 0, igst: 0, tax: 0, total: 0 }
+  const summary = new Map()
+
+  for (const { hsn_code: hsnCode, gst } of lines) {
+    const key = `${hsnCode || ''}|${gst.rate}`
+    const row = summary.get(key) ?? { hsn_code: hsnCode || null, rate: gst.rate, taxable: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 }
+    for (const field of ['taxable', 'cgst', 'sgst', 'igst', 'tax']) {
+      row[field] = round2(row[field] + gst[field])
+      totals[field] = round2(totals[field] + gst[field])
+    }
+    summary.set(key, row)
+    totals.gross = round2(totals.gross + gst.gross)
+    totals.line_discount = round2(totals.line_discount + gst.discount)
+    totals.invoice_discount = round2(totals.invoice_discount + gst.invoice_discount)
+    totals.total = round2(totals.total + gst.total)
+  }
+
+  return { lines, summary: [...summary.values()], totals }
+}
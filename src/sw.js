@@ -0,0 +1,65 @@
+import { precacheAndRoute, cleanupOutdatedCaches } from 'workbox-precaching'
+import { registerRoute } from 'workbox-routing'
+import { StaleWhileRevalidate, NetworkOnly } from 'workbox-strategies'
+import { clientsClaim } from 'workbox-core'
+import { drainSyncQueue } from './offline/queueRunner.js'
+import { getPendingSyncCount } from './offline/idb.js'
+import { BACKGROUND_SYNC_TAG } from './offline/backgroundSync.js'
+import { tabCoordinator } from './offline/tabCoordinator.js'
+
+self.skipWaiting()
+clientsClaim()
+
+cleanupOutdatedCaches()
+precacheAndRoute(self.__WB_MANIFEST)
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin,
+  new StaleWhileRevalidate({ cacheName: 'static-resources' })
+)
+
+// Supabase is never answered from Cache Storage. Offline reads come from the
+// IndexedDB cache, and a cached 200 for the health probe or a query would
+// hide a dead connection from the connectivity monitor, so writes would take
+// the online path instead of being queued.
+registerRoute(
+  ({ url }) => /supabase\.co\/.+/.test(url.href),
+  new NetworkOnly()
+)
+
+// Responses stored by the NetworkFirst route earlier versions used
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.delete('api-cache'))
+})
+
+// Replay the offline queue with the same handlers the SyncManager uses
+async function replaySyncQueue(lastChance) {
+  tabCoordinator.post('sync-started')
+  let summary = null
+  try {
+    summary = await drainSyncQueue()
+  } finally {
+    const counts = summary
+      ? { successCount: summary.successCount, errorCount: summary.errorCount, conflictCount: summary.conflictCount }
+      : {}
+    tabCoordinator.post('sync-finished', counts)
+  }
+
+  // null: an open tab is already replaying the queue
+  if (!summary) return
+
+  if (summary.successCount > 0) {
+    tabCoordinator.relay('cacheChanged')
+  }
+
+  // Rejecting asks the browser to fire the sync event again later
+  const remaining = await getPendingSyncCount()
+  if (remaining > 0 && !lastChance) {
+    throw new Error(`${remaining} queued changes still pending`)
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== BACKGROUND_SYNC_TAG) return
+  event.waitUntil(replaySyncQueue(event.lastChance))
+})
@@ -0,0 +1,72 @@
+-- Migration to add a stock movement ledger
+-- Every change to a product's stock is recorded as a movement: sales from
+-- invoices, the difference when an invoice is edited, stock returned when an
+-- invoice is deleted, manual adjustments and restocks. Quantities are signed:
+-- positive adds stock, negative removes it.
+
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id BIGSERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('sale', 'sale_edit', 'sale_reversal', 'adjustment', 'restock')),
+  reason TEXT NULL,
+  reference_type TEXT NULL,
+  reference_id INTEGER NULL,
+  created_by TEXT NULL,
+  client_id UUID NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+COMMENT ON COLUMN stock_movements.quantity IS 'Signed change in stock: positive adds stock, negative removes it.';
+COMMENT ON COLUMN stock_movements.reference_type IS 'What caused the movement, e.g. invoice. NULL for manual adjustments.';
+COMMENT ON COLUMN stock_movements.client_id IS 'UUID generated by the client for offline adjustments. NULL otherwise.';
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_product_created ON stock_movements(product_id, created_at DESC);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'stock_movements'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE stock_movements;
+  END IF;
+END $$;
+
+-- Manual adjustments and restocks change products.stock; sales don't, since
+-- remaining stock is already derived from invoice items (product_stock view).
+-- Doing both in one function keeps the ledger and the stock column in step,
+-- and a repeated client_id returns the existing movement instead of applying it twice.
+CREATE OR REPLACE FUNCTION public.apply_stock_movement(
+  p_product_id int,
+  p_quantity int,
+  p_type text,
+  p_reason text DEFAULT NULL,
+  p_created_by text DEFAULT NULL,
+  p_client_id uuid DEFAULT NULL
+)
+RETURNS stock_movements AS $$
+DECLARE
+  movement stock_movements;
+BEGIN
+  IF p_type NOT IN ('adjustment', 'restock') THEN
+    RAISE EXCEPTION 'apply_stock_movement only handles adjustments and restocks, got %', p_type;
+  END IF;
+
+  IF p_client_id IS NOT NULL THEN
+    SELECT * INTO movement FROM stock_movements WHERE client_id = p_client_id;
+    IF FOUND THEN
+      RETURN movement;
+    END IF;
+  END IF;
+
+  INSERT INTO stock_movements (product_id, quantity, type, reason, created_by, client_id)
+  VALUES (p_product_id, p_quantity, p_type, p_reason, p_created_by, p_client_id)
+  RETURNING * INTO movement;
+
+  UPDATE public.products
+  SET stock = stock + p_quantity
+  WHERE id = p_product_id;
+
+  RETURN movement;
+END; $$ LANGUAGE plpgsql security definer SET search_path = public;
@@ -0,0 +1,94 @@
+-- Migration to add stock reservations
+-- Items on an invoice that is still being written (a draft) or that was saved
+-- offline and hasn't synced yet hold stock, so other cashiers see it as taken
+-- before the sale reaches invoice_items. A reservation belongs to a holder: the
+-- client_id the invoice will be created with. It is released as soon as that
+-- invoice's items are inserted, or when it expires.
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id BIGSERIAL PRIMARY KEY,
+  holder_id UUID NOT NULL,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_by TEXT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (holder_id, product_id)
+);
+
+COMMENT ON COLUMN stock_reservations.holder_id IS 'client_id of the draft invoice holding the stock.';
+COMMENT ON COLUMN stock_reservations.expires_at IS 'Drafts refresh this while open; abandoned holds lapse on their own.';
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_expires ON stock_reservations(expires_at);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'stock_reservations'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE stock_reservations;
+  END IF;
+END $$;
+
+-- Replace a holder's reservations with the given items in one call, so the
+-- draft's lines and the hold never disagree
+CREATE OR REPLACE FUNCTION public.reserve_stock(
+  p_holder_id uuid,
+  p_items jsonb,
+  p_ttl_minutes int DEFAULT 120,
+  p_created_by text DEFAULT NULL
+)
+RETURNS void AS $$
+BEGIN
+  -- Tidy up lapsed holds from every holder while we're here
+  DELETE FROM stock_reservations WHERE expires_at < now();
+
+  -- Lines removed from the draft (or set back to 0) release their hold
+  DELETE FROM stock_reservations
+  WHERE holder_id = p_holder_id
+    AND product_id NOT IN (
+      SELECT (line->>'product_id')::int FROM jsonb_array_elements(p_items) AS line
+      WHERE (line->>'quantity')::int > 0
+    );
+
+  INSERT INTO stock_reservations (holder_id, product_id, quantity, created_by, expires_at)
+  SELECT
+    p_holder_id,
+    (line->>'product_id')::int,
+    SUM((line->>'quantity')::int),
+    p_created_by,
+    now() + make_interval(mins => p_ttl_minutes)
+  FROM jsonb_array_elements(p_items) AS line
+  WHERE (line->>'quantity')::int > 0
+  GROUP BY (line->>'product_id')::int
+  ON CONFLICT (holder_id, product_id) DO UPDATE
+  SET quantity = EXCLUDED.quantity,
+      expires_at = EXCLUDED.expires_at,
+      updated_at = now();
+END; $$ LANGUAGE plpgsql security definer SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.release_stock(p_holder_id uuid)
+RETURNS void AS $$
+BEGIN
+  DELETE FROM stock_reservations WHERE holder_id = p_holder_id;
+END; $$ LANGUAGE plpgsql security definer SET search_path = public;
+
+-- Once an invoice line is saved the sale counts in product_stock, so the
+-- draft's hold on that product is no longer needed
+CREATE OR REPLACE FUNCTION public.release_invoiced_reservation()
+RETURNS trigger AS $$
+BEGIN
+  DELETE FROM stock_reservations r
+  USING invoices i
+  WHERE i.id = NEW.invoice_id
+    AND i.client_id IS NOT NULL
+    AND r.holder_id = i.client_id
+    AND r.product_id = NEW.product_id;
+  RETURN NEW;
+END; $$ LANGUAGE plpgsql security definer SET search_path = public;
+
+DROP TRIGGER IF EXISTS trg_invoice_items_release_reservation ON invoice_items;
+CREATE TRIGGER trg_invoice_items_release_reservation
+AFTER INSERT ON invoice_items
+FOR EACH ROW EXECUTE FUNCTION public.release_invoiced_reservation();
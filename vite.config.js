@@ -33,25 +33,12 @@ export default defineConfig({
         lang: "en",
         orientation: "portrait",
       },
-      workbox: {
+      // Custom worker so the offline queue can be replayed via Background Sync
+      strategies: "injectManifest",
+      srcDir: "src",
+      filename: "sw.js",
+      injectManifest: {
         globPatterns: ["**/*.{js,css,html,svg,png,ico}"],
-        runtimeCaching: [
-          {
-            urlPattern: ({ url }) => url.origin === self.location.origin,
-            handler: "StaleWhileRevalidate",
-            options: {
-              cacheName: "static-resources",
-            },
-          },
-          {
-            urlPattern: ({ url }) => /supabase\.co\/.+/.test(url.href),
-            handler: "NetworkFirst",
-            options: {
-              cacheName: "api-cache",
-              networkTimeoutSeconds: 3,
-            },
-          },
-        ],
       },
     }),
   ],